@@ -0,0 +1,245 @@
+/**
+ * AI player decision making shared by the browser and the Node.js server
+ * The wander/hunt/flee state machine from AIPlayer, working on plain state
+ * objects so the server can run bots with it. Loaded as a classic script in
+ * the browser and imported for its side effect on the server; exposes
+ * AIBehavior globally.
+ */
+(function(root) {
+    // Size ratio an AI needs over another fish to treat it as prey
+    const PREY_RATIO = 1.05;
+
+    const FLEE_RANGE = 200;
+    const HUNT_RANGE = 300;
+    const FOOD_RANGE = 200;
+
+    const NAME_PREFIXES = ['Big', 'Fast', 'Hungry', 'Sneaky', 'Angry', 'Happy', 'Sleepy', 'Grumpy', 'Tiny', 'Giant'];
+    const FISH_TYPES = ['Shark', 'Tuna', 'Clown', 'Puffer', 'Angel', 'Sword', 'Jelly', 'Manta', 'Eel', 'Whale'];
+
+    const COLORS = [
+        '#FF6633', '#FFB399', '#FF33FF', '#FFFF99', '#00B3E6',
+        '#E6B333', '#3366E6', '#999966', '#99FF99', '#B34D4D',
+        '#80B300', '#809900', '#E6B3B3', '#6680B3', '#66991A',
+        '#FF99E6', '#CCFF1A', '#FF1A66', '#E6331A', '#33FFCC'
+    ];
+
+    // Random number between min and max (inclusive) - same as random() in utils.js
+    function random(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    function calculateAngle(x1, y1, x2, y2) {
+        return Math.atan2(y2 - y1, x2 - x1);
+    }
+
+    function calculateDistance(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    const AIBehavior = {
+        /**
+         * Generates a fish name like "Hungry Tuna"
+         * @returns {string} Name
+         */
+        generateRandomName() {
+            return `${NAME_PREFIXES[Math.floor(Math.random() * NAME_PREFIXES.length)]} ${FISH_TYPES[Math.floor(Math.random() * FISH_TYPES.length)]}`;
+        },
+
+        /**
+         * Picks a random fish color
+         * @returns {string} Hex color
+         */
+        generateRandomColor() {
+            return COLORS[Math.floor(Math.random() * COLORS.length)];
+        },
+
+        /**
+         * Gets the radius of a fish at a size level (same formula as the player fish)
+         * @param {number} sizeLevel - Size level
+         * @returns {number} Radius
+         */
+        calculateRadius(sizeLevel) {
+            let radius = 15; // Base radius for level 1
+
+            // Add growth for each level above 1
+            for (let i = 1; i < sizeLevel; i++) {
+                radius += 5 + Math.floor(i / 2) * 2;
+            }
+
+            return radius;
+        },
+
+        /**
+         * Resets the state machine for a new or respawned AI
+         * @param {Object} ai - AI state
+         */
+        reset(ai) {
+            ai.targetPlayer = null;
+            ai.fleeingFrom = null;
+            ai.state = 'wandering'; // wandering, hunting, fleeing
+            ai.stateTimer = 0;
+            ai.changeDirectionCounter = 0;
+            ai.changeDirectionInterval = random(100, 200);
+        },
+
+        /**
+         * Picks the AI's state for this frame from the fish around it
+         * @param {Object} ai - AI state
+         * @param {Array} players - Every fish the AI can hunt or flee from
+         */
+        updateState(ai, players) {
+            ai.stateTimer--;
+            if (ai.stateTimer <= 0) {
+                // Randomly change state
+                ai.state = Math.random() < 0.7 ? 'wandering' : 'hunting';
+                ai.stateTimer = random(150, 300);
+            }
+
+            // Find nearest player that can be eaten
+            let nearestPrey = null;
+            let nearestPreyDistance = Infinity;
+
+            // Find nearest player that can eat this AI
+            let nearestPredator = null;
+            let nearestPredatorDistance = Infinity;
+
+            for (const player of players) {
+                if (player === ai || !player.isAlive) continue;
+
+                const distance = calculateDistance(ai.x, ai.y, player.x, player.y);
+
+                if (ai.radius > player.radius * PREY_RATIO && distance < nearestPreyDistance) {
+                    nearestPrey = player;
+                    nearestPreyDistance = distance;
+                }
+
+                if (player.radius > ai.radius * PREY_RATIO && distance < nearestPredatorDistance) {
+                    nearestPredator = player;
+                    nearestPredatorDistance = distance;
+                }
+            }
+
+            // If a predator is nearby, flee
+            if (nearestPredator && nearestPredatorDistance < FLEE_RANGE) {
+                ai.state = 'fleeing';
+                ai.fleeingFrom = nearestPredator;
+                ai.stateTimer = 60;
+            }
+
+            // If prey is nearby and no predator, hunt
+            if (nearestPrey && nearestPreyDistance < HUNT_RANGE && ai.state !== 'fleeing') {
+                ai.state = 'hunting';
+                ai.targetPlayer = nearestPrey;
+                ai.stateTimer = 120;
+            }
+        },
+
+        /**
+         * Turns the AI according to its current state
+         * @param {Object} ai - AI state
+         * @param {Array} foods - Food the AI can go after when it has no prey
+         */
+        steer(ai, foods) {
+            switch (ai.state) {
+                case 'wandering':
+                    AIBehavior.wander(ai);
+                    break;
+
+                case 'hunting':
+                    if (ai.targetPlayer && ai.targetPlayer.isAlive) {
+                        // Head for the target, with slight randomness
+                        ai.angle = calculateAngle(ai.x, ai.y, ai.targetPlayer.x, ai.targetPlayer.y) + random(-Math.PI/8, Math.PI/8);
+                    } else {
+                        // Find food if no target player
+                        AIBehavior.findNearestFood(ai, foods);
+                    }
+                    break;
+
+                case 'fleeing':
+                    if (ai.fleeingFrom && ai.fleeingFrom.isAlive) {
+                        // Swim away, with randomness to make it harder to predict
+                        ai.angle = calculateAngle(ai.fleeingFrom.x, ai.fleeingFrom.y, ai.x, ai.y) + random(-Math.PI/4, Math.PI/4);
+                    } else {
+                        ai.state = 'wandering';
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Changes direction every few seconds
+         * @param {Object} ai - AI state
+         */
+        wander(ai) {
+            ai.changeDirectionCounter++;
+            if (ai.changeDirectionCounter >= ai.changeDirectionInterval) {
+                // Random direction with slight horizontal bias
+                if (Math.random() < 0.6) {
+                    ai.angle = (Math.random() < 0.5 ? 0 : Math.PI) + random(-Math.PI/3, Math.PI/3);
+                } else {
+                    ai.angle = random(0, Math.PI * 2);
+                }
+                ai.changeDirectionCounter = 0;
+                ai.changeDirectionInterval = random(100, 200);
+            }
+        },
+
+        /**
+         * Turns towards the closest food in range
+         * @param {Object} ai - AI state
+         * @param {Array} foods - Food items
+         */
+        findNearestFood(ai, foods) {
+            if (!foods || foods.length === 0) return;
+
+            let nearestFood = null;
+            let nearestDistance = Infinity;
+
+            for (const food of foods) {
+                const distance = calculateDistance(ai.x, ai.y, food.x, food.y);
+                if (distance < nearestDistance) {
+                    nearestFood = food;
+                    nearestDistance = distance;
+                }
+            }
+
+            if (nearestFood && nearestDistance < FOOD_RANGE) {
+                ai.angle = calculateAngle(ai.x, ai.y, nearestFood.x, nearestFood.y);
+            }
+        },
+
+        /**
+         * Keeps the AI inside the world, turning it away from the wall it hit
+         * @param {Object} ai - AI state
+         * @param {number} worldWidth - Width of the game world
+         * @param {number} worldHeight - Height of the game world
+         */
+        bounceOffWalls(ai, worldWidth, worldHeight) {
+            const margin = ai.radius;
+
+            if (ai.x <= margin) {
+                ai.x = margin;
+                ai.velocityX = 0;
+                ai.angle = random(-Math.PI/3, Math.PI/3); // Bounce right
+            } else if (ai.x >= worldWidth - margin) {
+                ai.x = worldWidth - margin;
+                ai.velocityX = 0;
+                ai.angle = Math.PI + random(-Math.PI/3, Math.PI/3); // Bounce left
+            }
+
+            if (ai.y <= margin) {
+                ai.y = margin;
+                ai.velocityY = 0;
+                ai.angle = random(0, Math.PI); // Bounce down
+            } else if (ai.y >= worldHeight - margin) {
+                ai.y = worldHeight - margin;
+                ai.velocityY = 0;
+                ai.angle = random(Math.PI, Math.PI * 2); // Bounce up
+            }
+        }
+    };
+
+    root.AIBehavior = AIBehavior;
+})(typeof window !== 'undefined' ? window : globalThis);
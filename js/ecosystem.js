@@ -0,0 +1,112 @@
+/**
+ * Ecosystem mode rules shared by the browser and the Node.js server
+ * In ecosystem mode enemies eat smaller enemies and food, and grow like players
+ * do, so a fish that survives long enough becomes an apex predator. Spawning
+ * is held back by a food budget: the world only supports as many size levels
+ * of enemy as it has food. EnemyBehavior and EnemySpecies have to load first.
+ * Loaded as a classic script in the browser and imported for its side effect
+ * on the server; exposes Ecosystem globally.
+ */
+(function(root) {
+    // Growth from a meal - twice what players get for a fish and five times for food,
+    // as enemies only find food they happen to swim into
+    const PREY_GROWTH = 2;
+    const FOOD_GROWTH = 0.5;
+
+    // Apex predators stop growing here
+    const MAX_SIZE_LEVEL = 15;
+
+    // Size levels of enemy each food item supports
+    const LEVELS_PER_FOOD = 1;
+
+    const { EnemyBehavior, EnemySpecies } = root;
+
+    function overlaps(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        return Math.sqrt(dx * dx + dy * dy) < a.radius + b.radius;
+    }
+
+    const Ecosystem = {
+        MAX_SIZE_LEVEL,
+
+        /**
+         * Checks if the food in the world can support another enemy
+         * @param {Array} enemies - Every enemy in the world
+         * @param {number} foodCount - Food items in the world
+         * @returns {boolean} True if a new enemy may spawn
+         */
+        canSpawn(enemies, foodCount) {
+            const biomass = enemies.reduce((sum, enemy) => sum + enemy.sizeLevel, 0);
+            return biomass < foodCount * LEVELS_PER_FOOD;
+        },
+
+        /**
+         * Checks if one enemy can eat another
+         * Uses the strictly-larger rule players follow; jellyfish and puffed
+         * pufferfish neither bite nor get bitten.
+         * @param {Object} eater - Enemy trying to eat
+         * @param {Object} prey - Enemy being eaten
+         * @returns {boolean} True if eater can eat prey
+         */
+        canEat(eater, prey) {
+            return eater !== prey &&
+                eater.radius > prey.radius &&
+                EnemySpecies.canBite(eater) &&
+                EnemySpecies.isEdible(prey);
+        },
+
+        /**
+         * Adds a meal's growth to an enemy and levels it up once it has eaten enough
+         * @param {Object} enemy - Enemy state
+         * @param {number} growth - Growth from the meal
+         */
+        feed(enemy, growth) {
+            if (enemy.sizeLevel >= MAX_SIZE_LEVEL) return;
+
+            enemy.fishEaten += growth;
+            if (enemy.fishEaten >= enemy.fishNeededToGrow) {
+                EnemyBehavior.grow(enemy);
+            }
+        },
+
+        /**
+         * Lets every enemy eat the smaller enemies and food it touches
+         * Eaters grow straight away; the caller removes what was eaten.
+         * @param {Array} enemies - Every enemy in the world
+         * @param {Function} findEnemies - (enemy, range) => enemies that may be within range of it
+         * @param {Function} findFoods - (enemy, range) => food that may be within range of it
+         * @returns {{enemiesEaten: Array, foodsEaten: Array}} Meals as { eater, prey } and { eater, food }
+         */
+        resolveMeals(enemies, findEnemies, findFoods) {
+            const enemiesEaten = [];
+            const foodsEaten = [];
+            const eaten = new Set(); // Enemies and food already eaten this pass
+
+            for (const eater of enemies) {
+                if (eaten.has(eater) || !EnemySpecies.canBite(eater)) continue;
+
+                // Prey is smaller, so anything touching is within twice the eater's radius
+                for (const prey of findEnemies(eater, eater.radius * 2)) {
+                    if (eaten.has(prey) || !Ecosystem.canEat(eater, prey) || !overlaps(eater, prey)) continue;
+
+                    eaten.add(prey);
+                    enemiesEaten.push({ eater, prey });
+                    Ecosystem.feed(eater, PREY_GROWTH);
+                }
+
+                for (const food of findFoods(eater, eater.radius * 2)) {
+                    if (eaten.has(food) || !overlaps(eater, food)) continue;
+
+                    eaten.add(food);
+                    foodsEaten.push({ eater, food });
+                    Ecosystem.feed(eater, FOOD_GROWTH);
+                }
+            }
+
+            return { enemiesEaten, foodsEaten };
+        }
+    };
+
+    root.Ecosystem = Ecosystem;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,672 @@
+/**
+ * Enemy fish behaviour shared by the browser and the Node.js server
+ * Works on plain enemy state objects so the server can simulate the same
+ * fish EnemyFish draws. Species-specific swimming comes from EnemySpecies,
+ * which has to load first. Small fish of species with a flocking config school
+ * boids-style with neighbours found through the caller's spatial query; fish
+ * that swim the default way hunt smaller fish found through the same query,
+ * and graze on food between hunts when the caller offers any (ecosystem mode).
+ * Loaded as a classic script in the browser and
+ * imported for its side effect on the server; exposes EnemyBehavior globally.
+ */
+(function(root) {
+    // How close a player has to be before an enemy reacts to them
+    const AWARENESS_RANGE = 250;
+
+    // Growth rules from PlayerFish: meals needed for the first level up, and how much more each level needs
+    const INITIAL_FISH_NEEDED_TO_GROW = 5;
+    const FISH_NEEDED_GROWTH_FACTOR = 1.5;
+
+    // Flocking fish turn this fast (radians per frame) towards their flock's heading
+    const FLOCK_TURN_RATE = 0.08;
+
+    // A bigger fish this close scatters a school; each fish bolts for a while before regrouping
+    const SCATTER_RANGE = 200;
+    const SCATTER_FRAMES = 45;
+    const SCATTER_TURN_RATE = 0.25;
+    const SCATTER_SPEED = 1.6;
+
+    // Hunters notice prey within AWARENESS_RANGE plus this many of their own radii,
+    // look for new prey every few frames and lose it beyond GIVE_UP_RANGE times that
+    const PERCEPTION_PER_RADIUS = 4;
+    const PREY_SCAN_FRAMES = 15;
+    const GIVE_UP_RANGE = 1.3;
+
+    // Chasing fish swim faster, turn harder and aim up to MAX_LEAD_FRAMES ahead of their prey
+    const CHASE_SPEED = 2.5;
+    const CHASE_TURN_RATE = 0.1;
+    const MAX_LEAD_FRAMES = 60;
+
+    // Energy runs from 0 to 1: a chase drains it in about 4 seconds, cruising refills it
+    // in about 10, and a hunter that runs dry rests slowly before it can hunt again
+    const CHASE_ENERGY_COST = 1 / 240;
+    const ENERGY_RECOVERY = 1 / 600;
+    const HUNT_ENERGY = 0.5;
+    const REST_FRAMES = 180;
+    const REST_SPEED = 0.4;
+
+    // Grazing hunters drift towards food at cruising speed
+    const GRAZE_TURN_RATE = 0.05;
+
+    // Random number between min and max (inclusive) - same as random() in utils.js
+    function random(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    function calculateAngle(x1, y1, x2, y2) {
+        return Math.atan2(y2 - y1, x2 - x1);
+    }
+
+    function calculateDistance(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function randomFloat(min, max) {
+        return min + Math.random() * (max - min);
+    }
+
+    // Turns a fish towards a heading by at most maxTurn radians
+    function turnToward(enemy, angle, maxTurn) {
+        const difference = Math.atan2(Math.sin(angle - enemy.angle), Math.cos(angle - enemy.angle));
+        enemy.angle += Math.max(-maxTurn, Math.min(maxTurn, difference));
+    }
+
+    // Finds no neighbours, for callers without a spatial query
+    function findNoNeighbors() {
+        return [];
+    }
+
+    // Players report their velocity; enemies swim along their heading (per frame)
+    function getVelocity(fish) {
+        if (fish.velocityX !== undefined) return { x: fish.velocityX, y: fish.velocityY };
+        if (fish.speed !== undefined) return { x: Math.cos(fish.angle) * fish.speed, y: Math.sin(fish.angle) * fish.speed };
+        return { x: 0, y: 0 };
+    }
+
+    const { EnemySpecies } = root;
+
+    const EnemyBehavior = {
+        /**
+         * Sets up a new enemy's species, size, position, movement and color
+         * @param {Object} enemy - Enemy state to initialize
+         * @param {number} playerSizeLevel - Size level the enemy is scaled against
+         * @param {number} worldWidth - Width of the game world
+         * @param {number} worldHeight - Height of the game world
+         * @param {string} species - Species key, picked at random by weight if left out
+         */
+        initialize(enemy, playerSizeLevel, worldWidth, worldHeight, species = EnemySpecies.pickSpecies()) {
+            const definition = EnemySpecies.get(species);
+            enemy.species = species;
+            enemy.worldWidth = worldWidth;
+            enemy.worldHeight = worldHeight;
+
+            // Some species come in one size band; the rest scale around the player
+            if (definition.sizeLevel) {
+                enemy.sizeLevel = definition.sizeLevel(playerSizeLevel);
+                enemy.radius = EnemyBehavior.calculateRadius(enemy.sizeLevel);
+            } else {
+                EnemyBehavior.determineSizeRelativeToPlayer(enemy, playerSizeLevel);
+            }
+
+            // Position outside the world (equal chance from all sides)
+            EnemyBehavior.positionOutsideWorld(enemy);
+
+            // Meals towards the next size level, for fish that feed in ecosystem mode
+            enemy.fishEaten = 0;
+            enemy.fishNeededToGrow = EnemyBehavior.calculateFishNeededToGrow(enemy.sizeLevel);
+
+            // Movement properties
+            enemy.cruiseSpeed = EnemyBehavior.calculateCruiseSpeed(enemy);
+            enemy.speed = enemy.cruiseSpeed;
+            enemy.angle = EnemyBehavior.determineInitialAngle(enemy);
+            enemy.targetX = worldWidth / 2 + random(-worldWidth / 3, worldWidth / 3);
+            enemy.targetY = worldHeight / 2 + random(-worldHeight / 3, worldHeight / 3);
+            enemy.changeDirectionCounter = 0;
+            enemy.changeDirectionInterval = random(100, 200);
+
+            enemy.color = definition.colors[Math.floor(Math.random() * definition.colors.length)];
+            enemy.pointValue = EnemySpecies.getPointValue(enemy);
+            enemy.scatterFrames = 0; // Frames left bolting from a threat, for flocking fish
+
+            // Hunting state
+            enemy.prey = null;
+            enemy.grazeTarget = null; // Food a hunter with nothing to chase swims to
+            enemy.energy = 1;
+            enemy.preyScanFrames = random(1, PREY_SCAN_FRAMES); // Staggered so hunters don't all look at once
+            enemy.tiredFrames = 0;
+
+            // Per-species state (lunge timers, puffing and so on)
+            if (definition.initialize) definition.initialize(enemy);
+        },
+
+        /**
+         * Gets how many extra fish should spawn alongside a new enemy
+         * @param {Object} enemy - Newly initialized enemy
+         * @returns {number} School mates to spawn, 0 for species that swim alone
+         */
+        getSchoolmateCount(enemy) {
+            const schoolSize = EnemySpecies.get(enemy.species).schoolSize;
+            return schoolSize ? random(schoolSize[0], schoolSize[1]) - 1 : 0;
+        },
+
+        /**
+         * Makes a freshly initialized enemy a school mate of another, next to it and heading the same way
+         * @param {Object} enemy - Enemy to turn into a school mate
+         * @param {Object} leader - Enemy the school formed around
+         */
+        joinSchool(enemy, leader) {
+            enemy.species = leader.species;
+            enemy.sizeLevel = leader.sizeLevel;
+            enemy.radius = leader.radius;
+            enemy.fishNeededToGrow = leader.fishNeededToGrow;
+            enemy.cruiseSpeed = leader.cruiseSpeed;
+            enemy.speed = leader.speed;
+            enemy.color = leader.color;
+            enemy.pointValue = leader.pointValue;
+
+            const angle = Math.random() * Math.PI * 2;
+            const distance = leader.radius * (2 + Math.random() * 2);
+            enemy.x = leader.x + Math.cos(angle) * distance;
+            enemy.y = leader.y + Math.sin(angle) * distance;
+            enemy.angle = leader.angle;
+            enemy.scatterFrames = 0;
+
+            const definition = EnemySpecies.get(enemy.species);
+            if (definition.initialize) definition.initialize(enemy);
+        },
+
+        /**
+         * Picks a size level around the player's and the matching radius
+         * @param {Object} enemy - Enemy state
+         * @param {number} playerSizeLevel - Size level to scale against
+         */
+        determineSizeRelativeToPlayer(enemy, playerSizeLevel) {
+            // Determine if this fish should be smaller, same size, or larger than player
+            const sizeRoll = Math.random();
+
+            if (sizeRoll < 0.6) { // 60% chance of smaller fish
+                enemy.sizeLevel = Math.max(1, playerSizeLevel - random(1, 2));
+            } else if (sizeRoll < 0.9) { // 30% chance of larger fish
+                enemy.sizeLevel = playerSizeLevel + random(1, 2);
+            } else { // 10% chance of much larger fish
+                enemy.sizeLevel = playerSizeLevel + random(3, 4);
+            }
+
+            enemy.radius = EnemyBehavior.calculateRadius(enemy.sizeLevel);
+        },
+
+        /**
+         * Gets the radius of an enemy at a size level
+         * Uses the same growth pattern as the player fish
+         * @param {number} sizeLevel - Enemy size level
+         * @returns {number} Radius
+         */
+        calculateRadius(sizeLevel) {
+            let radius = 10; // Base radius
+
+            // Add growth for each level above 1
+            for (let i = 1; i < sizeLevel; i++) {
+                radius += 5 + Math.floor(i / 2) * 2;
+            }
+
+            return radius;
+        },
+
+        /**
+         * Gets an enemy's normal swimming speed
+         * Smaller fish are faster, and the game runs at half speed.
+         * @param {Object} enemy - Enemy state with species and sizeLevel
+         * @returns {number} Speed per frame
+         */
+        calculateCruiseSpeed(enemy) {
+            return Math.max(0.5, 3 - (enemy.sizeLevel * 0.3)) * EnemySpecies.get(enemy.species).speed * 0.5;
+        },
+
+        /**
+         * Gets how many meals a fish at a size level needs to grow, as if it had grown there like a player
+         * @param {number} sizeLevel - Size level
+         * @returns {number} Meals needed for the next level
+         */
+        calculateFishNeededToGrow(sizeLevel) {
+            let fishNeededToGrow = INITIAL_FISH_NEEDED_TO_GROW;
+            for (let level = 1; level < sizeLevel; level++) {
+                fishNeededToGrow = Math.floor(fishNeededToGrow * FISH_NEEDED_GROWTH_FACTOR);
+            }
+            return fishNeededToGrow;
+        },
+
+        /**
+         * Grows an enemy one size level, by the same amount PlayerFish.grow() grows a player
+         * Bigger fish swim slower and are worth more.
+         * @param {Object} enemy - Enemy state
+         */
+        grow(enemy) {
+            enemy.sizeLevel++;
+            enemy.fishEaten = 0;
+            enemy.fishNeededToGrow = Math.floor(enemy.fishNeededToGrow * FISH_NEEDED_GROWTH_FACTOR);
+
+            const growthAmount = 5 + Math.floor(enemy.sizeLevel / 2) * 2;
+            enemy.radius += growthAmount;
+            if (enemy.baseRadius !== undefined) enemy.baseRadius += growthAmount; // Pufferfish puff from their base size
+
+            enemy.cruiseSpeed = EnemyBehavior.calculateCruiseSpeed(enemy);
+            enemy.pointValue = EnemySpecies.getPointValue(enemy);
+        },
+
+        /**
+         * Places an enemy just outside one of the world's edges
+         * @param {Object} enemy - Enemy state
+         */
+        positionOutsideWorld(enemy) {
+            const spawnSide = Math.random();
+
+            if (spawnSide < 0.25) {
+                // Spawn from left
+                enemy.x = -enemy.radius;
+                enemy.y = random(0, enemy.worldHeight);
+            } else if (spawnSide < 0.5) {
+                // Spawn from right
+                enemy.x = enemy.worldWidth + enemy.radius;
+                enemy.y = random(0, enemy.worldHeight);
+            } else if (spawnSide < 0.75) {
+                // Spawn from top
+                enemy.x = random(0, enemy.worldWidth);
+                enemy.y = -enemy.radius;
+            } else {
+                // Spawn from bottom
+                enemy.x = random(0, enemy.worldWidth);
+                enemy.y = enemy.worldHeight + enemy.radius;
+            }
+        },
+
+        /**
+         * Moves an enemy to a random spot inside the world, away from players
+         * @param {Object} enemy - Enemy state
+         * @param {Array} players - Fish to keep the enemy away from
+         * @param {number} minDistance - Minimum distance from every player
+         */
+        placeInWorld(enemy, players, minDistance) {
+            let attempts = 0;
+            let validPosition = false;
+
+            while (!validPosition && attempts < 10) {
+                // Generate random position
+                enemy.x = random(enemy.worldWidth * 0.1, enemy.worldWidth * 0.9);
+                enemy.y = random(enemy.worldHeight * 0.1, enemy.worldHeight * 0.9);
+
+                // Check distance from players
+                validPosition = players.every(player =>
+                    calculateDistance(enemy.x, enemy.y, player.x, player.y) > minDistance
+                );
+
+                attempts++;
+            }
+
+            // Set a random angle for fish spawned within the world
+            enemy.angle = random(0, Math.PI * 2);
+        },
+
+        /**
+         * Gets a starting angle pointing roughly into the world
+         * @param {Object} enemy - Enemy state
+         * @returns {number} Angle in radians
+         */
+        determineInitialAngle(enemy) {
+            // Calculate angle towards a random point in the world
+            const targetX = random(enemy.worldWidth * 0.2, enemy.worldWidth * 0.8);
+            const targetY = random(enemy.worldHeight * 0.2, enemy.worldHeight * 0.8);
+
+            // Calculate angle to target, with some randomness
+            return Math.atan2(targetY - enemy.y, targetX - enemy.x) + random(-Math.PI/4, Math.PI/4);
+        },
+
+        /**
+         * Moves an enemy one frame: swim, bounce off walls and change direction
+         * @param {Object} enemy - Enemy state
+         * @param {Object|null} target - Player the enemy reacts to (x, y and radius)
+         * @param {Function} findNeighbors - (enemy, range) => fish that may be within range of it
+         * @param {Function} findFoods - (enemy, range) => food that may be within range of it, for hunters to graze on
+         * @returns {boolean} True if the fish should be removed
+         */
+        update(enemy, target, findNeighbors = findNoNeighbors, findFoods = findNoNeighbors) {
+            // Flock, let the species set this frame's speed and heading, or hunt
+            const definition = EnemySpecies.get(enemy.species);
+            const flocking = EnemyBehavior.getFlocking(enemy);
+            if (flocking) {
+                EnemyBehavior.flock(enemy, target, findNeighbors, flocking);
+            } else if (definition.swim) {
+                definition.swim(enemy, target);
+            } else if (!definition.react) {
+                EnemyBehavior.hunt(enemy, target, findNeighbors, findFoods);
+            }
+
+            // Move in current direction with equal horizontal and vertical movement
+            enemy.x += Math.cos(enemy.angle) * enemy.speed;
+            enemy.y += Math.sin(enemy.angle) * enemy.speed;
+
+            // Keep fish within world bounds
+            const margin = enemy.radius;
+
+            if (enemy.x < margin) {
+                enemy.x = margin;
+                // Bounce off left wall
+                enemy.angle = random(-Math.PI/3, Math.PI/3); // Angle towards right
+            } else if (enemy.x > enemy.worldWidth - margin) {
+                enemy.x = enemy.worldWidth - margin;
+                // Bounce off right wall
+                enemy.angle = Math.PI + random(-Math.PI/3, Math.PI/3); // Angle towards left
+            }
+
+            if (enemy.y < margin) {
+                enemy.y = margin;
+                // Bounce off top wall
+                enemy.angle = random(0, Math.PI); // Angle downward
+            } else if (enemy.y > enemy.worldHeight - margin) {
+                enemy.y = enemy.worldHeight - margin;
+                // Bounce off bottom wall
+                enemy.angle = random(Math.PI, Math.PI * 2); // Angle upward
+            }
+
+            // Occasionally change direction
+            enemy.changeDirectionCounter++;
+            if (enemy.changeDirectionCounter >= enemy.changeDirectionInterval) {
+                EnemyBehavior.changeDirection(enemy, target);
+                enemy.changeDirectionCounter = 0;
+                enemy.changeDirectionInterval = random(150, 300); // Longer intervals for more natural movement
+            }
+
+            // Add slight random movement for more natural swimming
+            if (Math.random() < 0.05) { // 5% chance each frame
+                enemy.angle += random(-Math.PI/16, Math.PI/16); // Slight random angle change
+            }
+
+            // Check if fish is far outside the world and should be removed
+            return EnemyBehavior.isOutsideBounds(enemy);
+        },
+
+        /**
+         * Picks a new heading: flee bigger fish, otherwise wander
+         * Hunters keep their heading while they chase, and species with their
+         * own react() hook decide for themselves.
+         * @param {Object} enemy - Enemy state
+         * @param {Object|null} target - Fish the enemy reacts to (x, y and radius)
+         */
+        changeDirection(enemy, target) {
+            // Flocking fish only nudge their heading, so the school holds together
+            if (EnemyBehavior.getFlocking(enemy)) {
+                enemy.angle += randomFloat(-0.3, 0.3);
+                return;
+            }
+
+            const definition = EnemySpecies.get(enemy.species);
+            if (definition.react) {
+                definition.react(enemy, target);
+                return;
+            }
+
+            if (enemy.prey || enemy.grazeTarget) return;
+
+            if (!target) {
+                // Nobody around - fully random movement
+                enemy.angle = random(0, Math.PI * 2);
+                return;
+            }
+
+            // Calculate distance to player
+            const distanceToPlayer = calculateDistance(enemy.x, enemy.y, target.x, target.y);
+            const playerAware = distanceToPlayer < AWARENESS_RANGE;
+
+            if (enemy.radius < target.radius * 0.8 && playerAware) {
+                // Flee from player if close, with some randomness to avoid predictable movement
+                enemy.angle = calculateAngle(target.x, target.y, enemy.x, enemy.y) + random(-Math.PI/4, Math.PI/4);
+            } else {
+                // Fully random movement with no bias - hunt() does the chasing
+                enemy.angle = random(0, Math.PI * 2);
+            }
+        },
+
+        /**
+         * Gets how far away a fish notices others, which grows with its size
+         * @param {Object} enemy - Enemy state
+         * @returns {number} Perception radius
+         */
+        getPerceptionRange(enemy) {
+            return AWARENESS_RANGE + enemy.radius * PERCEPTION_PER_RADIUS;
+        },
+
+        /**
+         * Checks if a fish is something an enemy could catch and eat
+         * @param {Object} enemy - Hunting enemy
+         * @param {Object} fish - Player or enemy
+         * @param {number} range - How far away the fish may be
+         * @returns {boolean} True if the fish is worth chasing
+         */
+        isPrey(enemy, fish, range) {
+            return fish !== enemy &&
+                fish.isAlive !== false &&
+                enemy.radius > fish.radius * 1.2 &&
+                EnemySpecies.isEdible(fish) &&
+                calculateDistance(enemy.x, enemy.y, fish.x, fish.y) < range;
+        },
+
+        /**
+         * Finds the closest prey within range of an enemy
+         * @param {Object} enemy - Hunting enemy
+         * @param {Object|null} target - Player the enemy reacts to
+         * @param {Function} findNeighbors - (enemy, range) => fish that may be within range of it
+         * @param {number} range - How far to look
+         * @returns {Object|null} Player or enemy to chase, or null if there is none
+         */
+        findPrey(enemy, target, findNeighbors, range) {
+            const candidates = target ? [...findNeighbors(enemy, range), target] : findNeighbors(enemy, range);
+
+            let prey = null;
+            let preyDistance = Infinity;
+            for (const fish of candidates) {
+                if (!EnemyBehavior.isPrey(enemy, fish, range)) continue;
+
+                const distance = calculateDistance(enemy.x, enemy.y, fish.x, fish.y);
+                if (distance < preyDistance) {
+                    prey = fish;
+                    preyDistance = distance;
+                }
+            }
+
+            return prey;
+        },
+
+        /**
+         * Finds the closest food within range of an enemy
+         * @param {Object} enemy - Grazing enemy
+         * @param {Function} findFoods - (enemy, range) => food that may be within range of it
+         * @param {number} range - How far to look
+         * @returns {Object|null} Food to swim to, or null if there is none
+         */
+        findFood(enemy, findFoods, range) {
+            let closest = null;
+            let closestDistance = range;
+            for (const food of findFoods(enemy, range)) {
+                const distance = calculateDistance(enemy.x, enemy.y, food.x, food.y);
+                if (distance < closestDistance) {
+                    closest = food;
+                    closestDistance = distance;
+                }
+            }
+            return closest;
+        },
+
+        /**
+         * Hunts for one frame: look for prey, chase it, and tire
+         * A chase aims where the prey will be by the time the hunter gets there,
+         * and costs energy; a hunter that runs out gives up and rests, and one
+         * whose prey gets away, grows too big or can't be eaten lets it go.
+         * With nothing to chase, it grazes on the closest food it's offered.
+         * @param {Object} enemy - Enemy state
+         * @param {Object|null} target - Player the enemy reacts to
+         * @param {Function} findNeighbors - (enemy, range) => fish that may be within range of it
+         * @param {Function} findFoods - (enemy, range) => food that may be within range of it
+         */
+        hunt(enemy, target, findNeighbors, findFoods = findNoNeighbors) {
+            if (enemy.tiredFrames > 0) {
+                enemy.tiredFrames--;
+                enemy.speed = enemy.cruiseSpeed * REST_SPEED;
+                enemy.energy = Math.min(1, enemy.energy + ENERGY_RECOVERY);
+                return;
+            }
+
+            // Every few frames look around again: a rested hunter picks prey, a chasing one
+            // switches to anything closer and loses prey that left the neighbourhood
+            const range = EnemyBehavior.getPerceptionRange(enemy);
+            enemy.preyScanFrames--;
+            if (enemy.preyScanFrames <= 0) {
+                enemy.preyScanFrames = PREY_SCAN_FRAMES;
+                if (enemy.prey || enemy.energy >= HUNT_ENERGY) {
+                    enemy.prey = EnemyBehavior.findPrey(enemy, target, findNeighbors, enemy.prey ? range * GIVE_UP_RANGE : range);
+                }
+                enemy.grazeTarget = enemy.prey ? null : EnemyBehavior.findFood(enemy, findFoods, range);
+            } else if (enemy.prey && !EnemyBehavior.isPrey(enemy, enemy.prey, range * GIVE_UP_RANGE)) {
+                enemy.prey = null;
+            }
+
+            if (!enemy.prey) {
+                enemy.speed = enemy.cruiseSpeed;
+                enemy.energy = Math.min(1, enemy.energy + ENERGY_RECOVERY);
+                if (enemy.grazeTarget) {
+                    turnToward(enemy, calculateAngle(enemy.x, enemy.y, enemy.grazeTarget.x, enemy.grazeTarget.y), GRAZE_TURN_RATE);
+                }
+                return;
+            }
+
+            // Lead the prey by how far it swims while we close the gap
+            const prey = enemy.prey;
+            const chaseSpeed = enemy.cruiseSpeed * CHASE_SPEED;
+            const velocity = getVelocity(prey);
+            const leadFrames = Math.min(MAX_LEAD_FRAMES, calculateDistance(enemy.x, enemy.y, prey.x, prey.y) / chaseSpeed);
+            const aimX = prey.x + velocity.x * leadFrames;
+            const aimY = prey.y + velocity.y * leadFrames;
+
+            turnToward(enemy, calculateAngle(enemy.x, enemy.y, aimX, aimY), CHASE_TURN_RATE);
+            enemy.speed = chaseSpeed;
+
+            enemy.energy -= CHASE_ENERGY_COST;
+            if (enemy.energy <= 0) {
+                enemy.energy = 0;
+                enemy.prey = null;
+                enemy.tiredFrames = REST_FRAMES;
+            }
+        },
+
+        /**
+         * Gets the flocking config an enemy follows, if it flocks at its size
+         * @param {Object} enemy - Enemy state
+         * @returns {Object|null} The species' flocking weights, or null if it swims alone
+         */
+        getFlocking(enemy) {
+            const flocking = EnemySpecies.get(enemy.species).flocking;
+            if (!flocking || enemy.sizeLevel > (flocking.maxSizeLevel || Infinity)) return null;
+            return flocking;
+        },
+
+        /**
+         * Steers a flocking fish for one frame
+         * A bigger fish close by (the target, or an enemy that can bite) scatters
+         * the school; otherwise the fish keeps its distance from, matches the
+         * heading of and drifts towards the middle of flock mates (same species
+         * and size) in range.
+         * @param {Object} enemy - Enemy state
+         * @param {Object|null} target - Fish the enemy reacts to (x, y and radius)
+         * @param {Function} findNeighbors - (enemy, range) => enemies that may be within range of it
+         * @param {Object} flocking - Flocking weights from getFlocking()
+         */
+        flock(enemy, target, findNeighbors, flocking) {
+            const candidates = findNeighbors(enemy, Math.max(flocking.range, SCATTER_RANGE));
+
+            // Nearest bigger fish that could eat us
+            let threat = null;
+            let threatDistance = SCATTER_RANGE;
+            if (target && target.radius > enemy.radius) {
+                const distance = calculateDistance(enemy.x, enemy.y, target.x, target.y);
+                if (distance < threatDistance) {
+                    threat = target;
+                    threatDistance = distance;
+                }
+            }
+            for (const other of candidates) {
+                if (other === enemy || other.radius <= enemy.radius || !EnemySpecies.canBite(other)) continue;
+
+                const distance = calculateDistance(enemy.x, enemy.y, other.x, other.y);
+                if (distance < threatDistance) {
+                    threat = other;
+                    threatDistance = distance;
+                }
+            }
+
+            // Each fish bolts straight away from the threat with a little spread, so the school bursts apart
+            if (threat) {
+                enemy.scatterFrames = SCATTER_FRAMES;
+                enemy.scatterAngle = calculateAngle(threat.x, threat.y, enemy.x, enemy.y) + randomFloat(-0.5, 0.5);
+            }
+            if (enemy.scatterFrames > 0) {
+                enemy.scatterFrames--;
+                turnToward(enemy, enemy.scatterAngle, SCATTER_TURN_RATE);
+                enemy.speed = enemy.cruiseSpeed * SCATTER_SPEED;
+                return;
+            }
+            enemy.speed = enemy.cruiseSpeed;
+
+            let count = 0;
+            let headingX = 0, headingY = 0;
+            let centerX = 0, centerY = 0;
+            let awayX = 0, awayY = 0;
+
+            for (const other of candidates) {
+                // Schools are one species and one size, so nobody in them is a threat to the rest
+                if (other === enemy || other.species !== enemy.species || other.sizeLevel !== enemy.sizeLevel) continue;
+
+                const distance = calculateDistance(enemy.x, enemy.y, other.x, other.y);
+                if (distance > flocking.range) continue;
+
+                headingX += Math.cos(other.angle);
+                headingY += Math.sin(other.angle);
+                centerX += other.x;
+                centerY += other.y;
+                count++;
+
+                // Push away harder the closer a flock mate is
+                if (distance > 0 && distance < enemy.radius * 2) {
+                    awayX += (enemy.x - other.x) / distance * (1 - distance / (enemy.radius * 2));
+                    awayY += (enemy.y - other.y) / distance * (1 - distance / (enemy.radius * 2));
+                }
+            }
+
+            if (count === 0) return;
+
+            const desiredX = flocking.alignment * headingX / count +
+                flocking.cohesion * (centerX / count - enemy.x) / flocking.range +
+                flocking.separation * awayX;
+            const desiredY = flocking.alignment * headingY / count +
+                flocking.cohesion * (centerY / count - enemy.y) / flocking.range +
+                flocking.separation * awayY;
+            turnToward(enemy, Math.atan2(desiredY, desiredX), FLOCK_TURN_RATE);
+        },
+
+        /**
+         * Checks if an enemy has swum far outside the world
+         * @param {Object} enemy - Enemy state
+         * @returns {boolean} True if the fish should be removed
+         */
+        isOutsideBounds(enemy) {
+            const margin = enemy.radius * 2;
+            return (
+                enemy.x < -margin ||
+                enemy.x > enemy.worldWidth + margin ||
+                enemy.y < -margin ||
+                enemy.y > enemy.worldHeight + margin
+            );
+        }
+    };
+
+    root.EnemyBehavior = EnemyBehavior;
+})(typeof window !== 'undefined' ? window : globalThis);
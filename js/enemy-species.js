@@ -0,0 +1,290 @@
+/**
+ * Enemy fish species shared by the browser and the Node.js server
+ * Each species sets its look, size, speed and point value, and can take over
+ * how its fish swim: swim() runs every frame and react() replaces the
+ * periodic wander/chase/flee turn in EnemyBehavior. Species with a flocking
+ * config school with their own kind instead (see EnemyBehavior.flock()), and
+ * species with none of these swim like ordinary reef fish. Loaded as a classic script in the browser
+ * before enemy-behavior.js and imported for its side effect on the server;
+ * exposes EnemySpecies globally.
+ */
+(function(root) {
+    // Groupers lunge at prey this close, then rest before they can lunge again (frames)
+    const LUNGE_RANGE = 180;
+    const LUNGE_FRAMES = 30;
+    const REST_FRAMES = 120;
+
+    // Eels dart at prey or away from predators this close
+    const DART_RANGE = 250;
+
+    // Pufferfish inflate when a bigger fish comes this close, stay puffed for a while,
+    // then need to recover before they can puff again (frames)
+    const PUFF_RANGE = 150;
+    const PUFF_FRAMES = 150;
+    const PUFF_RECOVERY_FRAMES = 180;
+    const PUFF_GROWTH = 0.6; // Extra radius when fully puffed
+
+    // Random integer between min and max (inclusive) - same as random() in utils.js
+    function random(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    function randomFloat(min, max) {
+        return min + Math.random() * (max - min);
+    }
+
+    function calculateAngle(x1, y1, x2, y2) {
+        return Math.atan2(y2 - y1, x2 - x1);
+    }
+
+    function calculateDistance(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Shape proportions are multiples of the radius. Flocking weights steer towards
+    // room from (separation), the heading of (alignment) and the middle of (cohesion)
+    // flock mates within range; maxSizeLevel limits flocking to the smaller fish.
+    const SPECIES = {
+        reefFish: {
+            name: 'Reef Fish',
+            weight: 0.4,
+            colors: ['#3399FF', '#FF6633', '#33CC33', '#CC33CC', '#FFCC33', '#FF3366', '#33CCCC'],
+            pointsPerLevel: 10,
+            speed: 1,
+            flocking: { range: 130, separation: 1.5, alignment: 0.6, cohesion: 1, maxSizeLevel: 3 },
+            shape: { bodyLength: 1.8, bodyWidth: 1.2, tailLength: 0.8, tailWidth: 0.6, finSize: 0.4 }
+        },
+
+        sardine: {
+            name: 'Sardine',
+            weight: 0.15,
+            colors: ['#B0C4DE', '#A9BCD0', '#C0D6E4'],
+            pointsPerLevel: 5,
+            speed: 1.4,
+            schoolSize: [4, 6],
+            flocking: { range: 160, separation: 1.5, alignment: 1, cohesion: 1.5 },
+            shape: { bodyLength: 2.2, bodyWidth: 0.8, tailLength: 0.8, tailWidth: 0.6, finSize: 0.3 },
+
+            // Always small enough to be someone's snack
+            sizeLevel: playerSizeLevel => Math.max(1, playerSizeLevel - random(1, 2))
+        },
+
+        grouper: {
+            name: 'Grouper',
+            weight: 0.1,
+            colors: ['#6B8E23', '#8B7355', '#556B2F'],
+            pointsPerLevel: 15,
+            speed: 1,
+            shape: { bodyLength: 1.7, bodyWidth: 1.4, tailLength: 0.7, tailWidth: 0.7, finSize: 0.5 },
+
+            // Ambush predators are bigger than what they hunt
+            sizeLevel: playerSizeLevel => playerSizeLevel + random(1, 3),
+
+            initialize(enemy) {
+                enemy.lungeFrames = 0;
+                enemy.restFrames = 0;
+            },
+
+            swim(enemy, target) {
+                if (enemy.lungeFrames > 0) {
+                    enemy.lungeFrames--;
+                    enemy.speed = enemy.cruiseSpeed * 5;
+                    if (enemy.lungeFrames === 0) enemy.restFrames = REST_FRAMES;
+                    return;
+                }
+
+                // Lurk almost still until prey swims past
+                enemy.speed = enemy.cruiseSpeed * 0.1;
+                if (enemy.restFrames > 0) {
+                    enemy.restFrames--;
+                    return;
+                }
+
+                if (target && target.radius < enemy.radius &&
+                    calculateDistance(enemy.x, enemy.y, target.x, target.y) < LUNGE_RANGE) {
+                    enemy.angle = calculateAngle(enemy.x, enemy.y, target.x, target.y);
+                    enemy.lungeFrames = LUNGE_FRAMES;
+                }
+            },
+
+            // Lurkers don't go looking for anything
+            react() {}
+        },
+
+        eel: {
+            name: 'Eel',
+            weight: 0.12,
+            colors: ['#4B5320', '#2F4F4F', '#5D4037'],
+            pointsPerLevel: 12,
+            speed: 1,
+            shape: { bodyLength: 2.8, bodyWidth: 0.5, tailLength: 0.6, tailWidth: 0.4, finSize: 0.2 },
+
+            initialize(enemy) {
+                enemy.dartFrames = random(30, 90);
+            },
+
+            swim(enemy, target) {
+                // Glide to a crawl after each dart
+                enemy.speed = Math.max(enemy.cruiseSpeed * 0.4, enemy.speed * 0.96);
+
+                enemy.dartFrames--;
+                if (enemy.dartFrames > 0) return;
+                enemy.dartFrames = random(60, 120);
+
+                // Dart at smaller fish, away from bigger ones, or off somewhere new
+                if (target && calculateDistance(enemy.x, enemy.y, target.x, target.y) < DART_RANGE) {
+                    enemy.angle = target.radius < enemy.radius
+                        ? calculateAngle(enemy.x, enemy.y, target.x, target.y)
+                        : calculateAngle(target.x, target.y, enemy.x, enemy.y);
+                } else {
+                    enemy.angle += randomFloat(-Math.PI / 2, Math.PI / 2);
+                }
+                enemy.speed = enemy.cruiseSpeed * 4;
+            },
+
+            // Darts pick the direction
+            react() {}
+        },
+
+        pufferfish: {
+            name: 'Pufferfish',
+            weight: 0.12,
+            colors: ['#F4D03F', '#E9C46A', '#D4A373'],
+            pointsPerLevel: 20,
+            speed: 0.6,
+            shape: { bodyLength: 1.3, bodyWidth: 1.2, tailLength: 0.5, tailWidth: 0.5, finSize: 0.3 },
+
+            initialize(enemy) {
+                enemy.baseRadius = enemy.radius;
+                enemy.puffFrames = 0;
+                enemy.recoveryFrames = 0;
+                enemy.inflation = 0; // 0 deflated, 1 fully puffed
+                enemy.puffed = false;
+            },
+
+            swim(enemy, target) {
+                const threatened = target && target.radius > enemy.baseRadius &&
+                    calculateDistance(enemy.x, enemy.y, target.x, target.y) < PUFF_RANGE;
+
+                // Puffing up tires them out, so a patient predator gets its chance
+                if (enemy.puffFrames > 0) {
+                    enemy.puffFrames--;
+                    if (enemy.puffFrames === 0) enemy.recoveryFrames = PUFF_RECOVERY_FRAMES;
+                } else if (enemy.recoveryFrames > 0) {
+                    enemy.recoveryFrames--;
+                } else if (threatened) {
+                    enemy.puffFrames = PUFF_FRAMES;
+                }
+                enemy.puffed = enemy.puffFrames > 0;
+
+                // Swell up and shrink back over a few frames, slowing down while puffed
+                const step = enemy.puffed ? 0.08 : -0.08;
+                enemy.inflation = Math.max(0, Math.min(1, enemy.inflation + step));
+                enemy.radius = enemy.baseRadius * (1 + PUFF_GROWTH * enemy.inflation);
+                enemy.speed = enemy.cruiseSpeed * (1 - 0.7 * enemy.inflation);
+            }
+        },
+
+        jellyfish: {
+            name: 'Jellyfish',
+            weight: 0.11,
+            colors: ['#FF9ECF', '#C9A0FF', '#9EE7FF'],
+            pointsPerLevel: 0,
+            speed: 0.5,
+            inedible: true,
+            stings: true,
+            shape: { bodyLength: 1, bodyWidth: 1, tailLength: 1.5, tailWidth: 0.8, finSize: 0 },
+
+            initialize(enemy) {
+                enemy.pulse = Math.random() * Math.PI * 2;
+            },
+
+            // Swim in pulses of the bell
+            swim(enemy) {
+                enemy.pulse = (enemy.pulse + 0.05) % (Math.PI * 2);
+                enemy.speed = enemy.cruiseSpeed * Math.max(0, Math.sin(enemy.pulse)) * 2;
+            },
+
+            // Drift with the current, never after anyone
+            react(enemy) {
+                enemy.angle += randomFloat(-Math.PI / 4, Math.PI / 4);
+            }
+        }
+    };
+
+    const EnemySpecies = {
+        SPECIES,
+        DEFAULT: 'reefFish',
+
+        // Time between two stings of the same player (ms)
+        STING_COOLDOWN: 2000,
+
+        /**
+         * Picks a random species by weight
+         * @returns {string} Species key
+         */
+        pickSpecies() {
+            const species = Object.keys(SPECIES);
+            const totalWeight = species.reduce((sum, key) => sum + SPECIES[key].weight, 0);
+            let roll = Math.random() * totalWeight;
+
+            for (const key of species) {
+                roll -= SPECIES[key].weight;
+                if (roll < 0) return key;
+            }
+
+            return EnemySpecies.DEFAULT;
+        },
+
+        /**
+         * Gets a species' definition
+         * Unknown species (say, from a newer server) fall back to reef fish.
+         * @param {string} species - Species key
+         * @returns {Object} Definition
+         */
+        get(species) {
+            return Object.prototype.hasOwnProperty.call(SPECIES, species) ? SPECIES[species] : SPECIES[EnemySpecies.DEFAULT];
+        },
+
+        /**
+         * Gets the points an enemy is worth when eaten
+         * @param {Object} enemy - Enemy state with species and sizeLevel
+         * @returns {number} Points
+         */
+        getPointValue(enemy) {
+            return EnemySpecies.get(enemy.species).pointsPerLevel * enemy.sizeLevel;
+        },
+
+        /**
+         * Checks if an enemy can be eaten right now (jellyfish never, pufferfish not while puffed)
+         * @param {Object} enemy - Enemy state
+         * @returns {boolean} True if a bigger fish may eat it
+         */
+        isEdible(enemy) {
+            return !EnemySpecies.get(enemy.species).inedible && !enemy.puffed;
+        },
+
+        /**
+         * Checks if an enemy can eat smaller fish right now
+         * Jellyfish sting instead, and a puffed pufferfish only defends itself.
+         * @param {Object} enemy - Enemy state
+         * @returns {boolean} True if it may eat a smaller fish
+         */
+        canBite(enemy) {
+            return !EnemySpecies.get(enemy.species).stings && !enemy.puffed;
+        },
+
+        /**
+         * Checks if touching an enemy stings
+         * @param {Object} enemy - Enemy state
+         * @returns {boolean} True for stinging species
+         */
+        stings(enemy) {
+            return EnemySpecies.get(enemy.species).stings === true;
+        }
+    };
+
+    root.EnemySpecies = EnemySpecies;
+})(typeof window !== 'undefined' ? window : globalThis);
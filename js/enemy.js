@@ -1,6 +1,7 @@
 /**
  * EnemyFish class represents AI-controlled fish in the game
- * These fish have different behaviors based on their size relative to the player
+ * Each fish belongs to a species from EnemySpecies, which decides how it swims;
+ * this class draws every species its own way.
  * @class
  */
 class EnemyFish {
@@ -10,31 +11,16 @@ class EnemyFish {
      * @param {number} playerSizeLevel - The player's current size level
      * @param {number} worldWidth - Width of the game world
      * @param {number} worldHeight - Height of the game world
+     * @param {string} species - Species key, picked at random if left out
      */
-    constructor(canvas, playerSizeLevel, worldWidth = null, worldHeight = null) {
+    constructor(canvas, playerSizeLevel, worldWidth = null, worldHeight = null, species = undefined) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
 
-        // World dimensions
-        this.worldWidth = worldWidth || canvas.width;
-        this.worldHeight = worldHeight || canvas.height;
-
-        // Determine size relative to player
-        this.determineSizeRelativeToPlayer(playerSizeLevel);
-
-        // Position outside the canvas (primarily from left or right sides)
-        this.positionOutsideCanvas();
-
-        // Movement properties
-        this.speed = this.determineSpeed();
-        this.angle = this.determineInitialAngle();
-        this.targetX = this.determineTargetX();
-        this.targetY = this.determineTargetY();
-        this.changeDirectionCounter = 0;
-        this.changeDirectionInterval = random(100, 200);
+        // Species, size, position, movement and color (shared with the server simulation)
+        EnemyBehavior.initialize(this, playerSizeLevel, worldWidth || WorldConfig.DEFAULT_WIDTH, worldHeight || WorldConfig.DEFAULT_HEIGHT, species);
 
         // Visual properties
-        this.color = this.determineColor();
         this.eyeColor = 'white';
         this.pupilColor = 'black';
 
@@ -46,224 +32,65 @@ class EnemyFish {
         this.finAnimationSpeed = 0.05 + Math.random() * 0.03;
 
         // Fish shape properties
-        this.bodyLength = this.radius * 1.8; // Longer body for more fish-like appearance
-        this.bodyWidth = this.radius * 1.2;  // Slightly wider than tall
-        this.tailLength = this.radius * 0.8;
-        this.tailWidth = this.radius * 0.6;
-        this.finSize = this.radius * 0.4;
-
-        // Set default point value based on size
-        this.pointValue = 10 * this.sizeLevel;
-
-        // Slow down the game by 2x as requested
-        this.speed *= 0.5;
-    }
-
-    determineColor() {
-        // Generate a random fish color
-        const colors = [
-            '#3399FF', // Blue
-            '#FF6633', // Orange
-            '#33CC33', // Green
-            '#CC33CC', // Purple
-            '#FFCC33', // Yellow
-            '#FF3366', // Pink
-            '#33CCCC'  // Teal
-        ];
-
-        return colors[Math.floor(Math.random() * colors.length)];
-    }
-
-    positionOutsideCanvas() {
-        // Determine spawn location (equal chance from all sides)
-        const spawnSide = Math.random();
-
-        if (spawnSide < 0.25) {
-            // Spawn from left
-            this.x = -this.radius;
-            this.y = random(0, this.worldHeight);
-        } else if (spawnSide < 0.5) {
-            // Spawn from right
-            this.x = this.worldWidth + this.radius;
-            this.y = random(0, this.worldHeight);
-        } else if (spawnSide < 0.75) {
-            // Spawn from top
-            this.x = random(0, this.worldWidth);
-            this.y = -this.radius;
-        } else {
-            // Spawn from bottom
-            this.x = random(0, this.worldWidth);
-            this.y = this.worldHeight + this.radius;
-        }
-    }
-
-    determineSizeRelativeToPlayer(playerSizeLevel) {
-        // Determine if this fish should be smaller, same size, or larger than player
-        const sizeRoll = Math.random();
-
-        if (sizeRoll < 0.6) { // 60% chance of smaller fish
-            this.sizeLevel = Math.max(1, playerSizeLevel - random(1, 2));
-        } else if (sizeRoll < 0.9) { // 30% chance of larger fish
-            this.sizeLevel = playerSizeLevel + random(1, 2);
-        } else { // 10% chance of much larger fish
-            this.sizeLevel = playerSizeLevel + random(3, 4);
-        }
-
-        // Calculate radius using the same formula as the player fish
-        // This ensures enemy fish match the player's growth pattern
-        this.radius = 10; // Base radius
-
-        // Add growth for each level above 1
-        for (let i = 1; i < this.sizeLevel; i++) {
-            this.radius += 5 + Math.floor(i / 2) * 2;
-        }
-    }
-
-    determineSpeed() {
-        // Smaller fish are faster, larger fish are slower
-        // Reduced overall speed for more relaxed gameplay
-        return Math.max(0.5, 3 - (this.sizeLevel * 0.3));
-    }
-
-    determineInitialAngle() {
-        // Calculate angle towards a random point in the world
-        const targetX = random(this.worldWidth * 0.2, this.worldWidth * 0.8);
-        const targetY = random(this.worldHeight * 0.2, this.worldHeight * 0.8);
-
-        // Calculate angle to target
-        let angle = Math.atan2(targetY - this.y, targetX - this.x);
-
-        // Add some randomness to the angle
-        angle += random(-Math.PI/4, Math.PI/4);
-
-        return angle;
-    }
-
-    determineTargetX() {
-        return this.worldWidth / 2 + random(-this.worldWidth / 3, this.worldWidth / 3);
-    }
+        this.updateShape();
 
-    determineTargetY() {
-        return this.worldHeight / 2 + random(-this.worldHeight / 3, this.worldHeight / 3);
+        // Interpolation buffer for enemies simulated by the server
+        this.buffer = null;
     }
 
-    determineColor() {
-        // Generate a random fish color
-        const colors = [
-            '#3399FF', // Blue
-            '#FF6633', // Orange
-            '#33CC33', // Green
-            '#CC33CC', // Purple
-            '#FFCC33', // Yellow
-            '#FF3366', // Pink
-            '#33CCCC'  // Teal
-        ];
-
-        return colors[Math.floor(Math.random() * colors.length)];
+    /**
+     * Creates an enemy fish that mirrors one simulated by the server
+     * @param {HTMLCanvasElement} canvas - The game canvas element
+     * @param {Object} enemyData - Enemy data from a server snapshot
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     * @returns {EnemyFish} The enemy fish
+     */
+    static fromServer(canvas, enemyData, worldWidth, worldHeight) {
+        const enemy = new EnemyFish(canvas, enemyData.sizeLevel, worldWidth, worldHeight, enemyData.species);
+
+        enemy.id = enemyData.id;
+        enemy.x = enemyData.x;
+        enemy.y = enemyData.y;
+        enemy.angle = enemyData.angle;
+        enemy.sizeLevel = enemyData.sizeLevel;
+        enemy.radius = enemyData.radius;
+        enemy.color = enemyData.color;
+        enemy.puffed = enemyData.puffed;
+        enemy.pointValue = EnemySpecies.getPointValue(enemy);
+        enemy.buffer = new SnapshotBuffer();
+        enemy.updateShape();
+
+        return enemy;
     }
 
     /**
      * Updates the enemy fish's position and state
-     * @param {number} playerX - Player's X position
-     * @param {number} playerY - Player's Y position
-     * @param {number} playerRadius - Player's radius
+     * @param {PlayerFish} player - The player, which enemies flee from and hunt
+     * @param {Function} findNeighbors - (enemy, range) => enemies that may be within range, for fish that school or hunt
+     * @param {Function} findFoods - (enemy, range) => food that may be within range, for hunters to graze on
      * @returns {boolean} True if the fish should be removed
      */
-    update(playerX, playerY, playerRadius) {
-        // Move in current direction with equal horizontal and vertical movement
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed;
+    update(player, findNeighbors = undefined, findFoods = undefined) {
+        const shouldRemove = EnemyBehavior.update(this, player, findNeighbors, findFoods);
 
         // Update animation values
         this.updateAnimations();
 
-        // Keep fish within world bounds
-        const margin = this.radius;
-
-        if (this.x < margin) {
-            this.x = margin;
-            // Bounce off left wall
-            this.angle = random(-Math.PI/3, Math.PI/3); // Angle towards right
-        } else if (this.x > this.worldWidth - margin) {
-            this.x = this.worldWidth - margin;
-            // Bounce off right wall
-            this.angle = Math.PI + random(-Math.PI/3, Math.PI/3); // Angle towards left
-        }
-
-        if (this.y < margin) {
-            this.y = margin;
-            // Bounce off top wall
-            this.angle = random(0, Math.PI); // Angle downward
-        } else if (this.y > this.worldHeight - margin) {
-            this.y = this.worldHeight - margin;
-            // Bounce off bottom wall
-            this.angle = random(Math.PI, Math.PI * 2); // Angle upward
-        }
-
-        // Occasionally change direction
-        this.changeDirectionCounter++;
-        if (this.changeDirectionCounter >= this.changeDirectionInterval) {
-            this.changeDirection(playerX, playerY, playerRadius);
-            this.changeDirectionCounter = 0;
-            this.changeDirectionInterval = random(150, 300); // Longer intervals for more natural movement
-        }
-
-        // Add slight random movement for more natural swimming
-        if (Math.random() < 0.05) { // 5% chance each frame
-            this.angle += random(-Math.PI/16, Math.PI/16); // Slight random angle change
-        }
-
-        // Check if fish is far outside the canvas and should be removed
-        return this.isOutsideBounds();
+        return shouldRemove;
     }
 
-    changeDirection(playerX, playerY, playerRadius) {
-        // Determine behavior based on size comparison
-        const playerSize = playerRadius;
-
-        // Calculate distance to player
-        const distanceToPlayer = calculateDistance(this.x, this.y, playerX, playerY);
-        const playerAware = distanceToPlayer < 250; // Awareness range
-
-        if (this.radius < playerSize * 0.8) {
-            // Smaller fish behavior
-            if (playerAware) {
-                // Flee from player if close
-                const fleeAngle = calculateAngle(playerX, playerY, this.x, this.y);
-                this.angle = fleeAngle;
-
-                // Add some randomness to avoid predictable movement
-                this.angle += random(-Math.PI/4, Math.PI/4);
-            } else {
-                // Fully random movement with no bias
-                this.angle = random(0, Math.PI * 2);
-            }
-        } else if (this.radius > playerSize * 1.2) {
-            // Larger fish behavior
-            if (playerAware && Math.random() < 0.7) {
-                // Chase player
-                this.angle = calculateAngle(this.x, this.y, playerX, playerY);
-
-                // Add slight randomness
-                this.angle += random(-Math.PI/6, Math.PI/6);
-            } else {
-                // Fully random movement with no bias
-                this.angle = random(0, Math.PI * 2);
-            }
-        } else {
-            // Similar sized fish - completely random movement
-            this.angle = random(0, Math.PI * 2);
-        }
-    }
-
-    isOutsideBounds() {
-        const margin = this.radius * 2;
-        return (
-            this.x < -margin ||
-            this.x > this.worldWidth + margin ||
-            this.y < -margin ||
-            this.y > this.worldHeight + margin
-        );
+    /**
+     * Updates the body proportions from the radius and the species' shape
+     * @private
+     */
+    updateShape() {
+        const shape = EnemySpecies.get(this.species).shape;
+        this.bodyLength = this.radius * shape.bodyLength;
+        this.bodyWidth = this.radius * shape.bodyWidth;
+        this.tailLength = this.radius * shape.tailLength;
+        this.tailWidth = this.radius * shape.tailWidth;
+        this.finSize = this.radius * shape.finSize;
     }
 
     /**
@@ -282,10 +109,13 @@ class EnemyFish {
         if (this.finAnimation > Math.PI * 2) {
             this.finAnimation -= Math.PI * 2;
         }
+
+        // Pufferfish change size as they puff up
+        this.updateShape();
     }
 
     /**
-     * Draws the enemy fish with enhanced appearance
+     * Draws the enemy fish in its species' look
      */
     draw() {
         this.ctx.save();
@@ -294,6 +124,17 @@ class EnemyFish {
         this.ctx.translate(this.x, this.y);
         this.ctx.rotate(this.angle);
 
+        const method = EnemyFish.DRAW_METHODS[this.species] || EnemyFish.DRAW_METHODS[EnemySpecies.DEFAULT];
+        this[method]();
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws an ordinary reef fish
+     * @private
+     */
+    drawReefFish() {
         // Create gradient for fish body
         const bodyGradient = this.ctx.createLinearGradient(0, -this.bodyWidth/2, 0, this.bodyWidth/2);
         bodyGradient.addColorStop(0, this.lightenColor(this.color, 20));
@@ -309,20 +150,7 @@ class EnemyFish {
         // Add subtle body pattern
         this.drawBodyPattern();
 
-        // Draw tail with waggle animation
-        const tailWaggleOffset = Math.sin(this.tailWaggle) * this.tailWidth * 0.5;
-        this.ctx.beginPath();
-        this.ctx.moveTo(-this.bodyLength * 0.8, 0);
-        this.ctx.quadraticCurveTo(
-            -this.bodyLength - this.tailLength * 0.5, tailWaggleOffset,
-            -this.bodyLength - this.tailLength, 0
-        );
-        this.ctx.quadraticCurveTo(
-            -this.bodyLength - this.tailLength * 0.5, -tailWaggleOffset,
-            -this.bodyLength * 0.8, 0
-        );
-        this.ctx.fillStyle = this.darkenColor(this.color, 10);
-        this.ctx.fill();
+        this.drawTail();
 
         // Draw top fin
         const finHeight = this.finSize * (0.8 + Math.sin(this.finAnimation) * 0.2);
@@ -347,11 +175,244 @@ class EnemyFish {
         this.ctx.fillStyle = this.darkenColor(this.color, 5);
         this.ctx.fill();
 
-        // Draw eye
-        const eyeX = this.bodyLength * 0.6;
-        const eyeY = -this.bodyWidth * 0.1;
-        const eyeRadius = this.radius * 0.25;
+        this.drawEye(this.bodyLength * 0.6, -this.bodyWidth * 0.1, this.radius * 0.25);
+
+        // Draw mouth
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.bodyLength * 0.9, -this.bodyWidth * 0.1);
+        this.ctx.quadraticCurveTo(
+            this.bodyLength * 1.1, 0,
+            this.bodyLength * 0.9, this.bodyWidth * 0.1
+        );
+        this.ctx.strokeStyle = this.darkenColor(this.color, 30);
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draws a slim silver sardine with a dark back and a bright belly
+     * @private
+     */
+    drawSardine() {
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, 0, this.bodyLength, this.bodyWidth, 0, 0, Math.PI * 2);
+        this.ctx.fillStyle = this.color;
+        this.ctx.fill();
+
+        // Blue-grey back
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, -this.bodyWidth * 0.4, this.bodyLength * 0.9, this.bodyWidth * 0.5, 0, Math.PI, Math.PI * 2);
+        this.ctx.fillStyle = this.darkenColor(this.color, 60);
+        this.ctx.fill();
+
+        // Shine along the belly
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, this.bodyWidth * 0.3, this.bodyLength * 0.7, this.bodyWidth * 0.25, 0, 0, Math.PI * 2);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fill();
+
+        this.drawTail();
+        this.drawEye(this.bodyLength * 0.7, -this.bodyWidth * 0.1, this.radius * 0.2);
+    }
+
+    /**
+     * Draws a bulky, mottled grouper with a wide mouth and a spiny dorsal fin
+     * @private
+     */
+    drawGrouper() {
+        this.drawTail();
+
+        // Spiny dorsal fin
+        const spines = 6;
+        this.ctx.beginPath();
+        this.ctx.moveTo(-this.bodyLength * 0.6, -this.bodyWidth * 0.6);
+        for (let i = 0; i <= spines; i++) {
+            const x = -this.bodyLength * 0.6 + i * this.bodyLength * 1.0 / spines;
+            const spike = i % 2 === 0 ? this.finSize : this.finSize * 0.4;
+            this.ctx.lineTo(x, -this.bodyWidth * 0.6 - spike);
+        }
+        this.ctx.lineTo(this.bodyLength * 0.4, -this.bodyWidth * 0.6);
+        this.ctx.fillStyle = this.darkenColor(this.color, 20);
+        this.ctx.fill();
+
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, 0, this.bodyLength, this.bodyWidth, 0, 0, Math.PI * 2);
+        this.ctx.fillStyle = this.color;
+        this.ctx.fill();
+
+        // Camouflage blotches
+        this.ctx.fillStyle = this.darkenColor(this.color, 35);
+        this.ctx.globalAlpha = 0.5;
+        for (let i = 0; i < 7; i++) {
+            const x = Math.cos(i * 2.4) * this.bodyLength * 0.6;
+            const y = Math.sin(i * 1.7) * this.bodyWidth * 0.5;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, this.radius * (0.15 + (i % 3) * 0.05), 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.globalAlpha = 1.0;
+
+        this.drawEye(this.bodyLength * 0.55, -this.bodyWidth * 0.3, this.radius * 0.2);
+
+        // Wide jaw
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.bodyLength, this.bodyWidth * 0.05);
+        this.ctx.quadraticCurveTo(this.bodyLength * 0.8, this.bodyWidth * 0.35, this.bodyLength * 0.5, this.bodyWidth * 0.2);
+        this.ctx.strokeStyle = this.darkenColor(this.color, 50);
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draws a long eel that wriggles along its length
+     * @private
+     */
+    drawEel() {
+        const segments = 12;
+        const start = this.bodyLength;
+        const end = -this.bodyLength - this.tailLength;
+        const wave = this.bodyWidth * 0.8;
+
+        // Body as a thick wavy line, head at the front
+        this.ctx.beginPath();
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const x = start + (end - start) * t;
+            const y = Math.sin(this.finAnimation * 3 + t * Math.PI * 2) * wave * t;
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.strokeStyle = this.color;
+        this.ctx.lineWidth = this.bodyWidth * 2;
+        this.ctx.stroke();
+
+        // Fin ridge along the back
+        this.ctx.strokeStyle = this.lightenColor(this.color, 30);
+        this.ctx.lineWidth = Math.max(1, this.bodyWidth * 0.4);
+        this.ctx.stroke();
+
+        this.drawEye(this.bodyLength * 0.85, -this.bodyWidth * 0.3, this.radius * 0.15);
+    }
+
+    /**
+     * Draws a round pufferfish, covered in spikes while puffed
+     * @private
+     */
+    drawPufferfish() {
+        this.drawTail();
+
+        if (this.puffed) {
+            const spikes = 16;
+            this.ctx.strokeStyle = this.darkenColor(this.color, 40);
+            this.ctx.lineWidth = 2;
+            for (let i = 0; i < spikes; i++) {
+                const angle = (i / spikes) * Math.PI * 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(Math.cos(angle) * this.bodyLength * 0.9, Math.sin(angle) * this.bodyWidth * 0.9);
+                this.ctx.lineTo(Math.cos(angle) * this.bodyLength * 1.2, Math.sin(angle) * this.bodyWidth * 1.2);
+                this.ctx.stroke();
+            }
+        }
+
+        const bodyGradient = this.ctx.createRadialGradient(0, -this.bodyWidth * 0.3, 0, 0, 0, this.bodyLength);
+        bodyGradient.addColorStop(0, this.lightenColor(this.color, 30));
+        bodyGradient.addColorStop(1, this.color);
+
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, 0, this.bodyLength, this.bodyWidth, 0, 0, Math.PI * 2);
+        this.ctx.fillStyle = bodyGradient;
+        this.ctx.fill();
+
+        // Spots on the back
+        this.ctx.fillStyle = this.darkenColor(this.color, 50);
+        for (let i = 0; i < 5; i++) {
+            this.ctx.beginPath();
+            this.ctx.arc(-this.bodyLength * 0.5 + i * this.bodyLength * 0.25, -this.bodyWidth * 0.5, this.radius * 0.08, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
 
+        this.drawEye(this.bodyLength * 0.45, -this.bodyWidth * 0.25, this.radius * (this.puffed ? 0.2 : 0.28));
+
+        // Small round mouth
+        this.ctx.beginPath();
+        this.ctx.arc(this.bodyLength * 0.95, this.bodyWidth * 0.1, this.radius * 0.08, 0, Math.PI * 2);
+        this.ctx.fillStyle = this.darkenColor(this.color, 60);
+        this.ctx.fill();
+    }
+
+    /**
+     * Draws a see-through jellyfish, bell first with its tentacles trailing
+     * @private
+     */
+    drawJellyfish() {
+        // The bell squeezes as it pulses
+        const squeeze = 1 - Math.sin(this.finAnimation) * 0.15;
+
+        this.ctx.globalAlpha = 0.6;
+
+        // Tentacles
+        const tentacles = 5;
+        this.ctx.strokeStyle = this.color;
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < tentacles; i++) {
+            const y = -this.bodyWidth * 0.7 + i * this.bodyWidth * 1.4 / (tentacles - 1);
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.bezierCurveTo(
+                -this.tailLength * 0.3, y + Math.sin(this.finAnimation + i) * this.tailWidth,
+                -this.tailLength * 0.6, y - Math.sin(this.finAnimation + i) * this.tailWidth,
+                -this.tailLength, y
+            );
+            this.ctx.stroke();
+        }
+
+        // Bell
+        const bellGradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, this.bodyLength);
+        bellGradient.addColorStop(0, this.lightenColor(this.color, 40));
+        bellGradient.addColorStop(1, this.color);
+
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, 0, this.bodyLength * squeeze, this.bodyWidth, 0, -Math.PI / 2, Math.PI / 2);
+        this.ctx.closePath();
+        this.ctx.fillStyle = bellGradient;
+        this.ctx.fill();
+
+        this.ctx.globalAlpha = 1.0;
+    }
+
+    /**
+     * Draws the tail with its waggle animation
+     * @private
+     */
+    drawTail() {
+        const tailWaggleOffset = Math.sin(this.tailWaggle) * this.tailWidth * 0.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(-this.bodyLength * 0.8, 0);
+        this.ctx.quadraticCurveTo(
+            -this.bodyLength - this.tailLength * 0.5, tailWaggleOffset,
+            -this.bodyLength - this.tailLength, 0
+        );
+        this.ctx.quadraticCurveTo(
+            -this.bodyLength - this.tailLength * 0.5, -tailWaggleOffset,
+            -this.bodyLength * 0.8, 0
+        );
+        this.ctx.fillStyle = this.darkenColor(this.color, 10);
+        this.ctx.fill();
+    }
+
+    /**
+     * Draws an eye with its pupil
+     * @param {number} eyeX - Eye position along the body
+     * @param {number} eyeY - Eye position across the body
+     * @param {number} eyeRadius - Eye radius
+     * @private
+     */
+    drawEye(eyeX, eyeY, eyeRadius) {
         this.ctx.beginPath();
         this.ctx.arc(eyeX, eyeY, eyeRadius, 0, Math.PI * 2);
         this.ctx.fillStyle = this.eyeColor;
@@ -366,19 +427,6 @@ class EnemyFish {
         this.ctx.arc(pupilX, pupilY, pupilRadius, 0, Math.PI * 2);
         this.ctx.fillStyle = this.pupilColor;
         this.ctx.fill();
-
-        // Draw mouth
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.bodyLength * 0.9, -this.bodyWidth * 0.1);
-        this.ctx.quadraticCurveTo(
-            this.bodyLength * 1.1, 0,
-            this.bodyLength * 0.9, this.bodyWidth * 0.1
-        );
-        this.ctx.strokeStyle = this.darkenColor(this.color, 30);
-        this.ctx.lineWidth = 2;
-        this.ctx.stroke();
-
-        this.ctx.restore();
     }
 
     /**
@@ -491,3 +539,13 @@ class EnemyFish {
         return `#${Math.round(r).toString(16).padStart(2, '0')}${Math.round(g).toString(16).padStart(2, '0')}${Math.round(b).toString(16).padStart(2, '0')}`;
     }
 }
+
+// Drawing method for each species
+EnemyFish.DRAW_METHODS = {
+    reefFish: 'drawReefFish',
+    sardine: 'drawSardine',
+    grouper: 'drawGrouper',
+    eel: 'drawEel',
+    pufferfish: 'drawPufferfish',
+    jellyfish: 'drawJellyfish'
+};
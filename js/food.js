@@ -15,8 +15,8 @@ class Food {
         this.ctx = canvas.getContext('2d');
 
         // World dimensions
-        this.worldWidth = worldWidth || canvas.width;
-        this.worldHeight = worldHeight || canvas.height;
+        this.worldWidth = worldWidth || WorldConfig.DEFAULT_WIDTH;
+        this.worldHeight = worldHeight || WorldConfig.DEFAULT_HEIGHT;
 
         // Position randomly within the world
         this.x = random(this.worldWidth * 0.1, this.worldWidth * 0.9);
@@ -138,9 +138,9 @@ class FoodManager {
         // Create object pool for food items
         this.foodPool = new ObjectPool(
             // Factory function to create new food items
-            () => new Food(canvas, worldWidth, worldHeight),
+            () => new Food(canvas, this.worldWidth, this.worldHeight),
             // Reset function to prepare food items for reuse
-            (food) => food.reset(worldWidth, worldHeight),
+            (food) => food.reset(this.worldWidth, this.worldHeight),
             // Initial pool size
             maxFood / 2
         );
@@ -203,6 +203,22 @@ class FoodManager {
         return false;
     }
 
+    /**
+     * Changes the world new food spawns in, moving food that ended up outside it
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     */
+    setWorldSize(worldWidth, worldHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+
+        for (const food of this.foods) {
+            if (food.x > worldWidth || food.y > worldHeight) {
+                food.reset(worldWidth, worldHeight);
+            }
+        }
+    }
+
     /**
      * Clears all food items and returns them to the pool
      */
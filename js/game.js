@@ -11,20 +11,45 @@ class Game {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
 
-        // Set up minimap
+        // Saved player preferences (applied in applySettings)
+        this.settings = new Settings();
+
+        // Mouse, touch and keyboard controls for the player's fish
+        this.input = new InputManager(this.canvas, this.settings);
+
+        // Set up minimap (sized to the world's shape in resizeMinimap)
         this.minimap = document.getElementById('minimap');
         this.minimapCtx = this.minimap.getContext('2d');
-        this.minimap.width = 200;
-        this.minimap.height = 150;
+        this.minimapContainer = document.getElementById('minimap-container');
+        this.minimapMaxWidth = this.settings.getMinimapSize().width;
+        this.minimapMaxHeight = this.settings.getMinimapSize().height;
 
-        // Game world dimensions (larger than screen)
-        this.worldWidth = window.innerWidth * 3;
-        this.worldHeight = window.innerHeight * 3;
+        // Game world dimensions - fixed, or set by the server's room in multiplayer
+        this.worldWidth = WorldConfig.DEFAULT_WIDTH;
+        this.worldHeight = WorldConfig.DEFAULT_HEIGHT;
 
         // Camera position (centered on player)
         this.cameraX = 0;
         this.cameraY = 0;
 
+        // Screens larger than the world zoom in so the view never leaves it
+        this.cameraZoom = 1;
+        this.viewWidth = this.canvas.width; // Visible world area at the current zoom
+        this.viewHeight = this.canvas.height;
+        this.updateCameraZoom();
+        this.resizeMinimap();
+
+        // Fixed-step simulation - every timer counted in frames assumes 60 steps per second
+        this.fixedStep = 1000 / 60; // Simulation step (ms)
+        this.maxFrameTime = 1000; // Most real time simulated in one rendered frame (ms)
+        this.maxInterpolationDistance = 100; // Bigger jumps in one step (respawns, server corrections) snap instead of sliding
+        this.stepAccumulator = 0; // Real time not simulated yet (ms)
+        this.lastFrameTime = null;
+
+        // Pause menu - single-player freezes, multiplayer keeps running around a still fish
+        this.isPaused = false;
+        this.pauseSafeUntil = 0; // Multiplayer: when the server stops protecting our paused fish (local time)
+
         // Game state
         this.isRunning = false;
         this.score = 0;
@@ -36,6 +61,7 @@ class Game {
         this.gameOverTimer = 0;
         this.respawnDelay = 180; // 3 seconds at 60fps
         this.deathHandled = false; // Flag to prevent multiple death handling
+        this.gameOverTimeout = null; // Pending switch to the game over screen after a death
 
         // Level system
         this.level = 1;
@@ -49,23 +75,28 @@ class Game {
         this.aiPlayers = []; // AI opponents (disabled)
         this.foodManager = null; // Will be initialized in startGame
         this.enemies = [];
-        this.powerUps = []; // Power-ups (disabled)
+        this.powerUps = []; // Power-up orbs - placed by the server in multiplayer
         this.floatingTexts = [];
 
+        // Enemies, food, power-ups and remote players are re-registered here every frame
+        // so collisions, culling and the minimap only look at what is nearby
+        this.spatialHash = new SpatialHash(200);
+
         // Water background effect
-        this.waterEffect = new WaterEffect(this.canvas);
+        this.waterEffect = new WaterEffect(this.canvas, this.worldWidth, this.worldHeight);
 
         // Leaderboard
         this.leaderboard = new Leaderboard();
 
         // Multiplayer
         this.multiplayer = new MultiplayerManager(this);
+        this.lobby = new Lobby(this.multiplayer);
 
         // Spawn timers
         this.enemySpawnTimer = 0;
         this.enemySpawnInterval = 120; // 2 seconds at 60fps (slower enemy spawning)
-        this.powerUpSpawnTimer = 0;
-        this.powerUpSpawnInterval = 900; // 15 seconds at 60fps (slower power-up spawning - disabled)
+        this.powerUpSpawnTimer = 0; // Simulated time since the last single-player orb (ms)
+        this.stingCooldown = 0; // Time before a jellyfish can sting the player again (ms)
         this.aiSpawnTimer = 0;
         this.aiSpawnInterval = 300; // Spawn a new AI player every 300 frames (about 5 seconds - disabled)
         this.foodSpawnTimer = 0;
@@ -79,16 +110,16 @@ class Game {
         this.animationFrameId = null;
 
         // Performance monitoring
-        this.performanceMonitor = new PerformanceMonitor(60, false); // 60 frame sample, stats hidden by default
+        this.performanceMonitor = new PerformanceMonitor(60, this.settings.get('showFps'));
 
         // Cursor fade properties
         this.cursorFadeTimer = 0;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
-        this.cursorMaxOpacity = 0.3; // Maximum opacity for cursor (reduced for more subtle appearance)
+        this.cursorMaxOpacity = this.settings.get('cursorMaxOpacity'); // Maximum opacity for cursor
         this.cursorFadeDelay = 15; // Frames to wait before starting to fade (0.25 seconds at 60fps)
         this.cursorFadeDuration = 60; // How long it takes to fade out (1 second at 60fps)
-        this.cursorAlwaysFade = true; // Always fade cursor during gameplay
+        this.cursorAlwaysFade = this.settings.get('cursorAlwaysFade'); // Always fade cursor during gameplay
 
         // Tutorial state
         this.tutorialActive = false;
@@ -102,6 +133,9 @@ class Game {
         // Bind event listeners
         this.bindEventListeners();
 
+        // List the power-ups on the How to Play screen
+        this.fillPowerUpGuide();
+
         // Initialize the game
         this.init();
     }
@@ -128,6 +162,7 @@ class Game {
             // Show game container and main menu
             showElement('game-container');
         showElement('main-menu');
+            this.lobby.show();
 
             // Preload some game assets in the background
             this.preloadAssets();
@@ -141,7 +176,7 @@ class Game {
     preloadAssets() {
         // Initialize water effect in the background
         if (!this.waterEffect) {
-            this.waterEffect = new WaterEffect(this.canvas);
+            this.waterEffect = new WaterEffect(this.canvas, this.worldWidth, this.worldHeight);
         }
 
         // Pre-initialize food manager
@@ -163,16 +198,68 @@ class Game {
             });
         }
 
-        // Add keyboard shortcut for performance stats (F key)
+        // Add keyboard shortcuts for performance stats (F key) and the pause menu (Escape or P),
+        // leaving keys typed into the name and room code fields alone
         window.addEventListener('keydown', (e) => {
+            if (this.input.isTypingTarget(e.target)) return;
+
             if (e.key === 'f' || e.key === 'F') {
                 this.togglePerformanceStats();
+            } else if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
+                this.togglePause();
             }
         });
 
+        // Pause when the player switches tabs or minimizes the window
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+
+        // Pause menu buttons
+        document.getElementById('resume-button').addEventListener('click', () => {
+            this.resumeGame();
+        });
+
+        document.getElementById('pause-settings-button').addEventListener('click', () => {
+            this.openSettings('pause-menu');
+        });
+
+        document.getElementById('pause-restart-button').addEventListener('click', () => {
+            this.closePauseMenu();
+            this.startGame();
+        });
+
+        document.getElementById('pause-menu-button').addEventListener('click', () => {
+            this.quitToMenu();
+        });
+
+        // Settings - each control names the setting it edits in data-setting
+        document.getElementById('settings-button').addEventListener('click', () => {
+            this.openSettings('main-menu');
+        });
+
+        for (const control of document.querySelectorAll('#settings-menu [data-setting]')) {
+            control.addEventListener('change', () => {
+                this.settings.set(control.dataset.setting, this.readSettingControl(control));
+            });
+        }
+
+        this.settings.onChange((key, value) => this.applySetting(key, value));
+
+        // Gamepad buttons that aren't movement
+        this.input.onAction((action) => this.handleInputAction(action));
+
+        document.getElementById('settings-back-button').addEventListener('click', () => {
+            hideElement('settings-menu');
+            showElement(this.settingsReturnTo);
+        });
+
         // How to play button
         document.getElementById('how-to-play-button').addEventListener('click', () => {
             hideElement('main-menu');
+            this.lobby.hide();
             showElement('how-to-play');
         });
 
@@ -180,6 +267,7 @@ class Game {
         document.getElementById('back-button').addEventListener('click', () => {
             hideElement('how-to-play');
             showElement('main-menu');
+            this.lobby.show();
         });
 
         // Restart button
@@ -191,7 +279,9 @@ class Game {
         // Menu button
         document.getElementById('menu-button').addEventListener('click', () => {
             hideElement('game-over');
+            this.multiplayer.leaveRoom();
             showElement('main-menu');
+            this.lobby.show();
         });
 
         // Tutorial navigation buttons
@@ -209,9 +299,45 @@ class Game {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
 
-        // Update world dimensions
-        this.worldWidth = window.innerWidth * 3;
-        this.worldHeight = window.innerHeight * 3;
+        // The world stays the same size - only the view changes
+        this.updateCameraZoom();
+        if (this.waterEffect) {
+            this.waterEffect.resize();
+        }
+
+        // The server sizes what it sends us to our view
+        if (this.multiplayer) {
+            this.multiplayer.viewSizeChanged();
+        }
+    }
+
+    /**
+     * Changes the size of the game world and everything that depends on it
+     * @param {number} width - World width
+     * @param {number} height - World height
+     */
+    setWorldSize(width, height) {
+        if (width === this.worldWidth && height === this.worldHeight) return;
+
+        this.worldWidth = width;
+        this.worldHeight = height;
+
+        if (this.player) {
+            this.player.setWorldSize(width, height);
+        }
+        if (this.foodManager) {
+            this.foodManager.setWorldSize(width, height);
+        }
+        if (this.waterEffect) {
+            this.waterEffect.setWorldSize(width, height);
+        }
+        for (const entity of [...this.enemies, ...this.powerUps, ...this.aiPlayers]) {
+            entity.worldWidth = width;
+            entity.worldHeight = height;
+        }
+
+        this.updateCameraZoom();
+        this.resizeMinimap();
     }
 
     startGame() {
@@ -223,18 +349,24 @@ class Game {
             playerName = this.player.name;
         }
 
+        // Single-player uses the default world; a room's gameState replaces it
+        this.setWorldSize(WorldConfig.DEFAULT_WIDTH, WorldConfig.DEFAULT_HEIGHT);
+
         // Hide all screens and show game
         hideElement('main-menu');
+        this.lobby.hide();
         hideElement('tutorial-overlay');
         hideElement('game-over');
+        this.closePauseMenu();
         showElement('game-canvas');
         // Game HUD removed to avoid overlap with leaderboard
-        showElement('minimap-container');
+        this.updateMinimapVisibility();
         showElement('progress-bar-container');
+        showElement('power-up-status');
 
         // Initialize or reset player
         if (!this.player) {
-            this.player = new PlayerFish(this.canvas, playerName);
+            this.player = new PlayerFish(this.canvas, playerName, this.worldWidth, this.worldHeight, this.input);
             this.player.color = '#3399FF'; // Blue color for player
             this.player.eyeColor = 'white';
             this.player.pupilColor = 'black';
@@ -243,12 +375,13 @@ class Game {
             this.player.reset(); // Reset player state completely
         }
 
-        // Reset death handling flag
+        // Reset death handling, dropping a game over still pending from the last game
+        this.cancelGameOver();
         this.deathHandled = false;
 
-        // Connect to multiplayer server if running from server
+        // Join a multiplayer room if running from server
         if (window.location.protocol !== 'file:') {
-            this.multiplayer.connect();
+            this.multiplayer.joinRoom(this.lobby.getSelectedRoomCode());
         } else {
             console.log('Running in single-player mode (file protocol detected)');
         }
@@ -309,17 +442,18 @@ class Game {
         this.enemySpawnTimer = 0;
         this.enemySpawnInterval = 120; // 2 seconds at 60fps
         this.powerUpSpawnTimer = 0;
+        this.stingCooldown = 0;
         this.aiSpawnTimer = 0;
         this.foodSpawnTimer = 0;
 
         // In multiplayer mode, food is managed by the server
         // Only spawn initial food in single player mode
-        if (!this.multiplayer.connected) {
+        if (!this.multiplayer.isInRoom()) {
         this.spawnInitialFood();
         }
 
         // Start game loop
-        this.gameLoop();
+        this.startGameLoop();
 
         // Mark tutorial as complete
         if (this.firstTimePlayer) {
@@ -331,11 +465,14 @@ class Game {
     startTutorial() {
         // Hide menu and show game with tutorial overlay
         hideElement('main-menu');
+        this.lobby.hide();
         showElement('game-canvas');
         showElement('game-hud');
-        showElement('minimap-container');
+        this.updateMinimapVisibility();
         showElement('tutorial-overlay');
 
+        this.setWorldSize(WorldConfig.DEFAULT_WIDTH, WorldConfig.DEFAULT_HEIGHT);
+
         // Reset game state but pause normal gameplay
         this.isRunning = true;
         this.tutorialActive = true;
@@ -345,7 +482,7 @@ class Game {
 
         // Initialize player if not exists
         if (!this.player) {
-            this.player = new PlayerFish(this.canvas, 'Player');
+            this.player = new PlayerFish(this.canvas, 'Player', this.worldWidth, this.worldHeight, this.input);
             this.player.color = '#3399FF';
             this.player.eyeColor = 'white';
             this.player.pupilColor = 'black';
@@ -370,7 +507,7 @@ class Game {
         this.updateTutorialContent();
 
         // Start game loop (will be in tutorial mode)
-        this.gameLoop();
+        this.startGameLoop();
     }
 
     updateTutorialContent() {
@@ -382,6 +519,7 @@ class Game {
 
         // Update step display
         tutorialStep.textContent = `${this.tutorialStep}/${this.tutorialTotalSteps}`;
+        this.updateGamepadPrompts();
 
         // Show/hide prev button
         if (this.tutorialStep > 1) {
@@ -401,7 +539,7 @@ class Game {
         switch (this.tutorialStep) {
             case 1:
                 tutorialTitle.textContent = 'Welcome to Fish Eat Fish';
-                tutorialText.textContent = `Welcome ${this.player.name}! Move your fish by moving your mouse cursor.`;
+                tutorialText.textContent = `Welcome ${this.player.name}! Move your fish by moving your mouse cursor, or with WASD or the arrow keys.`;
                 break;
 
             case 2:
@@ -449,17 +587,17 @@ class Game {
 
             if (type === 'small') {
                 // Spawn fish smaller than player
-                enemy = new EnemyFish(this.canvas, this.player.sizeLevel + 2);
+                enemy = new EnemyFish(this.canvas, this.player.sizeLevel + 2, null, null, 'reefFish');
                 enemy.sizeLevel = this.player.sizeLevel - 1;
                 enemy.radius = 10; // Smaller than player
             } else if (type === 'large') {
                 // Spawn fish larger than player
-                enemy = new EnemyFish(this.canvas, this.player.sizeLevel - 2);
+                enemy = new EnemyFish(this.canvas, this.player.sizeLevel - 2, null, null, 'reefFish');
                 enemy.sizeLevel = this.player.sizeLevel + 2;
                 enemy.radius = 25; // Larger than player
             } else {
                 // Default case for any other type
-                enemy = new EnemyFish(this.canvas, this.player.sizeLevel);
+                enemy = new EnemyFish(this.canvas, this.player.sizeLevel, null, null, 'reefFish');
                 enemy.radius = 15; // Similar size to player
             }
 
@@ -477,10 +615,8 @@ class Game {
     }
 
     spawnTutorialPowerUps() {
-        // Clear existing power-ups
+        // The tutorial doesn't cover power-ups - they're listed on the How to Play screen
         this.powerUps = [];
-
-        // Power-ups disabled
     }
 
     nextTutorialStep() {
@@ -516,18 +652,66 @@ class Game {
         // Begin performance monitoring for this frame
         this.performanceMonitor.beginFrame();
 
+        // Poll the gamepad once per frame, even while paused so Start can resume
+        this.input.update();
+
+        // Run one fixed step for every 1/60s of real time that passed, whatever the display's refresh rate.
+        // Throttled tabs still run at full speed as long as they get a frame every second; longer
+        // gaps (e.g. a hidden tab) are capped so the game doesn't fast-forward when it comes back.
+        const now = performance.now();
+        const elapsed = this.lastFrameTime === null ? this.fixedStep : now - this.lastFrameTime;
+        this.lastFrameTime = now;
+        this.stepAccumulator += Math.min(elapsed, this.maxFrameTime);
+
+        if (this.isPaused && !this.multiplayer.isInRoom()) {
+            // Single-player freezes - drop the paused time instead of catching up on resume
+            this.stepAccumulator = 0;
+        }
+
+        while (this.stepAccumulator >= this.fixedStep && this.isRunning) {
+            this.update();
+            this.stepAccumulator -= this.fixedStep;
+        }
+
+        // Draw between the last two steps so motion stays smooth at any frame rate
+        this.render(this.stepAccumulator / this.fixedStep);
+
+        // End performance monitoring for this frame
+        this.performanceMonitor.endFrame();
+
+        // Continue game loop
+        this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+    }
+
+    /**
+     * Starts the game loop with an empty step accumulator
+     */
+    startGameLoop() {
+        // Restarting from the pause menu would otherwise leave the old loop running too
+        cancelAnimationFrame(this.animationFrameId);
+
+        this.lastFrameTime = null;
+        this.stepAccumulator = 0;
+        this.gameLoop();
+    }
+
+    /**
+     * Advances the simulation by one fixed 1/60s step
+     * Every timer counted in frames (difficulty, respawn, boost drain, animations) counts these steps.
+     */
+    update() {
+        // Remember where moving things were, for render() to interpolate from
+        this.storePreviousPositions();
+
         // Update water effect
-        if (this.waterEffect) {
+        if (this.waterEffect && this.settings.get('graphicsQuality') === 'high') {
             this.waterEffect.update();
         }
 
-        // Update camera position to follow player
-        this.updateCamera();
-
         // Update cursor fade timer
         if (this.player && this.player.isAlive) {
-            const currentMouseX = this.player.mouseX;
-            const currentMouseY = this.player.mouseY;
+            const currentMouseX = this.input.pointerX;
+            const currentMouseY = this.input.pointerY;
 
             if (currentMouseX !== this.lastMouseX || currentMouseY !== this.lastMouseY) {
                 // Mouse has moved, reset fade timer only if not in always-fade mode
@@ -546,23 +730,6 @@ class Game {
             this.cursorFadeTimer++;
         }
 
-        // Send player update to server if connected
-        if (this.multiplayer && this.multiplayer.connected) {
-            this.multiplayer.sendPlayerUpdate();
-        }
-
-        // Clear main canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Save context state before applying camera transform
-        this.ctx.save();
-
-        // Apply camera transform
-        this.ctx.translate(-this.cameraX, -this.cameraY);
-
-        // Draw background
-        this.drawBackground();
-
         // Update level transition if in progress and not in tutorial
         if (!this.tutorialActive) {
             this.updateLevelTransition();
@@ -573,8 +740,8 @@ class Game {
         // Update enemies
         this.updateEnemies();
 
-        // Spawn enemies if not in tutorial and not paused
-        if (!this.tutorialActive && !this.enemySpawnPaused) {
+        // Spawn enemies if not in tutorial and not paused (the server spawns them in multiplayer mode)
+        if (!this.tutorialActive && !this.enemySpawnPaused && !this.multiplayer.isInRoom()) {
             this.spawnEnemies();
         }
 
@@ -586,21 +753,73 @@ class Game {
             this.spawnFoods();
         }
 
-        // Power-ups are disabled in this version
+        // Update power-up orbs and our active effects; the server places orbs in multiplayer
+        this.updatePowerUps();
+        if (!this.tutorialActive && !this.multiplayer.isInRoom()) {
+            this.spawnPowerUps();
+        }
 
         // Update floating texts
         this.updateFloatingTexts();
 
-        // Update player if alive
+        // Update player if alive - in multiplayer a paused fish holds still while the world moves on
         if (this.player.isAlive) {
-            this.player.update();
+            const input = this.isPaused ? null : this.player.update();
+
+            // In multiplayer mode the server replays our inputs to validate the predicted movement
+            if (input && this.multiplayer && this.multiplayer.isInRoom()) {
+                this.multiplayer.queueInput(input);
+            }
         } else {
             this.handlePlayerDeath();
         }
 
+        // Register everything at its position for this step's collision queries
+        this.updateSpatialHash();
+
         // Check collisions
         this.checkCollisions();
 
+        // Update difficulty if not in tutorial
+        if (!this.tutorialActive) {
+            this.updateDifficulty();
+        }
+    }
+
+    /**
+     * Draws the current frame
+     * @param {number} alpha - How far real time is between the last step and the next one (0 to 1)
+     */
+    render(alpha) {
+        // Send player update to server and smooth remote players if connected
+        if (this.multiplayer && this.multiplayer.isInRoom()) {
+            this.multiplayer.sendPlayerUpdate();
+            this.multiplayer.updateRemotePlayers();
+            this.multiplayer.updateServerEnemies();
+        }
+
+        // Draw the player and local enemies between their last two steps, then put them back
+        const interpolated = this.applyInterpolation(alpha);
+
+        // Update camera position to follow player
+        this.updateCamera();
+
+        // Culling and the minimap query the positions being drawn
+        this.updateSpatialHash();
+
+        // Clear main canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Save context state before applying camera transform
+        this.ctx.save();
+
+        // Apply camera transform
+        this.ctx.scale(this.cameraZoom, this.cameraZoom);
+        this.ctx.translate(-this.cameraX, -this.cameraY);
+
+        // Draw background
+        this.drawBackground();
+
         // Draw everything
         this.drawEnemies();
         this.drawAIPlayers();
@@ -608,7 +827,7 @@ class Game {
         this.drawPowerUps();
 
         // Draw multiplayer players
-        if (this.multiplayer && this.multiplayer.connected) {
+        if (this.multiplayer && this.multiplayer.isInRoom()) {
             this.multiplayer.drawPlayers(this.ctx);
         }
 
@@ -619,45 +838,423 @@ class Game {
 
         this.drawFloatingTexts();
 
-        // Draw cursor indicator in world coordinates if player is alive
-        if (this.player.isAlive) {
+        // Draw cursor indicator in world coordinates if player is alive and steering with the pointer
+        if (this.player.isAlive && !this.isPaused && this.input.showsCursor()) {
             this.drawCursorIndicator();
         }
 
         // Restore context state
         this.ctx.restore();
 
+        if (this.isPaused) {
+            this.updatePauseStatus();
+        }
+        this.updatePowerUpStatus();
+
         // Draw minimap
-        this.drawMinimap();
+        if (this.settings.get('showMinimap')) {
+            this.drawMinimap();
+        }
 
         // Draw leaderboard
-        this.drawLeaderboard();
+        if (this.settings.get('showLeaderboard')) {
+            this.drawLeaderboard();
+        }
 
-        // Update difficulty if not in tutorial
-        if (!this.tutorialActive) {
-            this.updateDifficulty();
+        // Draw the touch joystick and boost button on top of everything
+        if (this.input.showsTouchControls() && this.player.isAlive) {
+            this.input.touchControls.draw(this.ctx, this.canvas.width, this.canvas.height);
         }
 
-        // End performance monitoring for this frame
-        this.performanceMonitor.endFrame();
+        this.restoreInterpolation(interpolated);
+    }
 
-        // Continue game loop
-        this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+    /**
+     * Opens the pause menu
+     * Single-player stops the simulation. Multiplayer can't stop the world, so the
+     * server holds our fish still; it is safe for a moment, then can be eaten.
+     */
+    pauseGame() {
+        if (!this.isRunning || this.isPaused) return;
+
+        this.isPaused = true;
+        this.player.stopBoost();
+        showElement('pause-menu');
+
+        if (this.multiplayer.isInRoom()) {
+            this.pauseSafeUntil = 0; // Set when the server answers
+            this.multiplayer.sendPause(true);
+        }
+        this.updatePauseStatus();
+    }
+
+    /**
+     * Closes the pause menu and carries on playing
+     */
+    resumeGame() {
+        if (!this.isPaused) return;
+
+        this.closePauseMenu();
+        if (this.multiplayer.isInRoom()) {
+            this.multiplayer.sendPause(false);
+        }
+    }
+
+    /**
+     * Pauses or resumes the game
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Responds to a gamepad button press or the pad being plugged in or out
+     * @param {string} action - Action from InputManager.onAction()
+     */
+    handleInputAction(action) {
+        switch (action) {
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'tutorialNext':
+                if (this.tutorialActive) {
+                    this.nextTutorialStep();
+                }
+                break;
+            case 'tutorialPrevious':
+                if (this.tutorialActive) {
+                    this.prevTutorialStep();
+                }
+                break;
+            case 'gamepadConnected':
+            case 'gamepadDisconnected':
+                if (this.isRunning) {
+                    const message = action === 'gamepadConnected' ? 'Controller connected' : 'Controller disconnected';
+                    this.showFloatingText(message, this.player.x, this.player.y - this.player.radius * 2, '#FFFFFF', 20);
+                }
+                this.updateGamepadPrompts();
+                break;
+        }
+    }
+
+    /**
+     * Shows the gamepad button prompts in the tutorial while a pad is connected
+     * @private
+     */
+    updateGamepadPrompts() {
+        if (this.input.isGamepadConnected()) {
+            showElement('tutorial-gamepad-prompts');
+        } else {
+            hideElement('tutorial-gamepad-prompts');
+        }
+    }
+
+    /**
+     * Stops the game and goes back to the main menu
+     */
+    quitToMenu() {
+        this.isRunning = false;
+        cancelAnimationFrame(this.animationFrameId);
+        this.closePauseMenu();
+        this.cancelGameOver();
+        this.multiplayer.leaveRoom();
+
+        hideElement('game-canvas');
+        hideElement('minimap-container');
+        hideElement('progress-bar-container');
+        hideElement('power-up-status');
+        showElement('main-menu');
+        this.lobby.show();
+    }
+
+    /**
+     * Cancels the game over screen a death scheduled, if it hasn't shown yet
+     * @private
+     */
+    cancelGameOver() {
+        clearTimeout(this.gameOverTimeout);
+        this.gameOverTimeout = null;
+    }
+
+    /**
+     * Hides the pause and settings menus and clears the paused state
+     * @private
+     */
+    closePauseMenu() {
+        this.isPaused = false;
+        hideElement('pause-menu');
+        hideElement('settings-menu');
+    }
+
+    /**
+     * Tells a paused multiplayer player whether their fish can be eaten
+     * @private
+     */
+    updatePauseStatus() {
+        const status = document.getElementById('pause-status');
+        if (!status) return;
+
+        let text = '';
+        if (this.multiplayer.isInRoom()) {
+            const safeFor = this.pauseSafeUntil - Date.now();
+            text = safeFor > 0
+                ? `Your fish is safe for ${Math.ceil(safeFor / 1000)}s`
+                : 'The game goes on - your fish can be eaten!';
+        }
+
+        if (status.textContent !== text) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Fills the How to Play power-up list from PowerUpTypes
+     * @private
+     */
+    fillPowerUpGuide() {
+        const guide = document.getElementById('power-up-guide');
+        if (!guide) return;
+
+        for (const definition of Object.values(PowerUpTypes.TYPES)) {
+            const icon = document.createElement('span');
+            icon.className = 'power-up';
+            icon.style.backgroundColor = definition.color;
+            icon.textContent = definition.icon;
+
+            const entry = document.createElement('li');
+            entry.appendChild(icon);
+            entry.appendChild(document.createTextNode(`${definition.name}: ${definition.description}`));
+            guide.appendChild(entry);
+        }
+    }
+
+    /**
+     * Lists the player's active power-ups with the seconds they have left
+     * @private
+     */
+    updatePowerUpStatus() {
+        const status = document.getElementById('power-up-status');
+        if (!status) return;
+
+        const effects = this.player.isAlive ? Object.entries(this.player.effects) : [];
+        const timers = effects.map(([type, remaining]) => ({
+            definition: PowerUpTypes.get(type),
+            seconds: Math.ceil(remaining / 1000)
+        }));
+
+        // Only touch the DOM when a timer ticks over
+        const text = timers.map(timer => `${timer.definition.icon} ${timer.seconds}s`).join(' ');
+        if (status.dataset.text === text) return;
+        status.dataset.text = text;
+
+        status.replaceChildren(...timers.map(timer => {
+            const badge = document.createElement('span');
+            badge.className = 'power-up-timer';
+            badge.style.borderColor = timer.definition.color;
+            badge.title = timer.definition.name;
+            badge.textContent = `${timer.definition.icon} ${timer.seconds}s`;
+            return badge;
+        }));
+    }
+
+    /**
+     * Pulls smaller edible local enemies towards the player while a magnet is active
+     * @private
+     */
+    pullTowardMagnet() {
+        const range = this.player ? this.player.modifiers.magnetRange : 0;
+        if (range <= 0 || !this.player.isAlive) return;
+
+        for (const enemy of this.enemies) {
+            if (enemy.radius >= this.player.radius || !EnemySpecies.isEdible(enemy)) continue;
+
+            const distance = calculateDistance(enemy.x, enemy.y, this.player.x, this.player.y);
+            if (distance === 0 || distance > this.player.radius + range) continue;
+
+            const step = Math.min(PowerUpTypes.MAGNET_PULL, distance);
+            enemy.x += (this.player.x - enemy.x) / distance * step;
+            enemy.y += (this.player.y - enemy.y) / distance * step;
+        }
+    }
+
+    /**
+     * Gets the fish the local simulation moves each step
+     * Remote players and server enemies are interpolated between snapshots instead.
+     * @returns {Array} The local player and local enemies
+     * @private
+     */
+    getSteppedEntities() {
+        const entities = this.enemies.filter(enemy => !enemy.buffer);
+        if (this.player) {
+            entities.push(this.player);
+        }
+        return entities;
+    }
+
+    /**
+     * Sorts an enemy for its outline and minimap dot
+     * Jellyfish always sting, and nothing eats or is eaten by a puffed pufferfish.
+     * @param {EnemyFish} enemy - Enemy to compare with the player
+     * @returns {string} 'dangerous', 'edible' or 'similar'
+     * @private
+     */
+    getEnemyThreat(enemy) {
+        if (EnemySpecies.stings(enemy)) return 'dangerous';
+        if (enemy.puffed) return 'similar';
+        if (enemy.radius > this.player.radius * 1.2) return 'dangerous';
+        if (enemy.radius < this.player.radius * 0.8) return 'edible';
+        return 'similar';
+    }
+
+    /**
+     * Records where each stepped fish is before a step moves it
+     * @private
+     */
+    storePreviousPositions() {
+        for (const entity of this.getSteppedEntities()) {
+            entity.previousState = { x: entity.x, y: entity.y, angle: entity.angle };
+        }
+    }
+
+    /**
+     * Moves each stepped fish between its previous and current step for drawing
+     * @param {number} alpha - Fraction of a step to blend towards the current state (0 to 1)
+     * @returns {Array} The real states, for restoreInterpolation()
+     * @private
+     */
+    applyInterpolation(alpha) {
+        const saved = [];
+
+        for (const entity of this.getSteppedEntities()) {
+            const previous = entity.previousState;
+            if (!previous) continue; // Spawned since the last step
+
+            const dx = entity.x - previous.x;
+            const dy = entity.y - previous.y;
+            if (Math.abs(dx) > this.maxInterpolationDistance || Math.abs(dy) > this.maxInterpolationDistance) continue;
+
+            // Turn the short way round
+            let angleDiff = entity.angle - previous.angle;
+            if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+            saved.push({ entity, x: entity.x, y: entity.y, angle: entity.angle });
+            entity.x = previous.x + dx * alpha;
+            entity.y = previous.y + dy * alpha;
+            entity.angle = previous.angle + angleDiff * alpha;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Puts stepped fish back at their simulated states after drawing
+     * @param {Array} saved - States returned by applyInterpolation()
+     * @private
+     */
+    restoreInterpolation(saved) {
+        for (const { entity, x, y, angle } of saved) {
+            entity.x = x;
+            entity.y = y;
+            entity.angle = angle;
+        }
     }
 
     /**
      * Toggles the display of performance statistics
      */
     togglePerformanceStats() {
-        if (this.performanceMonitor) {
-            this.performanceMonitor.toggleStats();
+        this.settings.set('showFps', !this.settings.get('showFps'));
+    }
+
+    /**
+     * Shows the settings panel with the current values
+     * @param {string} returnTo - Id of the menu the Back button goes back to
+     */
+    openSettings(returnTo) {
+        this.settingsReturnTo = returnTo;
+        hideElement(returnTo);
+
+        for (const control of document.querySelectorAll('#settings-menu [data-setting]')) {
+            const value = this.settings.get(control.dataset.setting);
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        }
+
+        showElement('settings-menu');
+    }
+
+    /**
+     * Makes a changed setting take effect
+     * Settings read every frame (graphics, minimap, leaderboard, outlines) need nothing here.
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    applySetting(key, value) {
+        switch (key) {
+            case 'showFps':
+                if (this.performanceMonitor.showStats !== value) {
+                    this.performanceMonitor.toggleStats();
+                }
+                break;
+            case 'cursorAlwaysFade':
+                this.cursorAlwaysFade = value;
+                break;
+            case 'cursorMaxOpacity':
+                this.cursorMaxOpacity = value;
+                break;
+            case 'showMinimap':
+                if (this.isRunning) {
+                    this.updateMinimapVisibility();
+                }
+                break;
+            case 'minimapSize':
+                this.minimapMaxWidth = this.settings.getMinimapSize().width;
+                this.minimapMaxHeight = this.settings.getMinimapSize().height;
+                this.resizeMinimap();
+                break;
+        }
+    }
+
+    /**
+     * Reads the value a settings control holds, as the setting's type
+     * @param {HTMLElement} control - Checkbox, range or select
+     * @returns {*} The value
+     * @private
+     */
+    readSettingControl(control) {
+        if (control.type === 'checkbox') {
+            return control.checked;
+        }
+        if (control.type === 'range') {
+            return Number(control.value);
+        }
+        return control.value;
+    }
+
+    /**
+     * Shows the minimap unless it is turned off in settings
+     * @private
+     */
+    updateMinimapVisibility() {
+        if (this.settings.get('showMinimap')) {
+            showElement('minimap-container');
+        } else {
+            hideElement('minimap-container');
         }
     }
 
     drawCursorIndicator() {
         // Calculate world coordinates for cursor
-        const worldMouseX = this.player.mouseX + this.cameraX;
-        const worldMouseY = this.player.mouseY + this.cameraY;
+        const worldMouseX = this.input.pointerX / this.cameraZoom + this.cameraX;
+        const worldMouseY = this.input.pointerY / this.cameraZoom + this.cameraY;
 
         // Get current time for animations
         const time = Date.now() * 0.001;
@@ -795,8 +1392,8 @@ class Game {
 
     updateCamera() {
         // Calculate target camera position (centered on player)
-        const targetCameraX = this.player.x - this.canvas.width / 2;
-        const targetCameraY = this.player.y - this.canvas.height / 2;
+        const targetCameraX = this.player.x - this.viewWidth / 2;
+        const targetCameraY = this.player.y - this.viewHeight / 2;
 
         // DIRECT CAMERA POSITIONING - no smoothing or lerp
         // This eliminates any edge attraction effect caused by camera lag
@@ -804,8 +1401,28 @@ class Game {
         this.cameraY = targetCameraY;
 
         // Clamp camera to world boundaries
-        this.cameraX = Math.max(0, Math.min(this.worldWidth - this.canvas.width, this.cameraX));
-        this.cameraY = Math.max(0, Math.min(this.worldHeight - this.canvas.height, this.cameraY));
+        this.cameraX = Math.max(0, Math.min(this.worldWidth - this.viewWidth, this.cameraX));
+        this.cameraY = Math.max(0, Math.min(this.worldHeight - this.viewHeight, this.cameraY));
+    }
+
+    /**
+     * Zooms the camera in just enough for the view to fit inside the world
+     */
+    updateCameraZoom() {
+        this.cameraZoom = Math.max(1, this.canvas.width / this.worldWidth, this.canvas.height / this.worldHeight);
+        this.viewWidth = this.canvas.width / this.cameraZoom;
+        this.viewHeight = this.canvas.height / this.cameraZoom;
+    }
+
+    /**
+     * Gives the minimap the world's aspect ratio within its maximum size
+     */
+    resizeMinimap() {
+        const scale = Math.min(this.minimapMaxWidth / this.worldWidth, this.minimapMaxHeight / this.worldHeight);
+        this.minimap.width = Math.round(this.worldWidth * scale);
+        this.minimap.height = Math.round(this.worldHeight * scale);
+        this.minimapContainer.style.width = `${this.minimap.width}px`;
+        this.minimapContainer.style.height = `${this.minimap.height}px`;
     }
 
     drawMinimap() {
@@ -818,8 +1435,8 @@ class Game {
 
         // Define player's vision radius to match the player's screen view
         // Calculate based on the canvas dimensions to match what the player sees
-        const visionRadiusX = this.canvas.width * 0.7; // 70% of screen width
-        const visionRadiusY = this.canvas.height * 0.7; // 70% of screen height
+        const visionRadiusX = this.viewWidth * 0.7; // 70% of screen width
+        const visionRadiusY = this.viewHeight * 0.7; // 70% of screen height
 
         // Calculate which entities are within the player's vision
         const playerX = this.player.x;
@@ -861,11 +1478,18 @@ class Game {
             return normalizedDistance <= 1;
         };
 
+        // Only entities near the vision ellipse can be inside it
+        const inVisionBounds = layer => this.spatialHash.queryRect(
+            layer,
+            playerX - visionRadiusX, playerY - visionRadiusY,
+            playerX + visionRadiusX, playerY + visionRadiusY
+        );
+
         // Viewport rectangle removed for cleaner look
 
         // Draw food on minimap (only within vision)
         if (this.foods) {
-            this.foods.forEach(food => {
+            inVisionBounds('foods').forEach(food => {
                 if (isInVision(food.x, food.y)) {
                     this.minimapCtx.fillStyle = 'rgba(170, 255, 170, 0.9)'; // Light green for food
                 this.minimapCtx.beginPath();
@@ -967,14 +1591,15 @@ class Game {
 
         // Draw enemies on minimap (only within vision)
         if (this.enemies) {
-            this.enemies.forEach(enemy => {
+            inVisionBounds('enemies').forEach(enemy => {
                 if (!isInVision(enemy.x, enemy.y)) return;
 
                 // Color based on size comparison with player
                 if (this.player && this.player.isAlive) {
-                    if (enemy.radius > this.player.radius * 1.2) {
+                    const threat = this.getEnemyThreat(enemy);
+                    if (threat === 'dangerous') {
                         this.minimapCtx.fillStyle = 'rgba(255, 80, 80, 1.0)'; // Brighter red for dangerous
-                    } else if (enemy.radius < this.player.radius * 0.8) {
+                    } else if (threat === 'edible') {
                         this.minimapCtx.fillStyle = 'rgba(80, 255, 80, 1.0)'; // Brighter green for edible
                     } else {
                         this.minimapCtx.fillStyle = 'rgba(255, 255, 80, 1.0)'; // Brighter yellow for similar size
@@ -1004,7 +1629,7 @@ class Game {
 
         // Draw power-ups on minimap (only within vision)
         if (this.powerUps) {
-            this.powerUps.forEach(powerUp => {
+            inVisionBounds('powerUps').forEach(powerUp => {
                 if (!isInVision(powerUp.x, powerUp.y)) return;
 
                 // Use power-up's color with transparency
@@ -1033,13 +1658,16 @@ class Game {
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight);
 
-        // Draw water effect
-        if (this.waterEffect) {
-            this.waterEffect.draw(this.cameraX, this.cameraY);
-        }
+        // Water effects are the first thing low graphics quality drops
+        if (this.settings.get('graphicsQuality') === 'high') {
+            // Draw water effect
+            if (this.waterEffect) {
+                this.waterEffect.draw(this.cameraX, this.cameraY, this.viewWidth, this.viewHeight);
+            }
 
-        // Draw subtle light rays from top
-        this.drawLightRays();
+            // Draw subtle light rays from top
+            this.drawLightRays();
+        }
 
         // Draw world boundaries with glow effect
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
@@ -1101,7 +1729,7 @@ class Game {
 
         // Use screen-based clipping to only draw rays in the visible area
         this.ctx.beginPath();
-        this.ctx.rect(this.cameraX, this.cameraY, this.canvas.width, this.canvas.height);
+        this.ctx.rect(this.cameraX, this.cameraY, this.viewWidth, this.viewHeight);
         this.ctx.clip();
 
         // Set blending mode for rays
@@ -1191,8 +1819,8 @@ class Game {
         const visibleArea = {
             x: this.cameraX,
             y: this.cameraY,
-            width: this.canvas.width,
-            height: this.canvas.height
+            width: this.viewWidth,
+            height: this.viewHeight
         };
 
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
@@ -1234,7 +1862,11 @@ class Game {
         // Limit the number of enemies based on difficulty to prevent overcrowding
         const maxEnemies = 30 + (this.difficultyLevel * 3); // Increased for larger world
 
-        if (this.enemySpawnTimer >= adjustedSpawnInterval && this.enemies.length < maxEnemies) {
+        // In ecosystem mode the food has to support another fish too
+        const foodCount = this.foodManager ? this.foodManager.foods.length : 0;
+        const fed = !this.settings.get('ecosystem') || Ecosystem.canSpawn(this.enemies, foodCount);
+
+        if (this.enemySpawnTimer >= adjustedSpawnInterval && this.enemies.length < maxEnemies && fed) {
             // Determine if we should spawn at edge or randomly in the world
             const spawnInWorld = Math.random() < 0.3; // 30% chance to spawn within the world
 
@@ -1269,36 +1901,83 @@ class Game {
 
             this.enemies.push(enemy);
 
+            // Schooling species arrive with their school mates
+            for (let n = EnemyBehavior.getSchoolmateCount(enemy); n > 0 && this.enemies.length < maxEnemies; n--) {
+                const schoolmate = new EnemyFish(this.canvas, enemy.sizeLevel, this.worldWidth, this.worldHeight, enemy.species);
+                EnemyBehavior.joinSchool(schoolmate, enemy);
+                this.enemies.push(schoolmate);
+            }
+
             // Reset timer
             this.enemySpawnTimer = 0;
         }
     }
 
     updateEnemies() {
+        // Server enemies are moved by MultiplayerManager.updateServerEnemies() - only animate them
+        if (this.multiplayer.isInRoom()) {
+            this.enemies.forEach(enemy => enemy.updateAnimations());
+            return;
+        }
+
+        // Schooling fish and hunters look for each other (and, in ecosystem mode, food) in last step's spatial hash
+        const ecosystem = this.settings.get('ecosystem');
+        const findNeighbors = (enemy, range) => this.spatialHash.queryRadius('enemies', enemy.x, enemy.y, range);
+        const findFoods = (enemy, range) => (ecosystem ? this.spatialHash.queryRadius('foods', enemy.x, enemy.y, range) : []);
+
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             // Update enemy
-            const shouldRemove = this.enemies[i].update(
-                this.player.x,
-                this.player.y,
-                this.player.radius
-            );
+            const shouldRemove = this.enemies[i].update(this.player, findNeighbors, findFoods);
 
             // Remove if out of bounds
             if (shouldRemove) {
                 this.enemies.splice(i, 1);
             }
         }
+
+        if (ecosystem) {
+            this.feedEnemies();
+        }
+    }
+
+    /**
+     * Lets enemies eat each other and food, for single-player ecosystem mode
+     * Rooms in ecosystem mode do this on the server.
+     * @private
+     */
+    feedEnemies() {
+        const foods = this.foodManager ? this.foodManager.foods : [];
+        // The hash holds last step's food, some of which may be gone since
+        const liveFoods = new Set(foods);
+        const { enemiesEaten, foodsEaten } = Ecosystem.resolveMeals(
+            this.enemies,
+            (enemy, range) => this.spatialHash.queryRadius('enemies', enemy.x, enemy.y, range),
+            (enemy, range) => this.spatialHash.queryRadius('foods', enemy.x, enemy.y, range).filter(food => liveFoods.has(food))
+        );
+
+        for (const { prey } of enemiesEaten) {
+            this.enemies.splice(this.enemies.indexOf(prey), 1);
+            this.spatialHash.remove('enemies', prey);
+        }
+
+        for (const { food } of foodsEaten) {
+            this.spatialHash.remove('foods', food);
+            this.foodManager.removeFood(foods.indexOf(food));
+        }
     }
 
     drawEnemies() {
-        this.enemies.forEach(enemy => {
+        const outlineColors = this.settings.getOutlineColors();
+
+        // Enemies off screen can't be seen, so skip them entirely
+        this.getEntitiesInView('enemies').forEach(enemy => {
             // Check if enemy is within elliptical vision area
             const dx = enemy.x - this.player.x;
             const dy = enemy.y - this.player.y;
 
             // Use the ellipse formula: (x/a)² + (y/b)² <= 1
-            const visionRadiusX = this.canvas.width * 0.7; // 70% of screen width
-            const visionRadiusY = this.canvas.height * 0.7; // 70% of screen height
+            const visionRadiusX = this.viewWidth * 0.7; // 70% of screen width
+            const visionRadiusY = this.viewHeight * 0.7; // 70% of screen height
             const normalizedDistance = Math.pow(dx / visionRadiusX, 2) + Math.pow(dy / visionRadiusY, 2);
             const isInVision = normalizedDistance <= 1;
 
@@ -1306,29 +1985,12 @@ class Game {
             if (isInVision && this.player.isAlive) {
                 this.ctx.save();
 
-                // Add subtle outline based on size comparison
-                if (enemy.radius > this.player.radius * 1.2) {
-                    // Dangerous fish - red outline
-                    this.ctx.strokeStyle = 'rgba(255, 80, 80, 0.3)';
-                    this.ctx.lineWidth = 2;
-                    this.ctx.beginPath();
-                    this.ctx.arc(enemy.x, enemy.y, enemy.radius + 5, 0, Math.PI * 2);
-                    this.ctx.stroke();
-                } else if (enemy.radius < this.player.radius * 0.8) {
-                    // Edible fish - green outline
-                    this.ctx.strokeStyle = 'rgba(80, 255, 80, 0.3)';
-                    this.ctx.lineWidth = 2;
-                    this.ctx.beginPath();
-                    this.ctx.arc(enemy.x, enemy.y, enemy.radius + 5, 0, Math.PI * 2);
-                    this.ctx.stroke();
-                } else {
-                    // Similar size fish - yellow outline
-                    this.ctx.strokeStyle = 'rgba(255, 255, 80, 0.3)';
-                    this.ctx.lineWidth = 2;
-                    this.ctx.beginPath();
-                    this.ctx.arc(enemy.x, enemy.y, enemy.radius + 5, 0, Math.PI * 2);
-                    this.ctx.stroke();
-                }
+                // Add subtle outline: dangerous, edible or similar size
+                this.ctx.strokeStyle = outlineColors[this.getEnemyThreat(enemy)];
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(enemy.x, enemy.y, enemy.radius + 5, 0, Math.PI * 2);
+                this.ctx.stroke();
 
                 this.ctx.restore();
             }
@@ -1338,18 +2000,53 @@ class Game {
         });
     }
 
-    // Power-up methods are stubs since power-ups are disabled in this version
-    spawnPowerUps() {}
-    updatePowerUps() {}
-    drawPowerUps() {}
+    /**
+     * Adds a single-player power-up orb every PowerUpTypes.SPAWN_INTERVAL, up to PowerUpTypes.MAX_ORBS
+     */
+    spawnPowerUps() {
+        this.powerUpSpawnTimer += this.fixedStep;
+        if (this.powerUpSpawnTimer < PowerUpTypes.SPAWN_INTERVAL) return;
+        this.powerUpSpawnTimer = 0;
+
+        if (this.powerUps.length < PowerUpTypes.MAX_ORBS) {
+            this.powerUps.push(new PowerUp(this.canvas, this.worldWidth, this.worldHeight));
+        }
+    }
+
+    /**
+     * Ages the orbs and counts down the player's active power-ups by one step
+     * In multiplayer the server says when orbs expire, and its effect timers run while we're paused.
+     */
+    updatePowerUps() {
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            if (this.powerUps[i].update(this.fixedStep) && !this.multiplayer.isInRoom()) {
+                this.powerUps.splice(i, 1);
+            }
+        }
+
+        if (this.player && this.player.isAlive) {
+            this.player.updatePowerUps(this.fixedStep);
+        }
+
+        // Magnets pull in smaller fish (server enemies are pulled by the server)
+        if (!this.multiplayer.isInRoom()) {
+            this.pullTowardMagnet();
+        }
+    }
+
+    /**
+     * Draws the power-up orbs on screen
+     */
+    drawPowerUps() {
+        for (const powerUp of this.getEntitiesInView('powerUps')) {
+            powerUp.draw();
+        }
+    }
 
     checkCollisions() {
         if (!this.player.isAlive) return;
 
-        // Check collisions with other players in multiplayer mode
-        if (this.multiplayer && this.multiplayer.connected) {
-            this.multiplayer.checkPlayerCollisions();
-        }
+        // Collisions with other players are resolved by the server in multiplayer mode
 
         // Check collisions with AI players - disabled
         /*
@@ -1357,19 +2054,6 @@ class Game {
             const aiPlayer = this.aiPlayers[i];
             if (!aiPlayer.isAlive) continue;
 
-            // Check if magnetism is active and pull smaller fish towards player
-            if (this.player.powerUps.magnetism.active) {
-                const distanceToPlayer = calculateDistance(aiPlayer.x, aiPlayer.y, this.player.x, this.player.y);
-                if (distanceToPlayer < this.player.powerUps.magnetism.range && aiPlayer.radius < this.player.radius) {
-                    // Calculate angle to player
-                    const angleToPlayer = calculateAngle(aiPlayer.x, aiPlayer.y, this.player.x, this.player.y);
-
-                    // Pull fish towards player
-                    aiPlayer.x += Math.cos(angleToPlayer) * 1.5;
-                    aiPlayer.y += Math.sin(angleToPlayer) * 0.6; // Reduced vertical pull to maintain horizontal movement
-                }
-            }
-
             if (checkCollision(this.player, aiPlayer)) {
                 // Collision detected
                 if (this.player.canEat(aiPlayer)) {
@@ -1395,38 +2079,37 @@ class Game {
         }
         */
 
-        // Check collisions with enemies
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
-
-            // Check if magnetism is active and pull smaller fish towards player - disabled
-            /*
-            if (this.player.powerUps.magnetism.active) {
-                const distanceToPlayer = calculateDistance(enemy.x, enemy.y, this.player.x, this.player.y);
-                if (distanceToPlayer < this.player.powerUps.magnetism.range && enemy.radius < this.player.radius) {
-                    // Calculate angle to player
-                    const angleToPlayer = calculateAngle(enemy.x, enemy.y, this.player.x, this.player.y);
-
-                    // Pull fish towards player
-                    enemy.x += Math.cos(angleToPlayer) * 1.5;
-                    enemy.y += Math.sin(angleToPlayer) * 0.6; // Reduced vertical pull to maintain horizontal movement
-                }
-            }
-            */
-
+        // Check collisions with enemies (resolved by the server in multiplayer mode)
+        const nearbyEnemies = this.multiplayer.isInRoom()
+            ? []
+            : this.spatialHash.queryRadius('enemies', this.player.x, this.player.y, this.player.radius);
+        const modifiers = this.player.modifiers;
+        this.stingCooldown = Math.max(0, this.stingCooldown - this.fixedStep);
+        for (const enemy of nearbyEnemies) {
             if (checkCollision(this.player, enemy)) {
-                if (this.player.canEat(enemy)) {
+                if (EnemySpecies.stings(enemy)) {
+                    // Jellyfish can't be eaten; touching one costs a size level, or the fish if it has none to lose
+                    if (modifiers.invincible || this.stingCooldown > 0) continue;
+                    this.stingCooldown = EnemySpecies.STING_COOLDOWN;
+
+                    if (!this.player.sting()) {
+                        this.player.die();
+                        return;
+                    }
+                    this.showFloatingText('Stung!', this.player.x, this.player.y - this.player.radius - 20, '#FF66CC', 18);
+                } else if (this.player.canEat(enemy) && EnemySpecies.isEdible(enemy)) {
                     // Player eats enemy
-                    this.enemies.splice(i, 1);
-                    this.player.eatFish();
+                    this.enemies.splice(this.enemies.indexOf(enemy), 1);
+                    this.spatialHash.remove('enemies', enemy);
+                    this.player.eatFish(modifiers.growthMultiplier);
 
                     // Calculate points based on enemy size
-                    let points = enemy.pointValue || (enemy.sizeLevel * 10);
+                    let points = (enemy.pointValue || (enemy.sizeLevel * 10)) * modifiers.pointsMultiplier;
 
                     // Update score
                     this.updateScore(points);
 
-                } else if (this.player.canBeEatenBy(enemy)) {
+                } else if (this.player.canBeEatenBy(enemy) && EnemySpecies.canBite(enemy) && !modifiers.invincible) {
                     // Player is eaten
                     // No need to show any floating text here as handlePlayerDeath will handle it
 
@@ -1434,95 +2117,46 @@ class Game {
                     // No need to show floating text here as handlePlayerDeath will handle it
                     return;
                 }
-                // If neither can eat the other, they just bounce off (no action needed)
+                // If neither can eat the other (or a puffed pufferfish is involved), they just bounce off
             }
         }
 
-        // Check collisions with food
+        // Check collisions with food - a magnet sucks it in from its whole range
         if (this.foodManager && this.foodManager.foods.length > 0) {
-            const foods = this.foodManager.foods;
-            for (let i = foods.length - 1; i >= 0; i--) {
-                const food = foods[i];
+            const reach = { x: this.player.x, y: this.player.y, radius: this.player.radius + modifiers.magnetRange };
+            const nearbyFoods = this.spatialHash.queryRadius('foods', reach.x, reach.y, reach.radius);
+            for (const food of nearbyFoods) {
+                const i = this.foodManager.foods.indexOf(food);
+                if (i === -1) continue; // Server food, eaten by the server's collision pass
 
-                if (checkCollision(this.player, food)) {
+                if (checkCollision(reach, food)) {
                     // Player eats food
-                    const points = food.value || 1;
+                    const points = (food.value || 1) * modifiers.pointsMultiplier;
                     this.updateScore(points);
-                    this.player.eatFish(0.1); // Small growth
-
-                    // In multiplayer mode, notify server about eaten food
-                    if (this.multiplayer && this.multiplayer.connected && food.id) {
-                        this.multiplayer.sendFoodEaten(food);
-                    }
+                    this.player.eatFish(0.1 * modifiers.growthMultiplier); // Small growth
 
                     // Remove food and return it to the pool
+                    this.spatialHash.remove('foods', food);
                     this.foodManager.removeFood(i);
 
-                    // Show floating text
-                    this.showFloatingText(`+${points}`, food.x, food.y, '#AAFFAA', 12);
-                }
-            }
-        } else if (this.foods) {
-            // Legacy support for multiplayer food
-            for (let i = this.foods.length - 1; i >= 0; i--) {
-                const food = this.foods[i];
-
-                if (checkCollision(this.player, food)) {
-                    // Player eats food
-                    const points = food.value || 1;
-                    this.updateScore(points);
-                    this.player.eatFish(0.1); // Small growth
-
-                    // In multiplayer mode, notify server about eaten food
-                    if (this.multiplayer && this.multiplayer.connected && food.id) {
-                        this.multiplayer.sendFoodEaten(food);
-                    }
-
-                    this.foods.splice(i, 1);
-
                     // Show floating text
                     this.showFloatingText(`+${points}`, food.x, food.y, '#AAFFAA', 12);
                 }
             }
         }
 
-        // Check collisions with power-ups - disabled
-        /*
-        for (let i = this.powerUps.length - 1; i >= 0; i--) {
-            const powerUp = this.powerUps[i];
-
-            if (checkCollision(this.player, powerUp)) {
-                // Apply power-up effect
-                const effect = powerUp.getEffect();
-                this.applyPowerUpEffect(effect);
-
-                // Show power-up message
-                let message = '';
-                switch(effect.type) {
-                    case 'speedBoost':
-                        message = 'Speed Boost!';
-                        break;
-                    case 'invincibility':
-                        message = 'Invincibility!';
-                        break;
-                    case 'doublePoints':
-                        message = 'Double Points!';
-                        break;
-                    case 'magnetism':
-                        message = 'Fish Magnet!';
-                        break;
-                    case 'frenzy':
-                        message = 'Feeding Frenzy!';
-                        break;
-                }
+        // Server food is resolved by the server in multiplayer mode (see MultiplayerManager.handleFoodRemoved)
 
-                this.showFloatingText(message, this.player.x, this.player.y - this.player.radius - 30, powerUp.color, 18);
+        // Check collisions with power-ups (picked up by the server's collision pass in multiplayer mode)
+        if (!this.multiplayer.isInRoom()) {
+            for (const powerUp of this.spatialHash.queryRadius('powerUps', this.player.x, this.player.y, this.player.radius)) {
+                if (!checkCollision(this.player, powerUp)) continue;
 
-                // Remove power-up
-                this.powerUps.splice(i, 1);
+                this.powerUps.splice(this.powerUps.indexOf(powerUp), 1);
+                this.spatialHash.remove('powerUps', powerUp);
+                this.applyPowerUpEffect(powerUp.type);
             }
         }
-        */
 
         // Check AI player collisions with each other - disabled
         /*
@@ -1573,8 +2207,16 @@ class Game {
         */
     }
 
-    // Stub method for power-up effects (disabled in this version)
-    applyPowerUpEffect() {}
+    /**
+     * Starts a power-up on the player and announces it
+     * @param {string} type - Power-up type from PowerUpTypes
+     * @param {number} duration - How long it lasts (ms) - defaults to the type's duration
+     */
+    applyPowerUpEffect(type, duration = PowerUpTypes.get(type).duration) {
+        const definition = PowerUpTypes.get(type);
+        this.player.activatePowerUp(type, duration);
+        this.showFloatingText(`${definition.name}!`, this.player.x, this.player.y - this.player.radius - 30, definition.color, 18);
+    }
 
     updateDifficulty() {
         this.difficultyTimer++;
@@ -1625,7 +2267,7 @@ class Game {
         }
 
         // Send player update to server in multiplayer mode
-        if (this.multiplayer && this.multiplayer.connected) {
+        if (this.multiplayer && this.multiplayer.isInRoom()) {
             this.multiplayer.sendPlayerUpdate();
         }
     }
@@ -1679,8 +2321,12 @@ class Game {
     }
 
     grantLevelUpReward() {
-        // Power-ups disabled - just show level up message
         this.showFloatingText(`Level Up! Level ${this.level}`, this.player.x, this.player.y, '#FFFF00', 24);
+
+        // The server hands out every power-up in multiplayer
+        if (!this.multiplayer.isInRoom() && this.player.isAlive) {
+            this.applyPowerUpEffect(PowerUpTypes.pickType());
+        }
     }
 
     showFloatingText(text, x, y, color = '#FFFFFF', fontSize = 20, life = 60, isParticle = false) {
@@ -1784,6 +2430,7 @@ class Game {
         // Stop the game loop
         this.isRunning = false;
         cancelAnimationFrame(this.animationFrameId);
+        this.closePauseMenu();
 
         // Make sure we're not showing multiple game over screens
         hideElement('game-over');
@@ -1816,6 +2463,7 @@ class Game {
         // Game HUD removed to avoid overlap with leaderboard
         hideElement('minimap-container');
         hideElement('progress-bar-container');
+        hideElement('power-up-status');
         showElement('game-over');
     }
 
@@ -1855,6 +2503,9 @@ class Game {
     }
 
     spawnFoods() {
+        // In multiplayer mode, food is spawned by the server
+        if (this.multiplayer && this.multiplayer.isInRoom()) return;
+
         this.foodSpawnTimer++;
 
         if (this.foodSpawnTimer >= this.foodSpawnInterval && this.foodManager &&
@@ -1875,8 +2526,8 @@ class Game {
                 const dy = aiPlayer.y - this.player.y;
 
                 // Use the ellipse formula: (x/a)² + (y/b)² <= 1
-                const visionRadiusX = this.canvas.width * 0.7; // 70% of screen width
-                const visionRadiusY = this.canvas.height * 0.7; // 70% of screen height
+                const visionRadiusX = this.viewWidth * 0.7; // 70% of screen width
+                const visionRadiusY = this.viewHeight * 0.7; // 70% of screen height
                 const normalizedDistance = Math.pow(dx / visionRadiusX, 2) + Math.pow(dy / visionRadiusY, 2);
                 const isInVision = normalizedDistance <= 1;
 
@@ -1919,25 +2570,57 @@ class Game {
     }
 
     drawFood() {
-        // Draw food using the food manager
-        if (this.foodManager) {
-            this.foodManager.draw();
-        } else {
-            // Legacy support for multiplayer food
-            if (this.foods) {
-        for (const food of this.foods) {
-                    // Check if food has its own context (original Food class)
-                    // or needs context passed (multiplayer food)
-                    if (food.ctx) {
-            food.draw();
-                    } else {
-                        food.draw(this.ctx);
-                    }
+        // Local food (from the food manager) and server food in multiplayer mode share the 'foods' layer
+        for (const food of this.getEntitiesInView('foods')) {
+            food.draw(this.ctx);
+        }
+    }
+
+    /**
+     * Registers enemies, food, power-ups and remote players in the spatial hash at their current positions
+     */
+    updateSpatialHash() {
+        this.spatialHash.clear();
+
+        for (const enemy of this.enemies) {
+            // Enemy bodies and tails reach well past their collision radius
+            this.spatialHash.insert('enemies', enemy, (enemy.bodyLength + enemy.tailLength) || enemy.radius);
+        }
+
+        // Local food from the food manager, and server food in multiplayer mode
+        for (const foods of [this.foodManager ? this.foodManager.foods : [], this.foods || []]) {
+            for (const food of foods) {
+                this.spatialHash.insert('foods', food, food.radius * 2); // Includes the pulsing glow
+            }
+        }
+
+        for (const powerUp of this.powerUps) {
+            this.spatialHash.insert('powerUps', powerUp, powerUp.radius * 2); // Includes the pulsing glow
+        }
+
+        if (this.multiplayer && this.multiplayer.isInRoom()) {
+            for (const playerId in this.multiplayer.players) {
+                const player = this.multiplayer.players[playerId];
+                if (player.isAlive && player.inView) {
+                    this.spatialHash.insert('players', player, player.radius + 20); // Includes the outline and name tag
                 }
             }
         }
     }
 
+    /**
+     * Gets the entities of a spatial hash layer that may be on screen
+     * @param {string} layer - Spatial hash layer ('enemies', 'foods', 'powerUps' or 'players')
+     * @returns {Array} Entities overlapping the camera view
+     */
+    getEntitiesInView(layer) {
+        return this.spatialHash.queryRect(
+            layer,
+            this.cameraX, this.cameraY,
+            this.cameraX + this.viewWidth, this.cameraY + this.viewHeight
+        );
+    }
+
     handlePlayerDeath() {
         // Prevent multiple calls to handlePlayerDeath
         if (this.deathHandled) return;
@@ -1949,7 +2632,9 @@ class Game {
         this.showFloatingText('You were eaten', this.player.x, this.player.y - 40, '#FF6666', 24);
 
         // Wait a short moment to let the message be visible, then show game over screen
-        setTimeout(() => {
+        this.gameOverTimeout = setTimeout(() => {
+            this.gameOverTimeout = null;
+
             // Clear any floating texts before showing game over screen
             this.floatingTexts = [];
             this.gameOver();
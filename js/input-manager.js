@@ -0,0 +1,445 @@
+/**
+ * InputManager class for turning mouse, touch, keyboard and gamepad input
+ * into a swim direction and a boost button
+ * The control scheme setting picks the sources: 'mouse' steers toward the
+ * cursor and boosts with the left button, 'keyboard' steers with WASD/arrows
+ * and boosts with Space, and 'mixed' accepts both, steering with whichever
+ * was used last. A connected gamepad and the touch joystick (TouchControls)
+ * work with every scheme and steer whenever they were the last thing touched.
+ * @class
+ */
+class InputManager {
+    /**
+     * Creates an input manager listening to the canvas and keyboard
+     * @param {HTMLCanvasElement} canvas - The game canvas element
+     * @param {Settings} settings - Player settings holding the control scheme
+     */
+    constructor(canvas, settings) {
+        this.canvas = canvas;
+        this.settings = settings;
+
+        // Mouse/touch position on the canvas in screen pixels
+        this.pointerX = 0;
+        this.pointerY = 0;
+        this.pointerBoost = false;
+
+        // On-screen joystick and boost button, used for touch unless turned off in settings
+        this.touchControls = new TouchControls();
+
+        // Keyboard state
+        this.heldKeys = new Set(); // Held direction keys (KeyboardEvent.code)
+        this.keyboardBoost = false;
+
+        // Gamepad state, read from the Gamepad API in update()
+        this.gamepadIndex = null; // Index of the pad we read, or null when none is connected
+        this.gamepadDirection = { dirX: 0, dirY: 0 };
+        this.gamepadBoost = false;
+        this.gamepadButtons = []; // Pressed state of each button at the last poll
+
+        // Which source steered last - 'pointer', 'keyboard', 'gamepad' or 'touch'.
+        // Phones and tablets start on touch so the joystick shows before the first tap.
+        const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        this.lastSource = coarsePointer ? 'touch' : 'pointer';
+
+        // Callbacks for button presses that aren't movement (see onAction)
+        this.actionListeners = [];
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Reads the gamepad - the Gamepad API has no button events, so call this every frame
+     */
+    update() {
+        const pad = this.getGamepad();
+        if (!pad) {
+            this.clearGamepad();
+            return;
+        }
+
+        // Left stick steers
+        this.gamepadDirection = applyRadialDeadzone(pad.axes[0] || 0, pad.axes[1] || 0, InputManager.GAMEPAD_DEADZONE);
+        const steering = this.gamepadDirection.dirX !== 0 || this.gamepadDirection.dirY !== 0;
+
+        // A or the right trigger boosts
+        const trigger = pad.buttons[InputManager.GAMEPAD_BUTTONS.rightTrigger];
+        this.gamepadBoost = this.isButtonPressed(pad, InputManager.GAMEPAD_BUTTONS.a) ||
+            Boolean(trigger && trigger.value > 0.5);
+
+        if (steering || this.gamepadBoost) {
+            this.lastSource = 'gamepad';
+        }
+
+        // Other buttons fire their action once per press
+        for (const [name, action] of Object.entries(InputManager.GAMEPAD_ACTIONS)) {
+            const button = InputManager.GAMEPAD_BUTTONS[name];
+            const pressed = this.isButtonPressed(pad, button);
+            if (pressed && !this.gamepadButtons[button]) {
+                this.emitAction(action);
+            }
+            this.gamepadButtons[button] = pressed;
+        }
+    }
+
+    /**
+     * Registers a callback for non-movement actions
+     * @param {Function} listener - Called with 'pause', 'tutorialNext', 'tutorialPrevious',
+     *     'gamepadConnected' or 'gamepadDisconnected'
+     */
+    onAction(listener) {
+        this.actionListeners.push(listener);
+    }
+
+    /**
+     * Checks whether a gamepad is connected, e.g. to show its button prompts
+     * @returns {boolean} True while a pad is connected
+     */
+    isGamepadConnected() {
+        return this.gamepadIndex !== null;
+    }
+
+    /**
+     * Gets the direction the fish should swim this frame
+     * @param {number} x - Fish x position in world coordinates
+     * @param {number} y - Fish y position in world coordinates
+     * @param {Object} camera - Camera x, y and zoom, to map the pointer into the world
+     * @returns {Object} Direction dirX, dirY of length 1 (up to 1 for a gamepad stick), or 0 to stay still
+     */
+    getDirection(x, y, camera) {
+        const source = this.getSteeringSource();
+        if (source === 'gamepad') {
+            return this.gamepadDirection;
+        }
+        if (source === 'touch') {
+            return this.touchControls.direction;
+        }
+
+        let dx;
+        let dy;
+
+        if (source === 'keyboard') {
+            dx = 0;
+            dy = 0;
+            for (const code of this.heldKeys) {
+                dx += InputManager.KEY_DIRECTIONS[code].x;
+                dy += InputManager.KEY_DIRECTIONS[code].y;
+            }
+        } else {
+            dx = this.pointerX / camera.zoom + camera.x - x;
+            dy = this.pointerY / camera.zoom + camera.y - y;
+        }
+
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) {
+            return { dirX: 0, dirY: 0 };
+        }
+        return { dirX: dx / length, dirY: dy / length };
+    }
+
+    /**
+     * Checks whether a boost button of an active source is held
+     * @returns {boolean} True while boost is held
+     */
+    isBoostHeld() {
+        return (this.usesPointer() && this.pointerBoost) || (this.usesKeyboard() && this.keyboardBoost) ||
+            this.gamepadBoost || this.touchControls.isBoosting();
+    }
+
+    /**
+     * Checks whether the cursor indicator should be drawn
+     * @returns {boolean} True when the pointer is steering
+     */
+    showsCursor() {
+        return this.getSteeringSource() === 'pointer';
+    }
+
+    /**
+     * Checks whether the touch joystick and boost button should be drawn
+     * @returns {boolean} True when touch is being used with the on-screen controls
+     */
+    showsTouchControls() {
+        return this.usesTouchControls() && this.lastSource === 'touch';
+    }
+
+    /**
+     * Forgets held keys and buttons, e.g. when the window loses focus and
+     * their release events would be missed
+     */
+    reset() {
+        this.heldKeys.clear();
+        this.keyboardBoost = false;
+        this.pointerBoost = false;
+        this.touchControls.reset();
+    }
+
+    /**
+     * Sets up mouse, touch and keyboard event listeners
+     * @private
+     */
+    setupEventListeners() {
+        // Mouse move event
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.setPointer(e.clientX, e.clientY);
+        });
+
+
+        // Left click (button 0) holds boost
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button === 0) {
+                this.pointerBoost = true;
+            }
+        });
+
+        this.canvas.addEventListener('mouseup', (e) => {
+            if (e.button === 0) {
+                this.pointerBoost = false;
+            }
+        });
+
+        // Touch goes to the on-screen controls, or without them steers toward the finger and boosts while touching
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // Emulated mouse events would boost on every tap
+            if (this.usesTouchControls()) {
+                this.lastSource = 'touch';
+                this.forEachTouch(e.changedTouches, (id, x, y) => {
+                    this.touchControls.handleTouchStart(id, x, y, this.canvas.width, this.canvas.height);
+                });
+            } else {
+                this.setPointer(e.touches[0].clientX, e.touches[0].clientY);
+                this.pointerBoost = true;
+            }
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (this.usesTouchControls()) {
+                this.forEachTouch(e.changedTouches, (id, x, y) => {
+                    this.touchControls.handleTouchMove(id, x, y, this.canvas.width, this.canvas.height);
+                });
+            } else {
+                this.setPointer(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+
+        const endTouches = (e) => {
+            this.forEachTouch(e.changedTouches, (id) => this.touchControls.handleTouchEnd(id));
+            if (e.touches.length === 0) {
+                this.pointerBoost = false;
+            }
+        };
+        this.canvas.addEventListener('touchend', endTouches);
+        this.canvas.addEventListener('touchcancel', endTouches);
+
+        window.addEventListener('keydown', (e) => {
+            if (this.isTypingTarget(e.target)) return;
+
+            if (e.code in InputManager.KEY_DIRECTIONS) {
+                e.preventDefault(); // Arrow keys would scroll the page
+                this.heldKeys.add(e.code);
+                this.lastSource = 'keyboard';
+            } else if (e.code === 'Space') {
+                e.preventDefault(); // Space would click the focused button
+                this.keyboardBoost = true;
+            }
+        });
+
+        window.addEventListener('keyup', (e) => {
+            this.heldKeys.delete(e.code);
+            if (e.code === 'Space') {
+                this.keyboardBoost = false;
+            }
+        });
+
+        window.addEventListener('blur', () => {
+            this.reset();
+        });
+
+        // Pads can be plugged in and out at any time
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.gamepadIndex === null) {
+                this.gamepadIndex = e.gamepad.index;
+                this.emitAction('gamepadConnected');
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index !== this.gamepadIndex) return;
+
+            this.gamepadIndex = null;
+            this.clearGamepad();
+            if (this.lastSource === 'gamepad') {
+                this.lastSource = 'pointer';
+            }
+            this.emitAction('gamepadDisconnected');
+        });
+    }
+
+    /**
+     * Calls back with each touch's identifier and canvas position
+     * @param {TouchList} touches - Touches from a touch event
+     * @param {Function} callback - Called with id, x and y
+     * @private
+     */
+    forEachTouch(touches, callback) {
+        const rect = this.canvas.getBoundingClientRect();
+        for (const touch of touches) {
+            callback(touch.identifier, touch.clientX - rect.left, touch.clientY - rect.top);
+        }
+    }
+
+    /**
+     * Gets the pad we read, switching to another connected pad if it is gone
+     * @returns {Gamepad|null} The pad, or null if none is connected
+     * @private
+     */
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+
+        const pads = navigator.getGamepads();
+        if (this.gamepadIndex !== null && pads[this.gamepadIndex]) {
+            return pads[this.gamepadIndex];
+        }
+
+        // Some browsers only list pads here, without a connected event
+        const pad = Array.from(pads).find(candidate => candidate && candidate.connected);
+        const wasConnected = this.gamepadIndex !== null;
+        this.gamepadIndex = pad ? pad.index : null;
+        if (pad && !wasConnected) {
+            this.emitAction('gamepadConnected');
+        } else if (!pad && wasConnected) {
+            this.emitAction('gamepadDisconnected');
+        }
+        return pad || null;
+    }
+
+    /**
+     * Forgets the gamepad's stick and buttons
+     * @private
+     */
+    clearGamepad() {
+        this.gamepadDirection = { dirX: 0, dirY: 0 };
+        this.gamepadBoost = false;
+        this.gamepadButtons = [];
+    }
+
+    /**
+     * Checks whether a gamepad button is held down
+     * @param {Gamepad} pad - The gamepad
+     * @param {number} button - Button index in the standard mapping
+     * @returns {boolean} True if pressed
+     * @private
+     */
+    isButtonPressed(pad, button) {
+        return Boolean(pad.buttons[button] && pad.buttons[button].pressed);
+    }
+
+    /**
+     * Tells the action listeners about an action
+     * @param {string} action - Action name
+     * @private
+     */
+    emitAction(action) {
+        for (const listener of this.actionListeners) {
+            listener(action);
+        }
+    }
+
+    /**
+     * Stores a pointer position given in client coordinates
+     * @param {number} clientX - Pointer x in the window
+     * @param {number} clientY - Pointer y in the window
+     * @private
+     */
+    setPointer(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointerX = clientX - rect.left;
+        this.pointerY = clientY - rect.top;
+        this.lastSource = 'pointer';
+    }
+
+    /**
+     * Checks whether the control scheme accepts the mouse and touch
+     * @returns {boolean} True for the mouse and mixed schemes
+     * @private
+     */
+    usesPointer() {
+        return this.settings.get('controlScheme') !== 'keyboard';
+    }
+
+    /**
+     * Checks whether the control scheme accepts the keyboard
+     * @returns {boolean} True for the keyboard and mixed schemes
+     * @private
+     */
+    usesKeyboard() {
+        return this.settings.get('controlScheme') !== 'mouse';
+    }
+
+    /**
+     * Checks whether touches go to the on-screen joystick and boost button
+     * @returns {boolean} True unless the touch controls are turned off in settings
+     * @private
+     */
+    usesTouchControls() {
+        return this.settings.get('touchControls');
+    }
+
+    /**
+     * Gets the source the fish's direction comes from
+     * @returns {string} 'pointer', 'keyboard', 'gamepad' or 'touch'
+     * @private
+     */
+    getSteeringSource() {
+        if (this.lastSource === 'gamepad' && this.isGamepadConnected()) {
+            return 'gamepad';
+        }
+        if (this.lastSource === 'touch' && this.usesTouchControls()) {
+            return 'touch';
+        }
+        if (this.usesKeyboard() && (!this.usesPointer() || this.lastSource === 'keyboard')) {
+            return 'keyboard';
+        }
+        return 'pointer';
+    }
+
+    /**
+     * Checks whether a key event comes from a text field or menu control
+     * Buttons don't count: a clicked menu button keeps focus, and play must carry on from the keyboard.
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if the key belongs to that control
+     */
+    isTypingTarget(target) {
+        return Boolean(target && target.closest && target.closest('input, select, textarea'));
+    }
+}
+
+// Direction each steering key adds (KeyboardEvent.code, so WASD works on any layout)
+InputManager.KEY_DIRECTIONS = {
+    KeyW: { x: 0, y: -1 },
+    KeyA: { x: -1, y: 0 },
+    KeyS: { x: 0, y: 1 },
+    KeyD: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowDown: { x: 0, y: 1 },
+    ArrowRight: { x: 1, y: 0 }
+};
+
+// Stick deflection ignored as drift, as a fraction of full tilt
+InputManager.GAMEPAD_DEADZONE = 0.2;
+
+// Button indices in the Gamepad API's standard mapping
+InputManager.GAMEPAD_BUTTONS = {
+    a: 0,
+    rightTrigger: 7,
+    start: 9,
+    dpadLeft: 14,
+    dpadRight: 15
+};
+
+// Actions fired by the other buttons
+InputManager.GAMEPAD_ACTIONS = {
+    start: 'pause',
+    dpadRight: 'tutorialNext',
+    dpadLeft: 'tutorialPrevious'
+};
@@ -0,0 +1,146 @@
+/**
+ * Lobby class for picking a multiplayer room from the main menu
+ * Lists the server's rooms with their player counts and lets the
+ * player pick one or type a room code
+ * @class
+ */
+class Lobby {
+    /**
+     * Creates a new lobby
+     * @param {MultiplayerManager} multiplayer - Connection used to list rooms
+     */
+    constructor(multiplayer) {
+        this.multiplayer = multiplayer;
+        this.refreshInterval = 3000; // Poll room list every 3 seconds while the menu is open
+        this.refreshTimer = null;
+
+        this.container = document.getElementById('lobby');
+        this.roomList = document.getElementById('room-list');
+        this.roomCodeInput = document.getElementById('room-code');
+        this.inviteCodeText = document.getElementById('invite-code');
+        this.powerUpsCheckbox = document.getElementById('room-power-ups');
+        this.ecosystemCheckbox = document.getElementById('room-ecosystem');
+
+        const refreshButton = document.getElementById('refresh-rooms-button');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => this.refresh());
+        }
+
+        const createRoomButton = document.getElementById('create-room-button');
+        if (createRoomButton) {
+            createRoomButton.addEventListener('click', () => this.createPrivateRoom());
+        }
+    }
+
+    /**
+     * Shows the lobby and starts polling the room list
+     */
+    show() {
+        // Rooms only exist when running through the Node.js server
+        if (window.location.protocol === 'file:' || !this.multiplayer.connect()) return;
+
+        showElement('lobby');
+        this.refresh();
+
+        if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+        }
+    }
+
+    /**
+     * Hides the lobby and stops polling
+     */
+    hide() {
+        hideElement('lobby');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Requests the room list from the server
+     */
+    refresh() {
+        this.multiplayer.listRooms(rooms => this.render(rooms));
+    }
+
+    /**
+     * Creates a private room with the chosen options and fills in its invite code
+     */
+    createPrivateRoom() {
+        const options = {
+            powerUps: this.powerUpsCheckbox ? this.powerUpsCheckbox.checked : true,
+            ecosystem: this.ecosystemCheckbox ? this.ecosystemCheckbox.checked : false
+        };
+
+        this.multiplayer.createPrivateRoom(options, room => {
+            if (this.roomCodeInput) {
+                this.roomCodeInput.value = room.id;
+            }
+
+            if (this.inviteCodeText) {
+                this.inviteCodeText.textContent = `Invite code: ${room.id} - share it with your friends`;
+                showElement('invite-code');
+            }
+        });
+    }
+
+    /**
+     * Gets the room code the player picked or typed
+     * @returns {string|null} Room code, or null to join any open room
+     */
+    getSelectedRoomCode() {
+        if (!this.roomCodeInput) return null;
+        return this.roomCodeInput.value.trim().toUpperCase() || null;
+    }
+
+    /**
+     * Renders the room list
+     * @param {Array} rooms - Room summaries from the server
+     * @private
+     */
+    render(rooms) {
+        if (!this.roomList) return;
+
+        this.roomList.innerHTML = '';
+
+        if (rooms.length === 0) {
+            this.roomList.textContent = 'No rooms yet';
+            return;
+        }
+
+        const selectedCode = this.getSelectedRoomCode();
+
+        for (const room of rooms) {
+            const entry = document.createElement('div');
+            entry.className = 'room-entry';
+            if (room.playerCount >= room.maxPlayers) {
+                entry.classList.add('full');
+            }
+            if (room.id === selectedCode) {
+                entry.classList.add('selected');
+            }
+
+            const name = document.createElement('span');
+            name.className = 'room-name';
+            name.textContent = `${room.name} (${room.id})${room.powerUps ? ' ⚡' : ''}${room.ecosystem ? ' 🌿' : ''}`;
+            name.title = [room.powerUps && 'Power-ups on', room.ecosystem && 'Ecosystem mode'].filter(Boolean).join(', ');
+
+            const players = document.createElement('span');
+            players.className = 'room-players';
+            players.textContent = `${room.playerCount}/${room.maxPlayers}`;
+
+            entry.appendChild(name);
+            entry.appendChild(players);
+
+            // Clicking a room fills in its code
+            entry.addEventListener('click', () => {
+                if (this.roomCodeInput) {
+                    this.roomCodeInput.value = room.id;
+                }
+                this.render(rooms);
+            });
+
+            this.roomList.appendChild(entry);
+        }
+    }
+}
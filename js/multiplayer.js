@@ -10,28 +10,66 @@ class MultiplayerManager {
         this.lastUpdateTime = 0;
         this.updateInterval = 50; // Send updates every 50ms (multiplayer)
         this.singlePlayerUpdateInterval = 200; // Send updates every 200ms when alone
-        // Connection status element removed from UI
+
+        // Remote player smoothing
+        this.interpolationDelay = 100; // Render remote players this far behind the server (ms)
+        this.maxExtrapolation = 250; // Keep moving remote players this long after packets stop (ms)
+        this.serverTimeOffset = null; // Estimated server clock minus local clock (ms)
+
+        // Local player prediction
+        this.inputSequence = 0; // Sequence number of the last input we tagged
+        this.pendingInputs = []; // Inputs the server hasn't acknowledged yet
+        this.outgoingInputs = []; // Inputs waiting for the next player update
+        this.maxPendingInputs = 120; // Stop tracking inputs the server never acknowledges (2 seconds at 60fps)
+
+        // Rooms
+        this.roomId = null; // Room we are playing in, set when its gameState arrives
+        this.requestedRoomId = null; // Room code to join, or null for any open room
+        this.joinRequested = false; // Only join once the player starts a game
+
+        // Session resume
+        this.playerId = null; // Our fish's id on the server (outlives the socket)
+        this.resumeToken = null; // Lets a new socket reclaim our fish after a drop
+        this.reconnectDelay = 500; // First reconnect attempt after 500ms...
+        this.maxReconnectDelay = 5000; // ...doubling up to 5 seconds
+        this.statusElement = document.getElementById('connection-status');
+
+        // Snapshot encoding - binary by default, ?protocol=json for readable snapshots while debugging
+        this.protocol = new URLSearchParams(window.location.search).get('protocol') === 'json' ? 'json' : 'binary';
+        this.snapshotDecoder = null; // Delta baselines for binary snapshots, reset with every gameState
+
+        // Area of interest
+        this.viewResizeDelay = 250; // Wait for the window to stop resizing before telling the server (ms)
+        this.viewResizeTimer = null;
     }
 
     /**
-     * Connect to the multiplayer server
+     * Connect to the multiplayer server (does nothing if already connecting)
+     * @returns {boolean} True if a connection exists or was started
      */
     connect() {
+        if (this.socket) return true;
+
         // Check if Socket.IO is available
         if (typeof io === 'undefined') {
             console.error('Socket.IO client not available. Make sure you are running the game through the Node.js server.');
             this.updateConnectionStatus('Error: Socket.IO not available');
-            return;
+            return false;
         }
 
-        // Connect to the server
-        this.socket = io();
+        // Connect to the server - Socket.IO retries with exponential backoff after a drop
+        this.socket = io({
+            reconnectionDelay: this.reconnectDelay,
+            reconnectionDelayMax: this.maxReconnectDelay,
+            auth: { protocol: this.protocol }
+        });
 
         // Set up event listeners
         this.setupEventListeners();
 
         // Update connection status
         this.updateConnectionStatus('Connecting...');
+        return true;
     }
 
     /**
@@ -42,17 +80,32 @@ class MultiplayerManager {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.connected = true;
-            this.updateConnectionStatus('Connected');
 
-            // Send player data to server
-            this.joinGame();
+            if (this.resumeToken) {
+                // Reclaim the fish the server kept for us
+                this.updateConnectionStatus('Resuming...');
+                this.socket.emit('resumeSession', { resumeToken: this.resumeToken });
+            } else {
+                this.updateConnectionStatus('Connected');
+
+                // Send player data to server if a game has started
+                if (this.joinRequested) {
+                    this.joinGame();
+                }
+            }
         });
 
         // Connection lost
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.connected = false;
-            this.updateConnectionStatus('Disconnected');
+            this.roomId = null;
+            this.updateConnectionStatus(this.resumeToken ? 'Reconnecting...' : 'Disconnected');
+        });
+
+        // Reconnect attempts (the manager backs off between them)
+        this.socket.io.on('reconnect_attempt', (attempt) => {
+            this.updateConnectionStatus(`Reconnecting (attempt ${attempt})...`);
         });
 
         // Connection error
@@ -73,10 +126,40 @@ class MultiplayerManager {
         this.socket.on('gameState', (gameState) => {
             console.log('Received game state:', gameState);
 
+            this.roomId = gameState.room.id;
+            this.requestedRoomId = gameState.room.id; // Reconnects come back to this room
+            this.playerId = gameState.session.playerId;
+            this.resumeToken = gameState.session.resumeToken;
+            this.updateConnectionStatus('Connected');
+
+            // The room decides how big the ocean is
+            this.game.setWorldSize(gameState.worldWidth, gameState.worldHeight);
+
+            // Our view size decides how far around our fish the server sends entities
+            this.sendViewSize();
+
+            // Still in the pause menu after a reconnect - keep our fish paused
+            if (this.game.isPaused) {
+                this.sendPause(true);
+            }
+
+            // Binary snapshots only carry netIds, so remember who they belong to
+            this.snapshotDecoder = gameState.protocol === 'binary' ? SnapshotCodec.createDecoder() : null;
+            for (const playerId in gameState.players) {
+                this.registerPlayer(gameState.players[playerId]);
+            }
+
+            // Resuming - pick our fish up where the server kept it
+            const ownPlayer = gameState.players[this.playerId];
+            if (ownPlayer) {
+                this.restoreLocalPlayer(ownPlayer);
+            }
+            this.game.showFloatingText(`Joined ${gameState.room.name} (${gameState.room.id})`, this.game.canvas.width / 2, 80, '#FFFFFF', 20);
+
             // Initialize other players
-            this.players = {};
+            this.clearRemotePlayers();
             for (const playerId in gameState.players) {
-                if (playerId !== this.socket.id) {
+                if (playerId !== this.playerId) {
                     this.players[playerId] = this.createRemotePlayer(gameState.players[playerId]);
 
                     // Add to leaderboard
@@ -84,29 +167,66 @@ class MultiplayerManager {
                 }
             }
 
-            // Initialize food
+            // Server food and enemies replace any local ones - snapshots send the ones near us
+            if (this.game.foodManager) {
+                this.game.foodManager.clear();
+            }
             this.game.foods = [];
-            for (const food of gameState.foods) {
-                this.game.foods.push(this.createFoodFromServer(food));
+            this.game.enemies = [];
+
+            // Power-up orbs are few, so the room sends all of them (none if the room has power-ups off)
+            this.game.powerUps = [];
+            for (const powerUpData of gameState.powerUps) {
+                this.addPowerUp(powerUpData);
             }
+        });
 
+        // Our fish is gone (grace period over) - start a new one
+        this.socket.on('resumeFailed', () => {
+            console.warn('Could not resume session');
+            this.playerId = null;
+            this.resumeToken = null;
+            this.updateConnectionStatus('Connected');
 
+            if (this.joinRequested) {
+                this.joinGame();
+            }
+        });
+
+        // Room missing or full - keep playing solo
+        this.socket.on('joinError', (error) => {
+            console.warn('Could not join room:', error.message);
+            this.joinRequested = false;
+            this.game.showFloatingText(error.message, this.game.canvas.width / 2, 80, '#FF6666', 20);
+        });
+
+        // The server dropped us for breaking its rules - don't resume or rejoin
+        this.socket.on('kicked', (data) => {
+            console.warn('Kicked from server:', data.reason);
+            this.joinRequested = false;
+            this.playerId = null;
+            this.resumeToken = null;
+            this.game.showFloatingText('Disconnected by the server', this.game.canvas.width / 2, 80, '#FF6666', 20);
         });
 
         // New player joined
         this.socket.on('playerJoined', (playerData) => {
             console.log('Player joined:', playerData);
+            this.registerPlayer(playerData);
 
-            // Create remote player
-            this.players[playerData.id] = this.createRemotePlayer(playerData);
+            // A snapshot may already have created this player
+            if (!this.players[playerData.id]) {
+                // Create remote player
+                this.players[playerData.id] = this.createRemotePlayer(playerData);
 
-            // Calculate radius if not provided
-            if (!playerData.radius) {
-                this.players[playerData.id].calculateRadiusFromSizeLevel();
-            }
+                // Calculate radius if not provided
+                if (!playerData.radius) {
+                    this.players[playerData.id].calculateRadiusFromSizeLevel();
+                }
 
-            // Add to leaderboard
-            this.game.leaderboard.addPlayer(this.players[playerData.id]);
+                // Add to leaderboard
+                this.game.leaderboard.addPlayer(this.players[playerData.id]);
+            }
 
             // Show floating text
             this.game.showFloatingText(`${playerData.name} joined!`, this.game.canvas.width / 2, 50, '#FFFFFF', 20);
@@ -128,36 +248,26 @@ class MultiplayerManager {
 
                 // Remove from leaderboard
                 this.game.leaderboard.removePlayer(player);
-
-
             }
         });
 
-        // Player moved
-        this.socket.on('playerMoved', (playerData) => {
-            if (this.players[playerData.id]) {
-                // Update player position and properties
-                const player = this.players[playerData.id];
-                player.x = playerData.x;
-                player.y = playerData.y;
-                player.angle = playerData.angle;
-                player.score = playerData.score;
-                player.sizeLevel = playerData.sizeLevel;
-                player.isAlive = playerData.isAlive;
+        // World snapshot (sent once per server tick)
+        this.socket.on('snapshot', (data) => {
+            // Binary snapshots are deltas against ones we decoded earlier
+            const snapshot = this.snapshotDecoder ? SnapshotCodec.decode(data, this.snapshotDecoder) : data;
 
-                // If radius is not provided, calculate it from size level
-                if (!playerData.radius && player.sizeLevel) {
-                    player.calculateRadiusFromSizeLevel();
-                } else {
-                    player.radius = playerData.radius;
-                }
+            // Skip binary data that arrives before our gameState
+            if (snapshot && !(snapshot instanceof ArrayBuffer)) {
+                this.applySnapshot(snapshot);
             }
         });
 
-        // Player died
-        this.socket.on('playerDied', (playerId) => {
-            if (this.players[playerId]) {
-                this.players[playerId].isAlive = false;
+        // Every player's score, including ones too far away to be in snapshots
+        this.socket.on('scores', (scores) => {
+            for (const playerId in scores) {
+                if (this.players[playerId]) {
+                    this.players[playerId].score = scores[playerId];
+                }
             }
         });
 
@@ -177,21 +287,137 @@ class MultiplayerManager {
                 } else {
                     player.radius = playerData.radius;
                 }
+
+                player.paused = false;
+
+                // Don't blend from the position where the player died
+                player.buffer.clear();
             }
         });
 
-        // Food spawned
-        this.socket.on('foodSpawned', (foodData) => {
-            this.game.foods.push(this.createFoodFromServer(foodData));
+        // A player opened their pause menu - their fish is safe until shieldedUntil
+        this.socket.on('playerPaused', (data) => {
+            const shieldedUntil = Date.now() + data.safeFor;
+            if (data.id === this.playerId) {
+                this.game.pauseSafeUntil = shieldedUntil;
+            } else if (this.players[data.id]) {
+                this.players[data.id].paused = true;
+                this.players[data.id].shieldedUntil = shieldedUntil;
+            }
+        });
+
+        this.socket.on('playerUnpaused', (playerId) => {
+            if (this.players[playerId]) {
+                this.players[playerId].paused = false;
+            }
+        });
+
+        // Power-up orbs are spawned, expired and picked up by the server for the whole room
+        this.socket.on('powerUpSpawned', (powerUpData) => {
+            this.addPowerUp(powerUpData);
         });
 
-        // Food removed
-        this.socket.on('foodRemoved', (foodId) => {
-            const foodIndex = this.game.foods.findIndex(food => food.id === foodId);
-            if (foodIndex !== -1) {
-                this.game.foods.splice(foodIndex, 1);
+        this.socket.on('powerUpRemoved', (powerUpId) => {
+            this.removePowerUp(powerUpId);
+        });
+
+        this.socket.on('powerUpTaken', (data) => {
+            this.removePowerUp(data.id);
+            if (!PowerUpTypes.get(data.type)) return; // Added to the server after this page loaded
+
+            if (data.playerId === this.playerId) {
+                if (this.game.player.isAlive) {
+                    this.game.applyPowerUpEffect(data.type, data.duration);
+                }
+            } else if (this.players[data.playerId]) {
+                this.players[data.playerId].effects[data.type] = Date.now() + data.duration;
             }
         });
+
+        // Jellyfish stings are decided by the server, which also shrinks the stung fish
+        this.socket.on('playerStung', (data) => {
+            this.handlePlayerStung(data);
+        });
+    }
+
+    /**
+     * Join a room once connected
+     * @param {string|null} roomCode - Room to join; null rejoins the current room or any open room
+     */
+    joinRoom(roomCode) {
+        this.requestedRoomId = roomCode || this.roomId;
+        this.joinRequested = true;
+        this.resumeToken = null; // A new game gets a new fish
+
+        if (!this.connect()) return;
+
+        // Otherwise the connect handler joins
+        if (this.connected) {
+            this.joinGame();
+        }
+    }
+
+    /**
+     * Leave the current room and go back to the lobby
+     */
+    leaveRoom() {
+        this.joinRequested = false;
+        if (!this.roomId) return;
+
+        this.safeEmit('leaveRoom');
+        this.roomId = null;
+        this.playerId = null;
+        this.resumeToken = null;
+        this.clearRemotePlayers();
+    }
+
+    /**
+     * Check if we are playing in a multiplayer room
+     * @returns {boolean} True if connected and in a room
+     */
+    isInRoom() {
+        return this.connected && this.roomId !== null;
+    }
+
+    /**
+     * Ask the server for the lobby's room list
+     * @param {Function} callback - Called with an array of room summaries
+     */
+    listRooms(callback) {
+        if (!this.connected) return;
+        this.socket.emit('listRooms', callback);
+    }
+
+    /**
+     * Ask the server for a private room only joinable by its invite code
+     * @param {Object} options - Room options ({ powerUps: boolean, ecosystem: boolean })
+     * @param {Function} callback - Called with the new room's summary
+     */
+    createPrivateRoom(options, callback) {
+        if (!this.connected) return;
+        this.socket.emit('createRoom', options, callback);
+    }
+
+    /**
+     * Remember a player's netId, name and colors for decoding binary snapshots
+     * @param {Object} playerData - Player data from the server
+     * @private
+     */
+    registerPlayer(playerData) {
+        if (this.snapshotDecoder) {
+            SnapshotCodec.registerPlayer(this.snapshotDecoder, playerData);
+        }
+    }
+
+    /**
+     * Remove every remote player and their leaderboard entries
+     * @private
+     */
+    clearRemotePlayers() {
+        for (const playerId in this.players) {
+            this.game.leaderboard.removePlayer(this.players[playerId]);
+        }
+        this.players = {};
     }
 
     /**
@@ -200,6 +426,11 @@ class MultiplayerManager {
     joinGame() {
         if (!this.connected || !this.game.player) return;
 
+        // Start a fresh input history for the new server-side fish
+        this.inputSequence = 0;
+        this.pendingInputs = [];
+        this.outgoingInputs = [];
+
         // Send player data to server
         this.socket.emit('playerJoin', {
             name: this.game.player.name,
@@ -210,16 +441,43 @@ class MultiplayerManager {
             eyeColor: this.game.player.eyeColor,
             pupilColor: this.game.player.pupilColor,
             angle: this.game.player.angle,
-            worldWidth: this.game.worldWidth,
-            worldHeight: this.game.worldHeight
+            roomId: this.requestedRoomId
         });
     }
 
+    /**
+     * Tell the server how much of the world we show, so it sends everything inside our vision
+     */
+    sendViewSize() {
+        if (!this.isInRoom()) return;
+
+        this.socket.emit('viewResize', {
+            width: this.game.viewWidth,
+            height: this.game.viewHeight
+        });
+    }
+
+    /**
+     * Tell the server we opened or closed the pause menu
+     * @param {boolean} paused - Whether the game is now paused
+     */
+    sendPause(paused) {
+        this.safeEmit(paused ? 'playerPause' : 'playerUnpause');
+    }
+
+    /**
+     * Send our new view size once the window settles, without flooding the server while it is dragged
+     */
+    viewSizeChanged() {
+        clearTimeout(this.viewResizeTimer);
+        this.viewResizeTimer = setTimeout(() => this.sendViewSize(), this.viewResizeDelay);
+    }
+
     /**
      * Send player update to the server
      */
     sendPlayerUpdate() {
-        if (!this.connected || !this.game.player || !this.game.player.isAlive) return;
+        if (!this.isInRoom() || !this.game.player || !this.game.player.isAlive) return;
 
         // Determine update interval based on number of other players
         const otherPlayersCount = this.getOtherPlayersCount();
@@ -230,48 +488,95 @@ class MultiplayerManager {
         if (now - this.lastUpdateTime < currentUpdateInterval) return;
         this.lastUpdateTime = now;
 
-        // Ensure player score is synced with game score
-        if (this.game.player.score !== this.game.score) {
-            this.game.player.score = this.game.score;
-        }
-
-        // Send player data to server
+        // Send our inputs to the server - position, size and score come back in snapshots
         this.socket.emit('playerUpdate', {
-            x: this.game.player.x,
-            y: this.game.player.y,
-            radius: this.game.player.radius,
+            inputs: this.outgoingInputs,
             angle: this.game.player.angle,
-            score: this.game.player.score,
-            sizeLevel: this.game.player.sizeLevel,
-            isAlive: this.game.player.isAlive
+            ack: this.snapshotDecoder ? this.snapshotDecoder.lastTick : undefined
         });
+        this.outgoingInputs = [];
     }
 
     /**
-     * Notify server that player has eaten food
-     * @param {Object} food - The food that was eaten
+     * Tag a movement input the local player just predicted with and queue it for the server
+     * @param {Object} input - Input returned by PlayerFish.update()
      */
-    sendFoodEaten(food) {
-        if (!this.connected) return;
+    queueInput(input) {
+        input.seq = ++this.inputSequence;
+        this.pendingInputs.push(input);
+        this.outgoingInputs.push(input);
+
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    /**
+     * Correct the local player's predicted position with the server's state.
+     * Starts from the authoritative position and replays every input the
+     * server hasn't processed yet, so movement stays instant on high latency.
+     * Size and score are only ever the server's.
+     * @param {Object} playerData - The local player's state from a snapshot
+     * @param {number} growth - The local player's growth towards its next size level
+     */
+    reconcileLocalPlayer(playerData, growth) {
+        const player = this.game.player;
+        if (!player || !player.isAlive || !playerData.isAlive) return;
+
+        // Drop inputs the server has already applied
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > playerData.lastInput);
+
+        // Rewind to the authoritative position and replay the rest
+        player.x = playerData.x;
+        player.y = playerData.y;
+        for (const input of this.pendingInputs) {
+            player.applyMovement(input);
+        }
 
-        this.socket.emit('foodEaten', food.id);
+        // Meals, stings and boosting the server decided show up here
+        const boostFrames = this.pendingInputs.filter(input => input.boost).length;
+        player.setGrowth(playerData.sizeLevel, growth, boostFrames);
+        if (playerData.score !== this.game.score) {
+            this.game.updateScore(playerData.score - this.game.score);
+        }
     }
 
     /**
-     * Notify server that player has eaten another player
-     * @param {Object} player - The player that was eaten
+     * Move the local player to the state the server kept while we were away
+     * @param {Object} playerData - The local player's state from gameState
+     * @private
      */
-    sendPlayerEaten(player) {
-        if (!this.connected) return;
+    restoreLocalPlayer(playerData) {
+        const player = this.game.player;
+        if (!player) return;
+
+        // The server restarts our input sequence on resume
+        this.inputSequence = 0;
+        this.pendingInputs = [];
+        this.outgoingInputs = [];
+
+        player.x = playerData.x;
+        player.y = playerData.y;
+
+        // Power-ups keep running on the server while we're away
+        player.clearPowerUps();
+        for (const [type, remaining] of Object.entries(playerData.effects || {})) {
+            if (PowerUpTypes.get(type)) {
+                player.activatePowerUp(type, remaining);
+            }
+        }
 
-        this.socket.emit('playerEaten', player.id);
+        // Eaten while disconnected
+        if (!playerData.isAlive && player.isAlive) {
+            player.die();
+        }
     }
 
     /**
      * Notify server that player has respawned
      */
     sendPlayerRespawn() {
-        if (!this.connected || !this.game.player) return;
+        if (!this.isInRoom() || !this.game.player) return;
 
         this.socket.emit('playerRespawn', {
             x: this.game.player.x,
@@ -303,6 +608,11 @@ class MultiplayerManager {
             sizeLevel: playerData.sizeLevel || 1,
             isAlive: playerData.isAlive !== undefined ? playerData.isAlive : true,
             isCurrentPlayer: false,
+            inView: false, // Only players in our area get snapshots, and only they are drawn
+            paused: false, // Pause menu open - see drawPausedPlayer()
+            shieldedUntil: 0,
+            effects: {}, // Active power-ups - expiry time (local ms) by type, see drawPlayerEffects()
+            buffer: new SnapshotBuffer(), // Timestamped states for interpolation
 
             // Calculate radius based on size level if not provided
             calculateRadiusFromSizeLevel: function() {
@@ -397,9 +707,23 @@ class MultiplayerManager {
             player.calculateRadiusFromSizeLevel();
         }
 
+        // Only gameState sends power-ups already running; later ones arrive as powerUpTaken
+        for (const [type, remaining] of Object.entries(playerData.effects || {})) {
+            player.effects[type] = Date.now() + remaining;
+        }
+
         return player;
     }
 
+    /**
+     * Create an enemy fish from server data
+     * @param {Object} enemyData - Enemy data from server
+     * @returns {EnemyFish} - Enemy fish drawn at the server's position
+     */
+    createEnemyFromServer(enemyData) {
+        return EnemyFish.fromServer(this.game.canvas, enemyData, this.game.worldWidth, this.game.worldHeight);
+    }
+
     /**
      * Create a food object from server data
      * @param {Object} foodData - Food data from server
@@ -432,12 +756,22 @@ class MultiplayerManager {
     }
 
     /**
-     * Update the connection status (logging only)
+     * Update the connection status
+     * Shown in the HUD while a dropped game is waiting to be resumed
      * @param {string} status - Connection status message
      */
     updateConnectionStatus(status) {
         // Log connection status to console
         console.log(`Connection status: ${status}`);
+
+        if (!this.statusElement) return;
+
+        this.statusElement.textContent = status;
+        if (this.resumeToken && this.roomId === null) {
+            this.statusElement.classList.remove('hidden');
+        } else {
+            this.statusElement.classList.add('hidden');
+        }
     }
 
     /**
@@ -472,8 +806,6 @@ class MultiplayerManager {
         return this.getOtherPlayersCount() === 0;
     }
 
-
-
     /**
      * Draw all remote players
      */
@@ -481,96 +813,386 @@ class MultiplayerManager {
         // Skip drawing if playing alone
         if (this.isPlayingAlone()) return;
 
-        for (const playerId in this.players) {
-            const player = this.players[playerId];
-            if (player.isAlive) {
-                // Check if remote player is within elliptical vision area
-                const dx = player.x - this.game.player.x;
-                const dy = player.y - this.game.player.y;
-
-                // Use the ellipse formula: (x/a)² + (y/b)² <= 1
-                const visionRadiusX = this.game.canvas.width * 0.7; // 70% of screen width
-                const visionRadiusY = this.game.canvas.height * 0.7; // 70% of screen height
-                const normalizedDistance = Math.pow(dx / visionRadiusX, 2) + Math.pow(dy / visionRadiusY, 2);
-                const isInVision = normalizedDistance <= 1;
-
-                // Add visual indicator for fish within vision
-                if (isInVision && this.game.player.isAlive) {
-                    ctx.save();
-
-                    // Add subtle outline based on size comparison
-                    if (player.radius > this.game.player.radius * 1.2) {
-                        // Dangerous fish - red outline
-                        ctx.strokeStyle = 'rgba(255, 80, 80, 0.3)';
-                        ctx.lineWidth = 2;
-                        ctx.beginPath();
-                        ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
-                        ctx.stroke();
-                    } else if (player.radius < this.game.player.radius * 0.8) {
-                        // Edible fish - green outline
-                        ctx.strokeStyle = 'rgba(80, 255, 80, 0.3)';
-                        ctx.lineWidth = 2;
-                        ctx.beginPath();
-                        ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
-                        ctx.stroke();
-                    } else {
-                        // Similar size fish - yellow outline
-                        ctx.strokeStyle = 'rgba(255, 255, 80, 0.3)';
-                        ctx.lineWidth = 2;
-                        ctx.beginPath();
-                        ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
-                        ctx.stroke();
-                    }
+        const outlineColors = this.game.settings.getOutlineColors();
+
+        // Only alive players in our area are registered, and only ones on screen need drawing
+        for (const player of this.game.getEntitiesInView('players')) {
+            // Check if remote player is within elliptical vision area
+            const dx = player.x - this.game.player.x;
+            const dy = player.y - this.game.player.y;
+
+            // Use the ellipse formula: (x/a)² + (y/b)² <= 1
+            const visionRadiusX = this.game.canvas.width * 0.7; // 70% of screen width
+            const visionRadiusY = this.game.canvas.height * 0.7; // 70% of screen height
+            const normalizedDistance = Math.pow(dx / visionRadiusX, 2) + Math.pow(dy / visionRadiusY, 2);
+            const isInVision = normalizedDistance <= 1;
+
+            // Add visual indicator for fish within vision
+            if (isInVision && this.game.player.isAlive) {
+                ctx.save();
 
-                    ctx.restore();
+                // Add subtle outline based on size comparison
+                if (player.radius > this.game.player.radius * 1.2) {
+                    // Dangerous fish
+                    ctx.strokeStyle = outlineColors.dangerous;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                } else if (player.radius < this.game.player.radius * 0.8) {
+                    // Edible fish
+                    ctx.strokeStyle = outlineColors.edible;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                } else {
+                    // Similar size fish
+                    ctx.strokeStyle = outlineColors.similar;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(player.x, player.y, player.radius + 5, 0, Math.PI * 2);
+                    ctx.stroke();
                 }
 
-                // Draw the remote player
+                ctx.restore();
+            }
+
+            // Draw the remote player - paused fish are faded, with a bubble while they are safe
+            this.drawPlayerEffects(ctx, player);
+            if (player.paused) {
+                this.drawPausedPlayer(ctx, player);
+            } else {
                 player.draw(ctx);
             }
         }
     }
 
     /**
-     * Check collisions between local player and remote players
+     * Add a power-up orb the server placed
+     * @param {Object} powerUpData - Orb id, type, position and remaining lifespan
      */
-    checkPlayerCollisions() {
-        if (!this.game.player || !this.game.player.isAlive) return;
+    addPowerUp(powerUpData) {
+        if (!PowerUpTypes.get(powerUpData.type)) return; // Added to the server after this page loaded
 
-        // Skip collision checking if playing alone
-        if (this.isPlayingAlone()) return;
+        this.game.powerUps.push(new PowerUp(this.game.canvas, this.game.worldWidth, this.game.worldHeight, powerUpData));
+    }
 
-        for (const playerId in this.players) {
-            const remotePlayer = this.players[playerId];
-            if (!remotePlayer.isAlive) continue;
-
-            // Check collision
-            const dx = this.game.player.x - remotePlayer.x;
-            const dy = this.game.player.y - remotePlayer.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            if (distance < this.game.player.radius + remotePlayer.radius) {
-                // Collision detected
-                if (this.game.player.canEat(remotePlayer)) {
-                    // Local player eats remote player
-                    const points = remotePlayer.sizeLevel * 50;
-                    this.game.updateScore(points);
-                    this.game.player.eatFish(remotePlayer.sizeLevel * 0.5);
-                    remotePlayer.isAlive = false;
-
-                    // Notify server
-                    this.sendPlayerEaten(remotePlayer);
-
-                    // Show floating text
-                    this.game.showFloatingText(`+${points}`, remotePlayer.x, remotePlayer.y, '#FFFF00', 18);
-                    this.game.showFloatingText(`Ate ${remotePlayer.name}!`, this.game.player.x, this.game.player.y - this.game.player.radius - 30, '#00FF00', 16);
-                } else if (this.game.player.canBeEatenBy(remotePlayer)) {
-                    // Remote player eats local player
-                    this.game.player.die();
-
-                    // No need to show floating text here as handlePlayerDeath will handle it
-                }
+    /**
+     * Remove a power-up orb that was picked up or timed out
+     * @param {number} powerUpId - Server id of the orb
+     */
+    removePowerUp(powerUpId) {
+        const index = this.game.powerUps.findIndex(powerUp => powerUp.id === powerUpId);
+        if (index !== -1) {
+            this.game.powerUps.splice(index, 1);
+        }
+    }
+
+    /**
+     * Draw a glow in the color of a remote player's longest-running power-up, and their magnet's reach
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Player} player - Remote player
+     * @private
+     */
+    drawPlayerEffects(ctx, player) {
+        const now = Date.now();
+        let strongest = null;
+        for (const type of Object.keys(player.effects)) {
+            if (player.effects[type] <= now) {
+                delete player.effects[type];
+            } else if (strongest === null || player.effects[type] > player.effects[strongest]) {
+                strongest = type;
+            }
+        }
+        if (strongest === null) return;
+
+        const modifiers = PowerUpTypes.getModifiers(Object.keys(player.effects));
+
+        ctx.save();
+        ctx.strokeStyle = PowerUpTypes.get(strongest).color;
+        ctx.shadowColor = ctx.strokeStyle;
+        ctx.shadowBlur = 10 + Math.sin(now * 0.01) * 5;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(player.x, player.y, player.radius + 2, 0, Math.PI * 2);
+        ctx.stroke();
+
+        if (modifiers.magnetRange > 0) {
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = 'rgba(0, 191, 255, 0.2)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, player.radius + modifiers.magnetRange, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw a remote player who has their pause menu open
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Player} player - The paused remote player
+     * @private
+     */
+    drawPausedPlayer(ctx, player) {
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        player.draw(ctx);
+        ctx.restore();
+
+        if (Date.now() < player.shieldedUntil) {
+            ctx.save();
+            ctx.strokeStyle = 'rgba(180, 230, 255, 0.8)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, player.radius + 12, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Apply a batched world snapshot from the server
+     * @param {Object} snapshot - Players, food changes, kills and enemies for one tick
+     */
+    applySnapshot(snapshot) {
+        this.updateServerTimeOffset(snapshot.time);
+
+        // Players leaving our area stop being drawn; ones entering it start fresh from their new position
+        for (const playerId of snapshot.exited.players) {
+            this.setPlayerInView(playerId, false);
+        }
+        for (const playerId of snapshot.entered.players) {
+            this.setPlayerInView(playerId, true);
+        }
+
+        // Update remote players
+        for (const playerData of snapshot.players) {
+            if (playerData.id === this.playerId) {
+                this.reconcileLocalPlayer(playerData, snapshot.growth);
+                continue;
+            }
+
+            let player = this.players[playerData.id];
+            if (!player) {
+                // Player we haven't heard about yet (e.g. joined before our gameState arrived)
+                player = this.createRemotePlayer(playerData);
+                player.inView = true;
+                this.players[playerData.id] = player;
+                this.game.leaderboard.addPlayer(player);
+            }
+
+            player.score = playerData.score;
+            player.sizeLevel = playerData.sizeLevel;
+            player.isAlive = playerData.isAlive;
+
+            // Position, angle and radius are blended in updateRemotePlayers()
+            player.buffer.push(snapshot.time, {
+                x: playerData.x,
+                y: playerData.y,
+                angle: playerData.angle,
+                radius: playerData.radius || player.radius
+            });
+        }
+
+        for (const kill of snapshot.kills) {
+            this.handlePlayerDied(kill);
+        }
+
+        for (const foodData of snapshot.entered.foods) {
+            this.game.foods.push(this.createFoodFromServer(foodData));
+        }
+
+        for (const eaten of snapshot.foodsEaten) {
+            this.handleFoodRemoved(eaten);
+        }
+
+        // Food that left our area is only out of sight, not eaten
+        if (snapshot.exited.foods.length > 0) {
+            const exited = new Set(snapshot.exited.foods);
+            this.game.foods = this.game.foods.filter(food => !exited.has(food.id));
+        }
+
+        for (const eaten of snapshot.enemiesEaten) {
+            this.handleEnemyEaten(eaten);
+        }
+
+        this.syncEnemies(snapshot.time, snapshot.enemies);
+    }
+
+    /**
+     * Show or hide a remote player as they enter or leave our area
+     * @param {string} playerId - Remote player's id
+     * @param {boolean} inView - Whether the player is now in our area
+     * @private
+     */
+    setPlayerInView(playerId, inView) {
+        const player = this.players[playerId];
+        if (!player) return;
+
+        player.inView = inView;
+
+        // Don't blend across the time the player was out of sight
+        player.buffer.clear();
+    }
+
+    /**
+     * Match the local enemy list to the server's, buffering new positions
+     * Enemies missing from the list were eaten or left our area.
+     * @param {number} time - Server time of the snapshot (ms)
+     * @param {Array} enemiesData - Every enemy in our area
+     */
+    syncEnemies(time, enemiesData) {
+        const enemiesById = new Map(this.game.enemies.map(enemy => [enemy.id, enemy]));
+
+        this.game.enemies = enemiesData.map(enemyData => {
+            const enemy = enemiesById.get(enemyData.id) || this.createEnemyFromServer(enemyData);
+
+            // Pufferfish swell and shrink back as they puff, and enemies grow in ecosystem mode
+            enemy.radius = enemyData.radius;
+            enemy.puffed = enemyData.puffed;
+            if (enemy.sizeLevel !== enemyData.sizeLevel) {
+                enemy.sizeLevel = enemyData.sizeLevel;
+                enemy.pointValue = EnemySpecies.getPointValue(enemy);
             }
+
+            // Position and angle are blended in updateServerEnemies()
+            enemy.buffer.push(time, {
+                x: enemyData.x,
+                y: enemyData.y,
+                angle: enemyData.angle,
+                radius: enemyData.radius
+            });
+
+            return enemy;
+        });
+    }
+
+    /**
+     * Track the offset between the server clock and the local clock
+     * @param {number} serverTime - Server timestamp from a snapshot (ms)
+     */
+    updateServerTimeOffset(serverTime) {
+        const sample = serverTime - Date.now();
+
+        if (this.serverTimeOffset === null) {
+            this.serverTimeOffset = sample;
+        } else {
+            // Smooth out network jitter
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.1;
+        }
+    }
+
+    /**
+     * Move remote players to their interpolated positions for this frame
+     */
+    updateRemotePlayers() {
+        if (this.serverTimeOffset === null) return;
+
+        // Render remote players slightly in the past so there are two states to blend between
+        const renderTime = Date.now() + this.serverTimeOffset - this.interpolationDelay;
+
+        for (const playerId in this.players) {
+            const player = this.players[playerId];
+            if (!player.inView) continue;
+
+            const state = player.buffer.sample(renderTime, this.maxExtrapolation);
+            if (!state) continue;
+
+            player.x = state.x;
+            player.y = state.y;
+            player.angle = state.angle;
+            player.radius = state.radius;
+        }
+    }
+
+    /**
+     * Move server enemies to their interpolated positions for this frame
+     */
+    updateServerEnemies() {
+        if (this.serverTimeOffset === null) return;
+
+        const renderTime = Date.now() + this.serverTimeOffset - this.interpolationDelay;
+
+        for (const enemy of this.game.enemies) {
+            if (!enemy.buffer) continue;
+
+            const state = enemy.buffer.sample(renderTime, this.maxExtrapolation);
+            if (!state) continue;
+
+            enemy.x = state.x;
+            enemy.y = state.y;
+            enemy.angle = state.angle;
+        }
+    }
+
+    /**
+     * Apply an enemy fish being eaten, as decided by the server
+     * @param {Object} data - Eaten enemy id, eater id, points and growth
+     */
+    handleEnemyEaten(data) {
+        const enemy = this.game.enemies.find(enemy => enemy.id === data.id);
+        if (!enemy) return;
+
+        // syncEnemies() drops it from the list; our growth and score arrive with our own state
+        if (data.eatenBy === this.playerId && this.game.player.isAlive) {
+            // Show floating text
+            this.game.showFloatingText(`+${data.points}`, enemy.x, enemy.y, '#FFFF00', 16);
+        }
+    }
+
+    /**
+     * Apply a jellyfish sting decided by the server
+     * @param {Object} data - Stung player id and the jellyfish's id
+     */
+    handlePlayerStung(data) {
+        const isLocalPlayer = data.id === this.playerId;
+        const victim = isLocalPlayer ? this.game.player : this.players[data.id];
+        if (!victim || !victim.isAlive) return;
+
+        // The stung fish's new size arrives in the snapshots
+        this.game.showFloatingText('Stung!', victim.x, victim.y - victim.radius - 20, '#FF66CC', 18);
+    }
+
+    /**
+     * Apply a player death decided by the server
+     * @param {Object} data - Eaten player id, eater id, points and growth
+     */
+    handlePlayerDied(data) {
+        const isLocalPlayer = data.id === this.playerId;
+        const victim = isLocalPlayer ? this.game.player : this.players[data.id];
+        if (!victim) return;
+
+        if (isLocalPlayer) {
+            // Local player was eaten - handlePlayerDeath will show the message
+            this.game.player.die();
+        } else {
+            victim.isAlive = false;
+            victim.effects = {}; // The server ends power-ups when a fish dies
+        }
+
+        // The server rewards the eater; show the local player what they got
+        if (data.eatenBy === this.playerId && this.game.player.isAlive) {
+            this.game.showFloatingText(`+${data.points}`, victim.x, victim.y, '#FFFF00', 18);
+            this.game.showFloatingText(`Ate ${victim.name}!`, this.game.player.x, this.game.player.y - this.game.player.radius - 30, '#00FF00', 16);
+        }
+    }
+
+    /**
+     * Apply a food removal decided by the server
+     * @param {Object} data - Eaten food id, eater id, points and growth
+     */
+    handleFoodRemoved(data) {
+        const foodIndex = this.game.foods.findIndex(food => food.id === data.id);
+        if (foodIndex === -1) return;
+
+        const food = this.game.foods[foodIndex];
+        this.game.foods.splice(foodIndex, 1);
+
+        // The server rewards the eater; show the local player what they got
+        if (data.eatenBy === this.playerId && this.game.player.isAlive) {
+            this.game.showFloatingText(`+${data.points}`, food.x, food.y, '#AAFFAA', 12);
         }
     }
 }
@@ -8,8 +8,11 @@ class PlayerFish {
      * Creates a new PlayerFish instance
      * @param {HTMLCanvasElement} canvas - The game canvas element
      * @param {string} name - The player's display name
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     * @param {InputManager} input - Source of the swim direction and boost button
      */
-    constructor(canvas, name = 'Player') {
+    constructor(canvas, name = 'Player', worldWidth = WorldConfig.DEFAULT_WIDTH, worldHeight = WorldConfig.DEFAULT_HEIGHT, input = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
 
@@ -17,9 +20,9 @@ class PlayerFish {
         this.name = name;
         this.isCurrentPlayer = true; // Flag to identify the human player
 
-        // Get world dimensions from window size
-        this.worldWidth = window.innerWidth * 3;
-        this.worldHeight = window.innerHeight * 3;
+        // World dimensions
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
 
         // Initial position at the center of the world
         this.x = this.worldWidth / 2;
@@ -41,9 +44,9 @@ class PlayerFish {
         this.velocityY = 0;
         this.inertia = 0.7; // Lower value = less inertia, more responsive
 
-        // Mouse/cursor tracking
-        this.mouseX = 0;
-        this.mouseY = 0;
+        // Controls
+        this.input = input;
+        this.boostHeld = false; // Boost button state last frame, so presses and releases start and stop boost
         this.angle = 0; // Angle for fish direction
 
         // Scoring and status
@@ -77,104 +80,36 @@ class PlayerFish {
             particles: []
         };
 
-        // Power-up properties (disabled)
-        this.powerUps = {
-            speedBoost: {
-                active: false,
-                duration: 0,
-                multiplier: 1.5
-            },
-            invincibility: {
-                active: false,
-                duration: 0
-            },
-            doublePoints: {
-                active: false,
-                duration: 0,
-                multiplier: 2
-            },
-            magnetism: {
-                active: false,
-                duration: 0,
-                range: 150
-            }
-        };
-
-        // Target position (mouse/touch)
-        this.targetX = this.x;
-        this.targetY = this.y;
-
-        // Setup event listeners
-        this.setupEventListeners();
-    }
-
-    /**
-     * Sets up mouse and touch event listeners for player control
-     * @private
-     */
-    setupEventListeners() {
-        // Mouse move event
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            this.targetX = e.clientX - rect.left;
-            this.targetY = e.clientY - rect.top;
-
-            // Store raw mouse coordinates for cursor indicator
-            this.mouseX = e.clientX - rect.left;
-            this.mouseY = e.clientY - rect.top;
-        });
-
-        // Touch move event for mobile
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const rect = this.canvas.getBoundingClientRect();
-            this.targetX = e.touches[0].clientX - rect.left;
-            this.targetY = e.touches[0].clientY - rect.top;
-
-            // Store raw touch coordinates for cursor indicator
-            this.mouseX = e.touches[0].clientX - rect.left;
-            this.mouseY = e.touches[0].clientY - rect.top;
-        });
-
-        // Mouse down event for boost
-        this.canvas.addEventListener('mousedown', (e) => {
-            // Left click (button 0) activates boost
-            if (e.button === 0 && this.isAlive) {
-                this.startBoost();
-            }
-        });
-
-        // Mouse up event to stop boost
-        this.canvas.addEventListener('mouseup', (e) => {
-            // Left click (button 0) deactivates boost
-            if (e.button === 0) {
-                this.stopBoost();
-            }
-        });
-
-        // Touch start event for boost on mobile
-        this.canvas.addEventListener('touchstart', (e) => {
-            if (this.isAlive) {
-                this.startBoost();
-            }
-        });
-
-        // Touch end event to stop boost on mobile
-        this.canvas.addEventListener('touchend', () => {
-            this.stopBoost();
-        });
+        // Active power-ups (see PowerUpTypes) and the modifiers they add up to
+        this.effects = {}; // Remaining time (ms) by power-up type
+        this.modifiers = PowerUpTypes.getModifiers([]);
     }
 
     /**
      * Updates the player's position, angle, and state each frame
      * Handles movement, boost, and boundary checking
+     * @returns {Object|null} The movement input applied this frame, or null if the player didn't move
      */
     update() {
-        if (!this.isAlive) return;
+        if (!this.isAlive) return null;
+
+        // Pressing the boost button starts boost and releasing it stops it
+        const boostHeld = this.input ? this.input.isBoostHeld() : false;
+        if (boostHeld && !this.boostHeld) {
+            this.startBoost();
+        } else if (!boostHeld && this.boostHeld) {
+            this.stopBoost();
+        }
+        this.boostHeld = boostHeld;
 
         // Update boost state
         this.updateBoost();
 
+        // Advance the respawn effect (brief invincibility visual) shown for 2 seconds after respawn
+        if (this.respawnTimer < 120) {
+            this.respawnTimer++;
+        }
+
         // Update growth animation if active
         if (this.growthAnimation.active) {
             this.updateGrowthAnimation();
@@ -185,68 +120,86 @@ class PlayerFish {
         const game = window.gameInstance;
         if (!game) {
             console.warn('Game instance not available yet, using default camera position');
-            return; // Skip update if game instance is not ready
+            return null; // Skip update if game instance is not ready
         }
         const cameraX = game.cameraX || 0;
         const cameraY = game.cameraY || 0;
+        const cameraZoom = game.cameraZoom || 1;
 
-        // Convert mouse position to world coordinates with direct mapping
-        const worldMouseX = this.mouseX + cameraX;
-        const worldMouseY = this.mouseY + cameraY;
-
-        // Calculate direction to mouse cursor
-        const dx = worldMouseX - this.x;
-        const dy = worldMouseY - this.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        // Direction from the input sources (toward the cursor, or the held keys)
+        const direction = this.input
+            ? this.input.getDirection(this.x, this.y, { x: cameraX, y: cameraY, zoom: cameraZoom })
+            : { dirX: 0, dirY: 0 };
+        const moving = direction.dirX !== 0 || direction.dirY !== 0;
 
-        // Calculate angle to cursor
-        const targetAngle = Math.atan2(dy, dx);
+        // Turn toward the direction, keeping the current heading while still
+        if (moving) {
+            const targetAngle = Math.atan2(direction.dirY, direction.dirX);
 
-        // Smooth angle transition for fish rotation only
-        let angleDiff = targetAngle - this.angle;
-        if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-        if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+            // Smooth angle transition for fish rotation only
+            let angleDiff = targetAngle - this.angle;
+            if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
 
-        // Apply rotation - faster turning for better responsiveness
-        this.angle += angleDiff * 0.3;
+            // Apply rotation - faster turning for better responsiveness
+            this.angle += angleDiff * 0.3;
 
-        // Normalize angle
-        if (this.angle > Math.PI) this.angle -= Math.PI * 2;
-        if (this.angle < -Math.PI) this.angle += Math.PI * 2;
+            // Normalize angle
+            if (this.angle > Math.PI) this.angle -= Math.PI * 2;
+            if (this.angle < -Math.PI) this.angle += Math.PI * 2;
+        }
 
         // DIRECT MOVEMENT APPROACH
+        // Move directly along the input direction with no physics
+        // This completely eliminates any edge attraction effect
+        const input = { dirX: 0, dirY: 0, boost: this.boosting };
+
+        if (moving) {
+            input.dirX = direction.dirX;
+            input.dirY = direction.dirY;
+
+            // Add very slight randomness for natural movement
+            if (Math.random() < 0.05) {
+                const randomFactor = 0.05;
+                input.dirX += (Math.random() - 0.5) * randomFactor;
+                input.dirY += (Math.random() - 0.5) * randomFactor;
+            }
+        }
+        // No direction (cursor exactly on the fish, or no keys held) stops movement
+
+        this.applyMovement(input);
+
+        return input;
+    }
+
+    /**
+     * Moves the fish one frame along an input direction.
+     * The server runs the same rules, and multiplayer reconciliation replays
+     * unacknowledged inputs through this method, so it must stay deterministic.
+     * @param {Object} input - Input with dirX, dirY (length up to 1) and boost flag
+     */
+    applyMovement(input) {
         // Calculate base speed - higher for better responsiveness
-        let moveSpeed = this.speed * 1.3;
+        let moveSpeed = this.speed * 1.3 * this.modifiers.speedMultiplier;
 
         // Apply boost if active
-        if (this.boosting) {
+        if (input.boost) {
             moveSpeed *= this.boostMultiplier;
         }
 
-        // Calculate direct movement vector toward cursor
-        // This is the key change - we move directly toward the cursor with no physics
-        if (distance > 0) {
-            // Normalize direction vector
-            const dirX = dx / distance;
-            const dirY = dy / distance;
-
-            // Set velocity directly based on direction and speed
-            // This completely eliminates any edge attraction effect
-            this.velocityX = dirX * moveSpeed;
-            this.velocityY = dirY * moveSpeed;
-
-            // Add very slight randomness for natural movement
-            if (Math.random() < 0.05) {
-                const randomFactor = 0.1;
-                this.velocityX += (Math.random() - 0.5) * randomFactor;
-                this.velocityY += (Math.random() - 0.5) * randomFactor;
-            }
-        } else {
-            // If cursor is exactly on fish, stop movement
-            this.velocityX = 0;
-            this.velocityY = 0;
+        // Never move faster than a unit direction allows
+        let dirX = input.dirX;
+        let dirY = input.dirY;
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (length > 1) {
+            dirX /= length;
+            dirY /= length;
         }
 
+        // Set velocity directly based on direction and speed
+        this.velocityX = dirX * moveSpeed;
+        this.velocityY = dirY * moveSpeed;
+
         // Apply velocity
         this.x += this.velocityX;
         this.y += this.velocityY;
@@ -255,9 +208,6 @@ class PlayerFish {
         const margin = this.radius;
         this.x = Math.max(margin, Math.min(this.worldWidth - margin, this.x));
         this.y = Math.max(margin, Math.min(this.worldHeight - margin, this.y));
-
-        // Update power-ups
-        this.updatePowerUps();
     }
 
     /**
@@ -267,12 +217,6 @@ class PlayerFish {
     draw() {
         if (!this.isAlive) return;
 
-        // Add respawn effect (brief invincibility visual)
-        const respawnEffect = this.respawnTimer < 120; // Show effect for 2 seconds after respawn
-        if (respawnEffect) {
-            this.respawnTimer++;
-        }
-
         this.ctx.save();
 
         // Draw growth animation particles if active
@@ -280,6 +224,9 @@ class PlayerFish {
             this.drawGrowthParticles();
         }
 
+        // Power-up tint for the body and tail
+        const effect = this.getStrongestEffect();
+
         // Draw fish body
         this.ctx.beginPath();
         this.ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
@@ -346,56 +293,12 @@ class PlayerFish {
                 this.ctx.stroke();
                 this.ctx.closePath();
             }
-        } else if (this.powerUps.invincibility.active) {
-            // Gold pulsing effect for invincibility
-            this.ctx.fillStyle = `rgba(255, 215, 0, ${0.5 + Math.sin(Date.now() * 0.01) * 0.5})`;
-            this.ctx.shadowColor = '#FFD700';
-            this.ctx.shadowBlur = 15;
-        } else if (this.powerUps.doublePoints.active) {
-            // Rainbow effect for double points
-            const hue = (Date.now() * 0.1) % 360;
-            this.ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
-        } else if (this.powerUps.magnetism.active) {
-            // Electric blue effect for magnetism
-            this.ctx.fillStyle = '#00BFFF';
-            this.ctx.shadowColor = '#00BFFF';
-            this.ctx.shadowBlur = 10;
-
-            // Draw magnetism field
-            this.ctx.beginPath();
-            this.ctx.arc(this.x, this.y, this.powerUps.magnetism.range, 0, Math.PI * 2);
-            this.ctx.strokeStyle = 'rgba(0, 191, 255, 0.2)';
-            this.ctx.lineWidth = 2;
-            this.ctx.stroke();
-            this.ctx.closePath();
-        } else if (this.powerUps.speedBoost.active) {
-            // Yellow effect for speed boost
-            this.ctx.fillStyle = '#FFFF00';
-
-            // Draw speed lines
-            const lineLength = this.radius * 1.5;
-            const lineCount = 3;
-
-            this.ctx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
-            this.ctx.lineWidth = 2;
-
-            for (let i = 0; i < lineCount; i++) {
-                const offset = (i - lineCount/2) * (this.radius * 0.4);
-                const perpX = Math.sin(this.angle) * offset;
-                const perpY = -Math.cos(this.angle) * offset;
-
-                this.ctx.beginPath();
-                this.ctx.moveTo(
-                    this.x - Math.cos(this.angle) * this.radius + perpX,
-                    this.y - Math.sin(this.angle) * this.radius + perpY
-                );
-                this.ctx.lineTo(
-                    this.x - Math.cos(this.angle) * (this.radius + lineLength) + perpX,
-                    this.y - Math.sin(this.angle) * (this.radius + lineLength) + perpY
-                );
-                this.ctx.stroke();
-                this.ctx.closePath();
-            }
+        } else if (effect) {
+            // Glow in the color of the power-up with the most time left
+            const color = PowerUpTypes.get(effect).color;
+            this.ctx.fillStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 10 + Math.sin(Date.now() * 0.01) * 5;
         } else {
             this.ctx.fillStyle = this.color;
         }
@@ -403,6 +306,16 @@ class PlayerFish {
         this.ctx.fill();
         this.ctx.closePath();
 
+        // Show how far a magnet reaches
+        if (this.modifiers.magnetRange > 0) {
+            this.ctx.beginPath();
+            this.ctx.arc(this.x, this.y, this.radius + this.modifiers.magnetRange, 0, Math.PI * 2);
+            this.ctx.strokeStyle = 'rgba(0, 191, 255, 0.2)';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+            this.ctx.closePath();
+        }
+
         // Draw tail
         this.ctx.beginPath();
         this.ctx.moveTo(
@@ -419,18 +332,7 @@ class PlayerFish {
         );
 
         // Use the same color as the body
-        if (this.powerUps.invincibility.active) {
-            this.ctx.fillStyle = `rgba(255, 215, 0, ${0.5 + Math.sin(Date.now() * 0.01) * 0.5})`;
-        } else if (this.powerUps.doublePoints.active) {
-            const hue = (Date.now() * 0.1) % 360;
-            this.ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
-        } else if (this.powerUps.magnetism.active) {
-            this.ctx.fillStyle = '#00BFFF';
-        } else if (this.powerUps.speedBoost.active) {
-            this.ctx.fillStyle = '#FFFF00';
-        } else {
-            this.ctx.fillStyle = this.color;
-        }
+        this.ctx.fillStyle = effect ? PowerUpTypes.get(effect).color : this.color;
 
         this.ctx.fill();
         this.ctx.closePath();
@@ -652,14 +554,18 @@ class PlayerFish {
     shrink() {
         if (this.sizeLevel <= 1) return false; // Can't shrink below size 1
 
-        // Calculate the amount to shrink based on the current level
-        const shrinkAmount = 5 + Math.floor((this.sizeLevel - 1) / 2) * 2;
+        // Undo the growth grow() added when reaching the current level
+        const shrinkAmount = 5 + Math.floor(this.sizeLevel / 2) * 2;
+
+        // Shrink from the size a running grow animation is heading for, not from mid-animation
+        const startRadius = this.radius;
+        const fullRadius = this.growthAnimation.active ? this.growthAnimation.targetRadius : this.radius;
 
         this.sizeLevel--;
-        this.radius -= shrinkAmount;
+        this.radius = fullRadius - shrinkAmount;
 
         // Update speed (slightly increase as fish gets smaller)
-        this.baseSpeed = Math.min(3.5, this.baseSpeed / 0.95);
+        this.baseSpeed = this.calculateBaseSpeed();
         this.speed = this.baseSpeed;
 
         // Update fish color based on size level
@@ -668,7 +574,7 @@ class PlayerFish {
         // Start shrink animation
         this.growthAnimation.active = true;
         this.growthAnimation.timer = 0;
-        this.growthAnimation.startRadius = this.radius + shrinkAmount; // Start from previous size
+        this.growthAnimation.startRadius = startRadius; // Start from the size on screen
         this.growthAnimation.targetRadius = this.radius;
 
         // Recalculate fish needed to grow for the previous level
@@ -679,6 +585,20 @@ class PlayerFish {
         return true; // Return true to indicate shrink occurred
     }
 
+    /**
+     * Shrinks the fish a size level after a jellyfish sting, losing this level's progress
+     * @returns {boolean} True if the fish shrank, false if it was too small to survive the sting
+     */
+    sting() {
+        if (!this.shrink()) return false;
+
+        this.fishEaten = 0;
+        this.growthProgress = 0;
+        this.updateGrowthProgressBar();
+
+        return true;
+    }
+
     /**
      * Updates the growth progress bar in the UI to reflect current growth progress
      * @private
@@ -747,18 +667,21 @@ class PlayerFish {
         this.fishNeededToGrow = Math.floor(this.fishNeededToGrow * 1.5); // Increase fish needed for next growth
 
         // Update speed (slightly decrease as fish gets bigger)
-        this.baseSpeed = Math.max(1.5, this.baseSpeed * 0.95);
+        this.baseSpeed = this.calculateBaseSpeed();
         this.speed = this.baseSpeed;
 
         // Calculate new radius with increasing growth per level
         // The formula makes each level's growth larger than the previous level
         const growthAmount = amount * (5 + Math.floor(this.sizeLevel / 2) * 2);
 
+        // Grow from the size a running animation is heading for, so back-to-back levels all count
+        const fullRadius = this.growthAnimation.active ? this.growthAnimation.targetRadius : this.radius;
+
         // Start growth animation
         this.growthAnimation.active = true;
         this.growthAnimation.timer = 0;
         this.growthAnimation.startRadius = this.radius;
-        this.growthAnimation.targetRadius = this.radius + growthAmount;
+        this.growthAnimation.targetRadius = fullRadius + growthAmount;
         this.growthAnimation.particles = this.createGrowthParticles();
 
         // Update fish color based on size level
@@ -786,9 +709,68 @@ class PlayerFish {
         return true; // Return true to indicate growth occurred
     }
 
+    /**
+     * Calculates the base speed for the current size level
+     * Each level is 5% slower than the last, down to a minimum of 1.5.
+     * The server uses the same formula to replay multiplayer movement.
+     * @returns {number} Base speed per frame
+     */
+    calculateBaseSpeed() {
+        return Math.max(1.5, 2.0 * Math.pow(0.95, this.sizeLevel - 1));
+    }
+
+    /**
+     * Calculates how much growth a size level needs to reach the next one
+     * The server uses the same formula to grow multiplayer fish.
+     * @param {number} sizeLevel - Size level (defaults to the current one)
+     * @returns {number} Growth needed
+     */
+    calculateFishNeededToGrow(sizeLevel = this.sizeLevel) {
+        let fishNeededToGrow = 5;
+        for (let level = 1; level < sizeLevel; level++) {
+            fishNeededToGrow = Math.floor(fishNeededToGrow * 1.5);
+        }
+        return fishNeededToGrow;
+    }
+
+    /**
+     * Matches the fish's size and growth progress to the server's in multiplayer
+     * Boosted frames the server hasn't charged for yet are taken off again, as
+     * updateBoost() already took them, and level changes animate the same way
+     * growing and shrinking do locally.
+     * @param {number} sizeLevel - Size level the server gave the fish
+     * @param {number} fishEaten - Growth towards the next size level
+     * @param {number} boostFrames - Boosted inputs the server hasn't processed yet
+     */
+    setGrowth(sizeLevel, fishEaten, boostFrames = 0) {
+        let fishNeededToGrow = this.calculateFishNeededToGrow(sizeLevel);
+        for (let i = 0; i < boostFrames; i++) {
+            if (fishEaten > 0) {
+                fishEaten = Math.max(0, fishEaten - this.boostDrainRate * fishNeededToGrow);
+            } else if (sizeLevel > 1) {
+                sizeLevel--;
+                fishNeededToGrow = this.calculateFishNeededToGrow(sizeLevel);
+                fishEaten = fishNeededToGrow * 0.9;
+            }
+        }
+
+        while (this.sizeLevel < sizeLevel) {
+            this.grow();
+        }
+        while (this.sizeLevel > sizeLevel) {
+            if (!this.shrink()) break;
+        }
+
+        this.fishNeededToGrow = fishNeededToGrow;
+        this.fishEaten = fishEaten;
+        this.growthProgress = this.fishEaten / this.fishNeededToGrow;
+        this.updateGrowthProgressBar();
+    }
+
     die() {
         this.isAlive = false;
         this.respawnTimer = 0;
+        this.clearPowerUps();
     }
 
     respawn() {
@@ -832,67 +814,57 @@ class PlayerFish {
         }
     }
 
+    /**
+     * Starts (or restarts) a power-up's effect
+     * @param {string} type - Power-up type from PowerUpTypes
+     * @param {number} duration - How long the effect lasts (ms)
+     */
     activatePowerUp(type, duration) {
-        // Power-ups disabled
-        /*
-        switch(type) {
-            case 'speedBoost':
-                this.powerUps.speedBoost.active = true;
-                this.powerUps.speedBoost.duration = duration;
-                this.speed = this.baseSpeed * this.powerUps.speedBoost.multiplier;
-                break;
-            case 'invincibility':
-                this.powerUps.invincibility.active = true;
-                this.powerUps.invincibility.duration = duration;
-                break;
-            case 'doublePoints':
-                this.powerUps.doublePoints.active = true;
-                this.powerUps.doublePoints.duration = duration;
-                break;
-            case 'magnetism':
-                this.powerUps.magnetism.active = true;
-                this.powerUps.magnetism.duration = duration;
-                break;
-        }
-        */
+        this.effects[type] = duration;
+        this.modifiers = PowerUpTypes.getModifiers(Object.keys(this.effects));
     }
 
-    updatePowerUps() {
-        // Power-ups disabled
-        /*
-        // Update speed boost
-        if (this.powerUps.speedBoost.active) {
-            this.powerUps.speedBoost.duration--;
-            if (this.powerUps.speedBoost.duration <= 0) {
-                this.powerUps.speedBoost.active = false;
-                this.speed = this.baseSpeed;
+    /**
+     * Counts down active power-ups and drops the ones that ran out
+     * Called every simulation step, including while a multiplayer fish is paused,
+     * since the server's timers keep running.
+     * @param {number} deltaMs - Step length (ms)
+     */
+    updatePowerUps(deltaMs) {
+        let expired = false;
+        for (const type of Object.keys(this.effects)) {
+            this.effects[type] -= deltaMs;
+            if (this.effects[type] <= 0) {
+                delete this.effects[type];
+                expired = true;
             }
         }
 
-        // Update invincibility
-        if (this.powerUps.invincibility.active) {
-            this.powerUps.invincibility.duration--;
-            if (this.powerUps.invincibility.duration <= 0) {
-                this.powerUps.invincibility.active = false;
-            }
+        if (expired) {
+            this.modifiers = PowerUpTypes.getModifiers(Object.keys(this.effects));
         }
+    }
 
-        // Update double points
-        if (this.powerUps.doublePoints.active) {
-            this.powerUps.doublePoints.duration--;
-            if (this.powerUps.doublePoints.duration <= 0) {
-                this.powerUps.doublePoints.active = false;
-            }
-        }
+    /**
+     * Ends every active power-up
+     */
+    clearPowerUps() {
+        this.effects = {};
+        this.modifiers = PowerUpTypes.getModifiers([]);
+    }
 
-        // Update magnetism
-        if (this.powerUps.magnetism.active) {
-            this.powerUps.magnetism.duration--;
-            if (this.powerUps.magnetism.duration <= 0) {
-                this.powerUps.magnetism.active = false;
+    /**
+     * Gets the active power-up with the most time left, which tints the fish
+     * @returns {string|null} Power-up type, or null if none is active
+     */
+    getStrongestEffect() {
+        let strongest = null;
+        for (const type of Object.keys(this.effects)) {
+            if (strongest === null || this.effects[type] > this.effects[strongest]) {
+                strongest = type;
             }
         }
-        */
+        return strongest;
     }
 
     canEat(otherFish) {
@@ -923,8 +895,9 @@ class PlayerFish {
         // Update glow intensity - peaks in the middle of the animation
         this.growthAnimation.glowIntensity = Math.sin(progress * Math.PI);
 
-        // Update particles
+        // Update particles and ripples
         this.updateGrowthParticles(progress);
+        this.updateGrowthRipples();
 
         // End animation when complete
         if (progress >= 1) {
@@ -1124,13 +1097,7 @@ class PlayerFish {
             const ripple = this.growthAnimation.ripples[i];
 
             // Skip if not active yet
-            if (!ripple.active) {
-                ripple.delay--;
-                if (ripple.delay <= 0) {
-                    ripple.active = true;
-                }
-                continue;
-            }
+            if (!ripple.active) continue;
 
             try {
                 // Ensure ripple has a valid color, or use a default
@@ -1166,6 +1133,26 @@ class PlayerFish {
                 console.error('Error drawing ripple:', error);
                 // Continue with the next ripple
             }
+        }
+    }
+
+    /**
+     * Expands and fades growth ripples, starting delayed ones when their delay runs out
+     * @private
+     */
+    updateGrowthRipples() {
+        if (!this.growthAnimation.ripples) return;
+
+        for (let i = this.growthAnimation.ripples.length - 1; i >= 0; i--) {
+            const ripple = this.growthAnimation.ripples[i];
+
+            if (!ripple.active) {
+                ripple.delay--;
+                if (ripple.delay <= 0) {
+                    ripple.active = true;
+                }
+                continue;
+            }
 
             // Update ripple properties
             ripple.radius += 2 + (this.sizeLevel * 0.1); // Faster expansion for larger fish
@@ -1338,11 +1325,19 @@ class PlayerFish {
             : Math.pow(2, -10 * x) * Math.sin((x * 10 - 0.75) * c4) + 1;
     }
 
-    reset() {
-        // Update world dimensions in case of resize
-        this.worldWidth = window.innerWidth * 3;
-        this.worldHeight = window.innerHeight * 3;
+    /**
+     * Moves the fish into a new world, keeping it inside the bounds
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     */
+    setWorldSize(worldWidth, worldHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.x = Math.max(this.radius, Math.min(worldWidth - this.radius, this.x));
+        this.y = Math.max(this.radius, Math.min(worldHeight - this.radius, this.y));
+    }
 
+    reset() {
         // Reset position to center of world
         this.x = this.worldWidth / 2;
         this.y = this.worldHeight / 2;
@@ -1367,10 +1362,7 @@ class PlayerFish {
         this.growthAnimation.timer = 0;
 
         // Reset all power-ups
-        this.powerUps.speedBoost.active = false;
-        this.powerUps.invincibility.active = false;
-        this.powerUps.doublePoints.active = false;
-        this.powerUps.magnetism.active = false;
+        this.clearPowerUps();
 
         this.velocityX = 0;
         this.velocityY = 0;
@@ -0,0 +1,131 @@
+/**
+ * Power-up definitions shared by the browser and the Node.js server
+ * Each type lists how it looks and which modifiers it grants while active;
+ * the server, the single-player game and the HUD all read this table, so a
+ * new power-up is one more entry here. Loaded as a classic script in the
+ * browser and imported for its side effect on the server; exposes
+ * PowerUpTypes globally.
+ */
+(function(root) {
+    // Orbs are picked by weight; durations are in ms
+    const TYPES = {
+        speedBoost: {
+            name: 'Speed Boost',
+            description: 'Swim 50% faster',
+            color: '#FFFF00',
+            icon: '⚡',
+            weight: 0.25,
+            duration: 10000,
+            modifiers: { speedMultiplier: 1.5 }
+        },
+        invincibility: {
+            name: 'Invincibility',
+            description: 'Nothing can eat you',
+            color: '#FFD700',
+            icon: '★',
+            weight: 0.2,
+            duration: 8000,
+            modifiers: { invincible: true }
+        },
+        doublePoints: {
+            name: 'Double Points',
+            description: 'Everything you eat scores double',
+            color: '#FF00FF',
+            icon: '×2',
+            weight: 0.2,
+            duration: 15000,
+            modifiers: { pointsMultiplier: 2 }
+        },
+        magnetism: {
+            name: 'Fish Magnet',
+            description: 'Pulls in food and smaller fish',
+            color: '#00BFFF',
+            icon: '⊕',
+            weight: 0.15,
+            duration: 12000,
+            modifiers: { magnetRange: 150 }
+        },
+        frenzy: {
+            name: 'Feeding Frenzy',
+            description: 'Everything you eat grows you twice as much',
+            color: '#00FF00',
+            icon: '!',
+            weight: 0.2,
+            duration: 10000,
+            modifiers: { growthMultiplier: 2 }
+        }
+    };
+
+    // Value of each modifier with no power-up active, and how two active ones stack
+    const MODIFIERS = {
+        speedMultiplier: { neutral: 1, combine: (a, b) => a * b },
+        pointsMultiplier: { neutral: 1, combine: (a, b) => a * b },
+        growthMultiplier: { neutral: 1, combine: (a, b) => a * b },
+        invincible: { neutral: false, combine: (a, b) => a || b },
+        magnetRange: { neutral: 0, combine: (a, b) => Math.max(a, b) }
+    };
+
+    const PowerUpTypes = {
+        TYPES,
+
+        // Orb spawning, used by server rooms and single-player alike
+        SPAWN_INTERVAL: 15000,
+        LIFESPAN: 30000,
+        MAX_ORBS: 3,
+        RADIUS: 15,
+
+        // Pull on smaller fish inside a magnet's range, per 60fps frame
+        MAGNET_PULL: 1.5,
+
+        /**
+         * Picks a random power-up type by weight
+         * @returns {string} Type key
+         */
+        pickType() {
+            const types = Object.keys(TYPES);
+            const totalWeight = types.reduce((sum, type) => sum + TYPES[type].weight, 0);
+            let roll = Math.random() * totalWeight;
+
+            for (const type of types) {
+                roll -= TYPES[type].weight;
+                if (roll < 0) return type;
+            }
+
+            return types[0];
+        },
+
+        /**
+         * Gets a power-up type's definition
+         * @param {string} type - Type key
+         * @returns {Object|undefined} Definition, or undefined for unknown types
+         */
+        get(type) {
+            return Object.prototype.hasOwnProperty.call(TYPES, type) ? TYPES[type] : undefined;
+        },
+
+        /**
+         * Combines the modifiers of the active power-ups
+         * @param {Array<string>} activeTypes - Types currently active on a fish
+         * @returns {Object} Every modifier, neutral unless a power-up changes it
+         */
+        getModifiers(activeTypes) {
+            const modifiers = {};
+            for (const [key, rule] of Object.entries(MODIFIERS)) {
+                modifiers[key] = rule.neutral;
+            }
+
+            for (const type of activeTypes) {
+                const definition = PowerUpTypes.get(type);
+                if (!definition) continue;
+
+                for (const [key, value] of Object.entries(definition.modifiers)) {
+                    modifiers[key] = MODIFIERS[key].combine(modifiers[key], value);
+                }
+            }
+
+            return modifiers;
+        }
+    };
+
+    root.PowerUpTypes = PowerUpTypes;
+})(typeof window !== 'undefined' ? window : globalThis);
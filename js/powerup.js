@@ -1,69 +1,48 @@
 /**
- * Power-up class
+ * Power-up orb
+ * Its look and effect come from the PowerUpTypes table. In multiplayer the
+ * server places orbs and decides pickups; single-player orbs place themselves.
  */
 class PowerUp {
-    constructor(canvas, worldWidth = null, worldHeight = null) {
+    /**
+     * Creates a power-up orb
+     * @param {HTMLCanvasElement} canvas - The game canvas element
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     * @param {Object} data - Orb from the server (id, type, position and remaining lifespan), or null to pick at random
+     */
+    constructor(canvas, worldWidth = null, worldHeight = null, data = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
 
         // World dimensions
-        this.worldWidth = worldWidth || canvas.width;
-        this.worldHeight = worldHeight || canvas.height;
+        this.worldWidth = worldWidth || WorldConfig.DEFAULT_WIDTH;
+        this.worldHeight = worldHeight || WorldConfig.DEFAULT_HEIGHT;
+
+        this.id = data ? data.id : null; // Server id, null for single-player orbs
 
         // Position randomly within the world, but avoid edges
-        this.x = random(this.worldWidth * 0.1, this.worldWidth * 0.9);
-        this.y = random(this.worldHeight * 0.1, this.worldHeight * 0.9);
+        this.x = data ? data.x : random(this.worldWidth * 0.1, this.worldWidth * 0.9);
+        this.y = data ? data.y : random(this.worldHeight * 0.1, this.worldHeight * 0.9);
 
         // Size and visual properties
-        this.radius = 15;
+        this.radius = PowerUpTypes.RADIUS;
         this.pulseAmount = 0;
         this.pulseDirection = 1;
 
-        // Determine power-up type
-        this.type = this.determineType();
-        this.color = this.determineColor();
-        this.duration = 1200; // 20 seconds at 60fps (doubled for 2x slower game)
-
-        // Lifespan of the power-up
-        this.lifespan = 1800; // 30 seconds at 60fps (doubled for 2x slower game)
-    }
-
-    determineType() {
-        const types = ['speedBoost', 'invincibility', 'doublePoints', 'magnetism', 'frenzy'];
-        const weights = [0.25, 0.2, 0.2, 0.15, 0.2]; // Probability weights
-
-        // Weighted random selection
-        const roll = Math.random();
-        let cumulativeWeight = 0;
-
-        for (let i = 0; i < types.length; i++) {
-            cumulativeWeight += weights[i];
-            if (roll < cumulativeWeight) {
-                return types[i];
-            }
-        }
-
-        return types[0]; // Fallback
-    }
+        this.type = data ? data.type : PowerUpTypes.pickType();
+        this.color = PowerUpTypes.get(this.type).color;
 
-    determineColor() {
-        switch(this.type) {
-            case 'speedBoost':
-                return '#FFFF00'; // Yellow
-            case 'invincibility':
-                return '#FFD700'; // Gold
-            case 'doublePoints':
-                return '#FF00FF'; // Magenta
-            case 'magnetism':
-                return '#00BFFF'; // Deep Sky Blue
-            case 'frenzy':
-                return '#00FF00'; // Green
-            default:
-                return '#FFFFFF'; // White
-        }
+        // Time left before the orb disappears (ms)
+        this.lifespan = data ? data.lifespan : PowerUpTypes.LIFESPAN;
     }
 
-    update() {
+    /**
+     * Advances the pulse and the lifespan by one simulation step
+     * @param {number} deltaMs - Step length (ms)
+     * @returns {boolean} True once the orb's lifespan is over
+     */
+    update(deltaMs) {
         // Update pulse effect
         this.pulseAmount += 0.05 * this.pulseDirection;
         if (this.pulseAmount >= 1) {
@@ -72,10 +51,7 @@ class PowerUp {
             this.pulseDirection = 1;
         }
 
-        // Decrease lifespan
-        this.lifespan--;
-
-        // Return true if power-up should be removed
+        this.lifespan -= deltaMs;
         return this.lifespan <= 0;
     }
 
@@ -99,40 +75,13 @@ class PowerUp {
         this.ctx.fill();
         this.ctx.closePath();
 
-        // Draw icon based on type
+        // Draw the type's icon
         this.ctx.fillStyle = 'white';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         this.ctx.font = `${this.radius}px Arial`;
-
-        let icon = '';
-        switch(this.type) {
-            case 'speedBoost':
-                icon = '⚡'; // Lightning bolt
-                break;
-            case 'invincibility':
-                icon = '★'; // Star
-                break;
-            case 'doublePoints':
-                icon = '×2'; // Multiply symbol
-                break;
-            case 'magnetism':
-                icon = '⊕'; // Circled plus (magnet symbol)
-                break;
-            case 'frenzy':
-                icon = '!'; // Exclamation mark
-                break;
-        }
-
-        this.ctx.fillText(icon, this.x, this.y);
+        this.ctx.fillText(PowerUpTypes.get(this.type).icon, this.x, this.y);
 
         this.ctx.restore();
     }
-
-    getEffect() {
-        return {
-            type: this.type,
-            duration: this.duration
-        };
-    }
 }
@@ -0,0 +1,163 @@
+/**
+ * Settings class for the player's preferences
+ * Values are saved to localStorage so they survive page reloads, next to the
+ * leaderboard and tutorial keys.
+ * @class
+ */
+class Settings {
+    /**
+     * Creates the settings, loading any saved values
+     */
+    constructor() {
+        this.localStorageKey = 'fishEatFishSettings';
+
+        // Every setting and its default - saved values of another type are ignored
+        this.defaults = {
+            graphicsQuality: 'high', // 'high' or 'low' (no water effect or light rays)
+            showFps: false,
+            cursorAlwaysFade: true,
+            cursorMaxOpacity: 0.3,
+            showMinimap: true,
+            minimapSize: 'medium', // Key of Settings.MINIMAP_SIZES
+            showLeaderboard: true,
+            outlinePalette: 'standard', // Key of Settings.OUTLINE_PALETTES
+            controlScheme: 'mixed', // 'mouse', 'keyboard' or 'mixed' (see InputManager)
+            touchControls: true, // On-screen joystick and boost button instead of steering toward the finger
+            ecosystem: false // Single-player enemies eat, grow and are limited by the food (multiplayer rooms choose their own)
+        };
+
+        this.values = { ...this.defaults };
+        this.listeners = [];
+        this.loadFromLocalStorage();
+    }
+
+    /**
+     * Gets a setting's current value
+     * @param {string} key - Setting name
+     * @returns {*} The value
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Changes a setting, saves it and tells the listeners
+     * @param {string} key - Setting name
+     * @param {*} value - New value, of the same type as the default
+     */
+    set(key, value) {
+        if (!this.isValid(key, value) || this.values[key] === value) return;
+
+        this.values[key] = value;
+        this.saveToLocalStorage();
+
+        for (const listener of this.listeners) {
+            listener(key, value);
+        }
+    }
+
+    /**
+     * Registers a callback for setting changes
+     * @param {Function} listener - Called with the key and new value
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Gets the size-comparison outline colors for the chosen palette
+     * @returns {Object} Colors for dangerous, edible and similar-sized fish
+     */
+    getOutlineColors() {
+        return Settings.OUTLINE_PALETTES[this.values.outlinePalette];
+    }
+
+    /**
+     * Gets the largest size the minimap may take up
+     * @returns {Object} Maximum width and height in pixels
+     */
+    getMinimapSize() {
+        return Settings.MINIMAP_SIZES[this.values.minimapSize];
+    }
+
+    /**
+     * Checks a value has the default's type, and is a known option for choice settings
+     * @param {string} key - Setting name
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether the value can be used
+     * @private
+     */
+    isValid(key, value) {
+        if (!(key in this.defaults) || typeof value !== typeof this.defaults[key]) {
+            return false;
+        }
+
+        switch (key) {
+            case 'graphicsQuality':
+                return value === 'high' || value === 'low';
+            case 'cursorMaxOpacity':
+                return value >= 0.1 && value <= 1;
+            case 'minimapSize':
+                return value in Settings.MINIMAP_SIZES;
+            case 'outlinePalette':
+                return value in Settings.OUTLINE_PALETTES;
+            case 'controlScheme':
+                return Settings.CONTROL_SCHEMES.includes(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Writes the settings to localStorage
+     * @private
+     */
+    saveToLocalStorage() {
+        localStorage.setItem(this.localStorageKey, JSON.stringify(this.values));
+    }
+
+    /**
+     * Reads saved settings, keeping the defaults for missing or broken values
+     * @private
+     */
+    loadFromLocalStorage() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.localStorageKey)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable settings:', error);
+            return;
+        }
+
+        for (const key in saved) {
+            if (this.isValid(key, saved[key])) {
+                this.values[key] = saved[key];
+            }
+        }
+    }
+}
+
+// Outline colors around fish by size compared to ours
+Settings.OUTLINE_PALETTES = {
+    standard: {
+        dangerous: 'rgba(255, 80, 80, 0.3)',
+        edible: 'rgba(80, 255, 80, 0.3)',
+        similar: 'rgba(255, 255, 80, 0.3)'
+    },
+    // Orange, blue and white stay apart for red-green color blindness
+    colorBlind: {
+        dangerous: 'rgba(230, 120, 0, 0.6)',
+        edible: 'rgba(60, 160, 255, 0.6)',
+        similar: 'rgba(255, 255, 255, 0.5)'
+    }
+};
+
+// Largest minimap size in pixels; the world's aspect ratio decides the rest
+Settings.MINIMAP_SIZES = {
+    small: { width: 150, height: 112 },
+    medium: { width: 200, height: 150 },
+    large: { width: 280, height: 210 }
+};
+
+// Ways to steer the fish
+Settings.CONTROL_SCHEMES = ['mouse', 'keyboard', 'mixed'];
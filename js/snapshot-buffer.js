@@ -0,0 +1,120 @@
+/**
+ * SnapshotBuffer class for smoothing networked entity movement
+ * Stores timestamped states and samples them at a point in the past,
+ * blending between the two states around that time
+ * @class
+ */
+class SnapshotBuffer {
+    /**
+     * Creates a new snapshot buffer
+     * @param {number} maxStates - Maximum number of states to keep
+     */
+    constructor(maxStates = 30) {
+        this.maxStates = maxStates;
+        this.states = [];
+    }
+
+    /**
+     * Adds a timestamped state to the buffer
+     * @param {number} time - Server time of the state (ms)
+     * @param {Object} state - State with x, y, angle and radius
+     */
+    push(time, state) {
+        const last = this.states[this.states.length - 1];
+
+        // Ignore duplicate or out-of-order states
+        if (last && time <= last.time) return;
+
+        this.states.push({
+            time: time,
+            x: state.x,
+            y: state.y,
+            angle: state.angle,
+            radius: state.radius
+        });
+
+        // Drop the oldest states once the buffer is full
+        if (this.states.length > this.maxStates) {
+            this.states.shift();
+        }
+    }
+
+    /**
+     * Samples the buffer at a given time
+     * Interpolates between the surrounding states, or extrapolates from the
+     * newest state for up to maxExtrapolation ms when no newer state exists
+     * @param {number} renderTime - Server time to sample (ms)
+     * @param {number} maxExtrapolation - Longest time to extrapolate past the newest state (ms)
+     * @returns {Object|null} Sampled state with x, y, angle and radius, or null if empty
+     */
+    sample(renderTime, maxExtrapolation) {
+        const states = this.states;
+        if (states.length === 0) return null;
+
+        const oldest = states[0];
+        const newest = states[states.length - 1];
+
+        // Before the oldest state - hold it
+        if (renderTime <= oldest.time) {
+            return { x: oldest.x, y: oldest.y, angle: oldest.angle, radius: oldest.radius };
+        }
+
+        // Past the newest state - extrapolate along the last known velocity
+        if (renderTime >= newest.time) {
+            if (states.length < 2) {
+                return { x: newest.x, y: newest.y, angle: newest.angle, radius: newest.radius };
+            }
+
+            const previous = states[states.length - 2];
+            const span = newest.time - previous.time;
+            const ahead = Math.min(renderTime - newest.time, maxExtrapolation);
+
+            return {
+                x: newest.x + (newest.x - previous.x) / span * ahead,
+                y: newest.y + (newest.y - previous.y) / span * ahead,
+                angle: newest.angle,
+                radius: newest.radius
+            };
+        }
+
+        // Find the two states around the render time
+        for (let i = states.length - 1; i > 0; i--) {
+            const from = states[i - 1];
+            const to = states[i];
+
+            if (renderTime >= from.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t,
+                    angle: this.lerpAngle(from.angle, to.angle, t),
+                    radius: from.radius + (to.radius - from.radius) * t
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Interpolates between two angles along the shortest direction
+     * @param {number} from - Start angle in radians
+     * @param {number} to - End angle in radians
+     * @param {number} t - Blend factor (0-1)
+     * @returns {number} Interpolated angle
+     * @private
+     */
+    lerpAngle(from, to, t) {
+        let diff = to - from;
+        if (diff > Math.PI) diff -= Math.PI * 2;
+        if (diff < -Math.PI) diff += Math.PI * 2;
+        return from + diff * t;
+    }
+
+    /**
+     * Removes all states (e.g. when an entity teleports)
+     */
+    clear() {
+        this.states = [];
+    }
+}
@@ -0,0 +1,592 @@
+/**
+ * Binary snapshot encoding shared by the browser and the Node.js server
+ * Snapshots are packed into an ArrayBuffer with quantized positions, angles
+ * and radii, numeric entity ids, and only the fields that changed since the
+ * last snapshot the client acknowledged. Names and colors never change, so
+ * they travel in gameState and playerJoined instead. Players entering or
+ * leaving the client's area show up as new or removed entries in the player
+ * delta; food entering or leaving it is listed explicitly. Each snapshot also
+ * carries its owner's growth towards their next size level. Loaded as a classic
+ * script in the browser and imported for its side effect on the server;
+ * exposes SnapshotCodec globally.
+ */
+(function(root) {
+    const FORMAT_VERSION = 6;
+
+    // Quantization steps
+    const POSITION_SCALE = 4; // Quarter-pixel positions, stored as int16 (±8191 world units)
+    const MAX_WORLD_SIZE = Math.floor(32767 / POSITION_SCALE);
+    const RADIUS_SCALE = 16; // Sixteenth-pixel radii, stored as uint16
+    const ANGLE_STEPS = 65536; // Full turn in uint16 steps
+    const GROWTH_SCALE = 100; // Growth values like 0.1 survive as whole hundredths
+
+    // Acknowledged snapshots the server can delta against, and decoded ones the client keeps
+    const ENCODER_HISTORY = 32; // 1.6 seconds at 20 ticks per second
+    const DECODER_HISTORY = 64;
+
+    // Who ate something - a player or, for kills and ecosystem-mode meals, an enemy fish.
+    // A player without a net id (gone before the snapshot went out) is sent as unknown.
+    const EATER_PLAYER = 0;
+    const EATER_ENEMY = 1;
+    const EATER_UNKNOWN = 2;
+
+    /**
+     * Growable byte buffer with the few types snapshots need
+     * @private
+     */
+    class BinaryWriter {
+        constructor(capacity = 1024) {
+            this.bytes = new Uint8Array(capacity);
+            this.view = new DataView(this.bytes.buffer);
+            this.length = 0;
+        }
+
+        reserve(size) {
+            if (this.length + size <= this.bytes.length) return;
+
+            const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+
+        u8(value) {
+            this.reserve(1);
+            this.view.setUint8(this.length, value);
+            this.length += 1;
+        }
+
+        i16(value) {
+            this.reserve(2);
+            this.view.setInt16(this.length, value);
+            this.length += 2;
+        }
+
+        u16(value) {
+            this.reserve(2);
+            this.view.setUint16(this.length, value);
+            this.length += 2;
+        }
+
+        f64(value) {
+            this.reserve(8);
+            this.view.setFloat64(this.length, value);
+            this.length += 8;
+        }
+
+        // Unsigned LEB128 - small ids and ticks take one or two bytes
+        varuint(value) {
+            do {
+                let byte = value % 128;
+                value = Math.floor(value / 128);
+                if (value > 0) byte |= 128;
+                this.u8(byte);
+            } while (value > 0);
+        }
+
+        string(value) {
+            const length = Math.min(value.length, 255);
+            this.u8(length);
+            for (let i = 0; i < length; i++) {
+                this.u8(value.charCodeAt(i) & 0xFF);
+            }
+        }
+
+        toArrayBuffer() {
+            return this.bytes.buffer.slice(0, this.length);
+        }
+    }
+
+    /**
+     * Reads values written by BinaryWriter
+     * @private
+     */
+    class BinaryReader {
+        constructor(data) {
+            this.view = ArrayBuffer.isView(data)
+                ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+                : new DataView(data);
+            this.offset = 0;
+        }
+
+        u8() {
+            return this.view.getUint8(this.offset++);
+        }
+
+        i16() {
+            const value = this.view.getInt16(this.offset);
+            this.offset += 2;
+            return value;
+        }
+
+        u16() {
+            const value = this.view.getUint16(this.offset);
+            this.offset += 2;
+            return value;
+        }
+
+        f64() {
+            const value = this.view.getFloat64(this.offset);
+            this.offset += 8;
+            return value;
+        }
+
+        varuint() {
+            let value = 0;
+            let scale = 1;
+            let byte;
+            do {
+                byte = this.u8();
+                value += (byte & 127) * scale;
+                scale *= 128;
+            } while (byte & 128);
+            return value;
+        }
+
+        string() {
+            const length = this.u8();
+            let value = '';
+            for (let i = 0; i < length; i++) {
+                value += String.fromCharCode(this.u8());
+            }
+            return value;
+        }
+    }
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // Field codecs: quantize to a comparable value, write it, read it back, dequantize
+    const position = {
+        quantize: value => clamp(Math.round(value * POSITION_SCALE), -32768, 32767),
+        dequantize: value => value / POSITION_SCALE,
+        write: (writer, value) => writer.i16(value),
+        read: reader => reader.i16()
+    };
+
+    const angle = {
+        quantize: value => {
+            const turn = ((value % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+            return Math.round(turn / (Math.PI * 2) * ANGLE_STEPS) % ANGLE_STEPS;
+        },
+        dequantize: value => value / ANGLE_STEPS * Math.PI * 2,
+        write: (writer, value) => writer.u16(value),
+        read: reader => reader.u16()
+    };
+
+    const radius = {
+        quantize: value => clamp(Math.round(value * RADIUS_SCALE), 0, 65535),
+        dequantize: value => value / RADIUS_SCALE,
+        write: (writer, value) => writer.u16(value),
+        read: reader => reader.u16()
+    };
+
+    const count = {
+        quantize: value => Math.max(0, Math.round(value || 0)),
+        dequantize: value => value,
+        write: (writer, value) => writer.varuint(value),
+        read: reader => reader.varuint()
+    };
+
+    const flag = {
+        quantize: value => (value ? 1 : 0),
+        dequantize: value => value === 1,
+        write: (writer, value) => writer.u8(value),
+        read: reader => reader.u8()
+    };
+
+    const text = {
+        quantize: value => String(value || ''),
+        dequantize: value => value,
+        write: (writer, value) => writer.string(value),
+        read: reader => reader.string()
+    };
+
+    // Per-entity fields in mask bit order (at most 8)
+    const PLAYER_FIELDS = [
+        ['x', position],
+        ['y', position],
+        ['angle', angle],
+        ['radius', radius],
+        ['score', count],
+        ['sizeLevel', count],
+        ['isAlive', flag],
+        ['lastInput', count]
+    ];
+
+    const ENEMY_FIELDS = [
+        ['x', position],
+        ['y', position],
+        ['angle', angle],
+        ['radius', radius],
+        ['sizeLevel', count],
+        ['color', text],
+        ['species', text],
+        ['puffed', flag]
+    ];
+
+    /**
+     * Quantizes an entity into an array of comparable field values
+     * @private
+     */
+    function quantizeEntity(entity, fields) {
+        return fields.map(([name, codec]) => codec.quantize(entity[name]));
+    }
+
+    /**
+     * Rebuilds an entity's fields from quantized values
+     * @private
+     */
+    function dequantizeEntity(record, fields) {
+        const entity = {};
+        fields.forEach(([name, codec], i) => {
+            entity[name] = codec.dequantize(record[i]);
+        });
+        return entity;
+    }
+
+    /**
+     * Writes the entities that changed since the baseline and the ids that disappeared
+     * @private
+     */
+    function writeEntityDelta(writer, current, baseline, fields) {
+        const changed = [];
+        for (const [id, record] of current) {
+            const previous = baseline.get(id);
+            let mask = 0;
+            fields.forEach((field, i) => {
+                if (!previous || previous[i] !== record[i]) mask |= 1 << i;
+            });
+            if (mask !== 0) changed.push([id, mask, record]);
+        }
+
+        writer.varuint(changed.length);
+        for (const [id, mask, record] of changed) {
+            writer.varuint(id);
+            writer.u8(mask);
+            fields.forEach(([, codec], i) => {
+                if (mask & (1 << i)) codec.write(writer, record[i]);
+            });
+        }
+
+        const removed = [...baseline.keys()].filter(id => !current.has(id));
+        writer.varuint(removed.length);
+        for (const id of removed) {
+            writer.varuint(id);
+        }
+    }
+
+    /**
+     * Applies an entity delta on top of a copy of the baseline
+     * @private
+     */
+    function readEntityDelta(reader, baseline, fields) {
+        const entities = new Map(baseline);
+
+        const changedCount = reader.varuint();
+        for (let n = 0; n < changedCount; n++) {
+            const id = reader.varuint();
+            const mask = reader.u8();
+            const record = (entities.get(id) || []).slice();
+            fields.forEach(([, codec], i) => {
+                if (mask & (1 << i)) record[i] = codec.read(reader);
+            });
+            entities.set(id, record);
+        }
+
+        const removedCount = reader.varuint();
+        for (let n = 0; n < removedCount; n++) {
+            entities.delete(reader.varuint());
+        }
+
+        return entities;
+    }
+
+    /**
+     * Writes meal outcomes (food, enemies or players eaten)
+     * @private
+     */
+    function writeMeals(writer, meals, writeIds) {
+        writer.varuint(meals.length);
+        for (const meal of meals) {
+            writeIds(meal);
+            writer.varuint(Math.round(meal.points || 0));
+            writer.varuint(Math.round((meal.growth || 0) * GROWTH_SCALE));
+        }
+    }
+
+    /**
+     * Writes who ate something, as a player's net id, an enemy's (numeric) id or unknown
+     * @private
+     */
+    function writeEater(writer, eatenBy, getNetId) {
+        const netId = getNetId(eatenBy);
+        if (netId !== undefined) {
+            writer.u8(EATER_PLAYER);
+            writer.varuint(netId);
+        } else if (typeof eatenBy === 'number') {
+            writer.u8(EATER_ENEMY);
+            writer.varuint(eatenBy);
+        } else {
+            writer.u8(EATER_UNKNOWN);
+        }
+    }
+
+    /**
+     * Reads an eater written by writeEater()
+     * @private
+     */
+    function readEater(reader, playerId) {
+        switch (reader.u8()) {
+            case EATER_PLAYER:
+                return playerId(reader.varuint());
+            case EATER_ENEMY:
+                return reader.varuint();
+            default:
+                return null; // Nobody to credit
+        }
+    }
+
+    /**
+     * Reads meal outcomes written by writeMeals()
+     * @private
+     */
+    function readMeals(reader, readIds) {
+        const meals = [];
+        const mealCount = reader.varuint();
+        for (let n = 0; n < mealCount; n++) {
+            const meal = readIds();
+            meal.points = reader.varuint();
+            meal.growth = reader.varuint() / GROWTH_SCALE;
+            meals.push(meal);
+        }
+        return meals;
+    }
+
+    const SnapshotCodec = {
+        // Largest world width or height whose positions fit the quantized range
+        MAX_WORLD_SIZE,
+
+        /**
+         * Checks that a world is small enough for binary snapshots to describe every position in it
+         * @param {number} width - World width
+         * @param {number} height - World height
+         * @throws {RangeError} If either side is larger than MAX_WORLD_SIZE
+         */
+        assertWorldSize(width, height) {
+            if (width > MAX_WORLD_SIZE || height > MAX_WORLD_SIZE) {
+                throw new RangeError(`A ${width}x${height} world is larger than binary snapshots can describe (${MAX_WORLD_SIZE} units a side)`);
+            }
+        },
+
+        /**
+         * Creates the per-client state the server encodes deltas with
+         * @returns {Object} Encoder state
+         */
+        createEncoder() {
+            return {
+                history: new Map(), // Tick -> quantized players and enemies sent that tick
+                ackTick: 0 // Latest snapshot the client confirmed it decoded
+            };
+        },
+
+        /**
+         * Records the latest snapshot a client has decoded
+         * @param {Object} encoder - Encoder state from createEncoder()
+         * @param {number} tick - Acknowledged tick
+         */
+        acknowledge(encoder, tick) {
+            if (tick > encoder.ackTick && encoder.history.has(tick)) {
+                encoder.ackTick = tick;
+            }
+        },
+
+        /**
+         * Encodes a snapshot as a delta against the client's last acknowledged one
+         * @param {Object} snapshot - Snapshot as sent over JSON (players need a netId)
+         * @param {Object} encoder - Encoder state from createEncoder()
+         * @param {Function} getNetId - Maps a player id to its numeric netId
+         * @returns {ArrayBuffer} Encoded snapshot
+         */
+        encode(snapshot, encoder, getNetId) {
+            const frame = {
+                players: new Map(snapshot.players.map(player => [player.netId, quantizeEntity(player, PLAYER_FIELDS)])),
+                enemies: new Map(snapshot.enemies.map(enemy => [enemy.id, quantizeEntity(enemy, ENEMY_FIELDS)]))
+            };
+
+            // Without a baseline the client still holds, send everything
+            const baseline = encoder.history.get(encoder.ackTick);
+            const baseTick = baseline ? encoder.ackTick : 0;
+            const empty = new Map();
+
+            const writer = new BinaryWriter();
+            writer.u8(FORMAT_VERSION);
+            writer.varuint(snapshot.tick);
+            writer.f64(snapshot.time);
+            writer.varuint(baseTick);
+            writer.varuint(Math.round((snapshot.growth || 0) * GROWTH_SCALE));
+
+            writeEntityDelta(writer, frame.players, baseline ? baseline.players : empty, PLAYER_FIELDS);
+            writeEntityDelta(writer, frame.enemies, baseline ? baseline.enemies : empty, ENEMY_FIELDS);
+
+            // Food is sent in full when it enters the client's area, then only its id
+            writer.varuint(snapshot.entered.foods.length);
+            for (const food of snapshot.entered.foods) {
+                writer.varuint(food.id);
+                position.write(writer, position.quantize(food.x));
+                position.write(writer, position.quantize(food.y));
+                radius.write(writer, radius.quantize(food.radius));
+                writer.varuint(food.value || 1);
+                writer.string(food.color || '');
+            }
+
+            writer.varuint(snapshot.exited.foods.length);
+            for (const id of snapshot.exited.foods) {
+                writer.varuint(id);
+            }
+
+            writeMeals(writer, snapshot.foodsEaten, meal => {
+                writer.varuint(meal.id);
+                writeEater(writer, meal.eatenBy, getNetId);
+            });
+            writeMeals(writer, snapshot.enemiesEaten, meal => {
+                writer.varuint(meal.id);
+                writeEater(writer, meal.eatenBy, getNetId);
+            });
+            writeMeals(writer, snapshot.kills, meal => {
+                writer.varuint(getNetId(meal.id));
+                writeEater(writer, meal.eatenBy, getNetId);
+            });
+
+            // Keep this frame as a possible baseline and forget ones too old to matter
+            encoder.history.set(snapshot.tick, frame);
+            for (const tick of encoder.history.keys()) {
+                if (encoder.history.size <= ENCODER_HISTORY) break;
+                encoder.history.delete(tick);
+            }
+
+            return writer.toArrayBuffer();
+        },
+
+        /**
+         * Creates the per-connection state the client decodes deltas with
+         * @returns {Object} Decoder state
+         */
+        createDecoder() {
+            return {
+                history: new Map(), // Tick -> decoded quantized players and enemies
+                players: new Map(), // netId -> player id, name and colors from gameState/playerJoined
+                lastTick: 0 // Latest decoded tick, acknowledged with each player update
+            };
+        },
+
+        /**
+         * Remembers a player's id and look, which snapshots don't repeat
+         * @param {Object} decoder - Decoder state from createDecoder()
+         * @param {Object} playerData - Player from gameState, playerJoined or playerRespawned
+         */
+        registerPlayer(decoder, playerData) {
+            decoder.players.set(playerData.netId, {
+                id: playerData.id,
+                name: playerData.name,
+                color: playerData.color,
+                eyeColor: playerData.eyeColor,
+                pupilColor: playerData.pupilColor
+            });
+        },
+
+        /**
+         * Decodes a binary snapshot into the same shape as a JSON one
+         * @param {ArrayBuffer|Uint8Array} data - Encoded snapshot
+         * @param {Object} decoder - Decoder state from createDecoder()
+         * @returns {Object|null} Snapshot, or null if its baseline is unknown
+         */
+        decode(data, decoder) {
+            const reader = new BinaryReader(data);
+            if (reader.u8() !== FORMAT_VERSION) return null;
+
+            const tick = reader.varuint();
+            const time = reader.f64();
+            const baseTick = reader.varuint();
+            const growth = reader.varuint() / GROWTH_SCALE;
+
+            const baseline = baseTick ? decoder.history.get(baseTick) : { players: new Map(), enemies: new Map() };
+            if (!baseline) return null;
+
+            const frame = {
+                players: readEntityDelta(reader, baseline.players, PLAYER_FIELDS),
+                enemies: readEntityDelta(reader, baseline.enemies, ENEMY_FIELDS)
+            };
+
+            const playerId = netId => {
+                const info = decoder.players.get(netId);
+                return info ? info.id : null;
+            };
+
+            const enteredFoods = [];
+            const enteredCount = reader.varuint();
+            for (let n = 0; n < enteredCount; n++) {
+                enteredFoods.push({
+                    id: reader.varuint(),
+                    x: position.dequantize(position.read(reader)),
+                    y: position.dequantize(position.read(reader)),
+                    radius: radius.dequantize(radius.read(reader)),
+                    value: reader.varuint(),
+                    color: reader.string()
+                });
+            }
+
+            const exitedFoods = [];
+            const exitedCount = reader.varuint();
+            for (let n = 0; n < exitedCount; n++) {
+                exitedFoods.push(reader.varuint());
+            }
+
+            const foodsEaten = readMeals(reader, () => ({ id: reader.varuint(), eatenBy: readEater(reader, playerId) }));
+            const enemiesEaten = readMeals(reader, () => ({ id: reader.varuint(), eatenBy: readEater(reader, playerId) }));
+            const kills = readMeals(reader, () => ({ id: playerId(reader.varuint()), eatenBy: readEater(reader, playerId) }));
+
+            // Players entering or leaving the area, compared with the last frame we decoded
+            const previous = decoder.history.get(decoder.lastTick);
+            const previousPlayers = previous ? previous.players : new Map();
+            const enteredPlayers = [...frame.players.keys()].filter(netId => !previousPlayers.has(netId)).map(playerId);
+            const exitedPlayers = [...previousPlayers.keys()].filter(netId => !frame.players.has(netId)).map(playerId);
+
+            // Keep this frame for later deltas
+            decoder.history.set(tick, frame);
+            decoder.lastTick = tick;
+            for (const oldTick of decoder.history.keys()) {
+                if (decoder.history.size <= DECODER_HISTORY) break;
+                decoder.history.delete(oldTick);
+            }
+
+            const players = [];
+            for (const [netId, record] of frame.players) {
+                const info = decoder.players.get(netId);
+                if (!info) continue; // playerJoined always arrives first; skip anything unknown
+                players.push({ ...info, netId, ...dequantizeEntity(record, PLAYER_FIELDS) });
+            }
+
+            const enemies = [];
+            for (const [id, record] of frame.enemies) {
+                enemies.push({ id, ...dequantizeEntity(record, ENEMY_FIELDS) });
+            }
+
+            return {
+                tick,
+                time,
+                players,
+                enemies,
+                entered: { players: enteredPlayers, foods: enteredFoods },
+                exited: { players: exitedPlayers, foods: exitedFoods },
+                foodsEaten,
+                kills,
+                enemiesEaten,
+                growth
+            };
+        }
+    };
+
+    root.SnapshotCodec = SnapshotCodec;
+})(typeof window !== 'undefined' ? window : globalThis);
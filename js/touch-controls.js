@@ -0,0 +1,188 @@
+/**
+ * TouchControls class for the on-screen joystick and boost button
+ * A thumb on the left half of the screen steers with a joystick that
+ * centers where it lands; the boost button sits in the bottom-right corner.
+ * Each touch is tracked by its identifier, so steering and boosting work
+ * at the same time. Positions are in canvas pixels.
+ * @class
+ */
+class TouchControls {
+    /**
+     * Creates released touch controls
+     */
+    constructor() {
+        this.joystickTouchId = null; // Touch steering the joystick, or null
+        this.boostTouchId = null; // Touch holding the boost button, or null
+
+        // Joystick center and knob while a thumb is on it
+        this.baseX = 0;
+        this.baseY = 0;
+        this.knobX = 0;
+        this.knobY = 0;
+
+        this.direction = { dirX: 0, dirY: 0 };
+    }
+
+    /**
+     * Takes a new touch for the joystick or the boost button
+     * @param {number} id - Touch identifier
+     * @param {number} x - Touch x on the canvas
+     * @param {number} y - Touch y on the canvas
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    handleTouchStart(id, x, y, width, height) {
+        const layout = this.getLayout(width, height);
+
+        // A little slack around the button for thumbs
+        if (this.boostTouchId === null &&
+            calculateDistance(x, y, layout.boostX, layout.boostY) <= layout.boostRadius * 1.3) {
+            this.boostTouchId = id;
+        } else if (this.joystickTouchId === null && x < width / 2) {
+            // Keep the whole joystick on screen
+            this.joystickTouchId = id;
+            this.baseX = Math.max(layout.joystickRadius, Math.min(width - layout.joystickRadius, x));
+            this.baseY = Math.max(layout.joystickRadius, Math.min(height - layout.joystickRadius, y));
+            this.moveKnob(x, y, layout.joystickRadius);
+        }
+    }
+
+    /**
+     * Moves the joystick knob if the touch is the one steering
+     * @param {number} id - Touch identifier
+     * @param {number} x - Touch x on the canvas
+     * @param {number} y - Touch y on the canvas
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    handleTouchMove(id, x, y, width, height) {
+        if (id === this.joystickTouchId) {
+            this.moveKnob(x, y, this.getLayout(width, height).joystickRadius);
+        }
+    }
+
+    /**
+     * Releases the joystick or boost button held by a touch
+     * @param {number} id - Touch identifier
+     */
+    handleTouchEnd(id) {
+        if (id === this.joystickTouchId) {
+            this.joystickTouchId = null;
+            this.direction = { dirX: 0, dirY: 0 };
+        }
+        if (id === this.boostTouchId) {
+            this.boostTouchId = null;
+        }
+    }
+
+    /**
+     * Checks whether a thumb is on the boost button
+     * @returns {boolean} True while boost is held
+     */
+    isBoosting() {
+        return this.boostTouchId !== null;
+    }
+
+    /**
+     * Releases both controls
+     */
+    reset() {
+        this.handleTouchEnd(this.joystickTouchId);
+        this.handleTouchEnd(this.boostTouchId);
+    }
+
+    /**
+     * Draws the joystick and boost button over the game
+     * @param {CanvasRenderingContext2D} ctx - Canvas context in screen coordinates
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    draw(ctx, width, height) {
+        const layout = this.getLayout(width, height);
+        const held = this.joystickTouchId !== null;
+        const baseX = held ? this.baseX : layout.joystickX;
+        const baseY = held ? this.baseY : layout.joystickY;
+        const knobX = held ? this.knobX : baseX;
+        const knobY = held ? this.knobY : baseY;
+
+        ctx.save();
+
+        // Joystick base
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(baseX, baseY, layout.joystickRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Joystick knob
+        ctx.fillStyle = held ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        ctx.arc(knobX, knobY, layout.joystickRadius * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Boost button
+        ctx.fillStyle = this.isBoosting() ? 'rgba(255, 153, 0, 0.6)' : 'rgba(255, 153, 0, 0.25)';
+        ctx.strokeStyle = 'rgba(255, 200, 120, 0.7)';
+        ctx.beginPath();
+        ctx.arc(layout.boostX, layout.boostY, layout.boostRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.font = `bold ${Math.round(layout.boostRadius * 0.4)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('BOOST', layout.boostX, layout.boostY);
+
+        ctx.restore();
+    }
+
+    /**
+     * Places the knob under the thumb, no further than the joystick's edge
+     * @param {number} x - Touch x on the canvas
+     * @param {number} y - Touch y on the canvas
+     * @param {number} radius - Joystick radius
+     * @private
+     */
+    moveKnob(x, y, radius) {
+        let dx = x - this.baseX;
+        let dy = y - this.baseY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+
+        this.knobX = this.baseX + dx;
+        this.knobY = this.baseY + dy;
+        this.direction = applyRadialDeadzone(dx / radius, dy / radius, TouchControls.DEADZONE);
+    }
+
+    /**
+     * Sizes and places the controls for the screen
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object} Joystick and boost button centers and radii
+     * @private
+     */
+    getLayout(width, height) {
+        // Thumb-sized on phones without taking over big screens
+        const joystickRadius = Math.max(40, Math.min(80, Math.min(width, height) * 0.12));
+        const boostRadius = joystickRadius * 0.75;
+        const margin = joystickRadius * 0.5;
+
+        return {
+            joystickX: margin + joystickRadius,
+            joystickY: height - margin - joystickRadius,
+            joystickRadius,
+            boostX: width - margin - boostRadius,
+            boostY: height - margin - boostRadius,
+            boostRadius
+        };
+    }
+}
+
+// Knob travel ignored so a resting thumb doesn't drift the fish, as a fraction of the radius
+TouchControls.DEADZONE = 0.15;
@@ -15,6 +15,145 @@ function checkCollision(obj1, obj2) {
     return distance < (obj1.radius + obj2.radius);
 }
 
+/**
+ * SpatialHash class for finding entities near a point without looping over all of them
+ * Entities are binned by their center into square cells, one set of cells per
+ * layer (e.g. 'enemies' or 'foods'). Queries return candidates whose extent may
+ * overlap the area; callers still do the exact check (checkCollision, vision ellipse).
+ * @class
+ */
+class SpatialHash {
+    /**
+     * Creates an empty spatial hash
+     * @param {number} cellSize - Width and height of a cell in world units
+     */
+    constructor(cellSize = 200) {
+        this.cellSize = cellSize;
+        this.layers = new Map(); // Layer name -> { cells, cellOf, maxExtent }
+    }
+
+    /**
+     * Removes every entity from every layer
+     */
+    clear() {
+        this.layers.clear();
+    }
+
+    /**
+     * Registers an entity at its current position
+     * @param {string} layerName - Layer the entity belongs to
+     * @param {Object} entity - Entity with x and y
+     * @param {number} extent - How far the entity reaches from its center (defaults to its radius)
+     */
+    insert(layerName, entity, extent = entity.radius || 0) {
+        const layer = this.getLayer(layerName);
+        const key = this.getCellKey(this.toCell(entity.x), this.toCell(entity.y));
+        const cell = layer.cells.get(key);
+
+        if (cell) {
+            cell.push(entity);
+        } else {
+            layer.cells.set(key, [entity]);
+        }
+
+        layer.cellOf.set(entity, key);
+        layer.maxExtent = Math.max(layer.maxExtent, extent);
+    }
+
+    /**
+     * Unregisters an entity, e.g. when it is eaten partway through a frame
+     * @param {string} layerName - Layer the entity was inserted in
+     * @param {Object} entity - The entity to remove
+     */
+    remove(layerName, entity) {
+        const layer = this.layers.get(layerName);
+        if (!layer || !layer.cellOf.has(entity)) return;
+
+        const cell = layer.cells.get(layer.cellOf.get(entity));
+        cell.splice(cell.indexOf(entity), 1);
+        layer.cellOf.delete(entity);
+    }
+
+    /**
+     * Finds the entities of a layer that may overlap a rectangle
+     * @param {string} layerName - Layer to search
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Array} Candidate entities
+     */
+    queryRect(layerName, minX, minY, maxX, maxY) {
+        const layer = this.layers.get(layerName);
+        if (!layer) return [];
+
+        // An entity centered just outside the rectangle can still reach into it
+        const pad = layer.maxExtent;
+        const maxCellX = this.toCell(maxX + pad);
+        const maxCellY = this.toCell(maxY + pad);
+        const found = [];
+
+        for (let cx = this.toCell(minX - pad); cx <= maxCellX; cx++) {
+            for (let cy = this.toCell(minY - pad); cy <= maxCellY; cy++) {
+                const cell = layer.cells.get(this.getCellKey(cx, cy));
+                if (cell) {
+                    found.push(...cell);
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Finds the entities of a layer that may overlap a circle
+     * @param {string} layerName - Layer to search
+     * @param {number} x - Circle center x
+     * @param {number} y - Circle center y
+     * @param {number} radius - Circle radius
+     * @returns {Array} Candidate entities
+     */
+    queryRadius(layerName, x, y, radius) {
+        return this.queryRect(layerName, x - radius, y - radius, x + radius, y + radius);
+    }
+
+    /**
+     * Gets a layer, creating it on first use
+     * @param {string} layerName - Layer name
+     * @returns {Object} The layer's cells and bookkeeping
+     * @private
+     */
+    getLayer(layerName) {
+        let layer = this.layers.get(layerName);
+        if (!layer) {
+            layer = { cells: new Map(), cellOf: new Map(), maxExtent: 0 };
+            this.layers.set(layerName, layer);
+        }
+        return layer;
+    }
+
+    /**
+     * Gets the cell column or row a coordinate falls in
+     * @param {number} value - World coordinate
+     * @returns {number} Cell index
+     * @private
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Gets the map key of a cell
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {string} Cell key
+     * @private
+     */
+    getCellKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+}
+
 // Calculate angle between two points
 function calculateAngle(x1, y1, x2, y2) {
     return Math.atan2(y2 - y1, x2 - x1);
@@ -27,6 +166,17 @@ function calculateDistance(x1, y1, x2, y2) {
     return Math.sqrt(dx * dx + dy * dy);
 }
 
+// Ignore small stick or joystick deflections, rescaling the rest so speed starts from zero at the deadzone's edge
+function applyRadialDeadzone(x, y, deadzone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadzone) {
+        return { dirX: 0, dirY: 0 };
+    }
+
+    const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+    return { dirX: x * scale, dirY: y * scale };
+}
+
 // Get random position outside the canvas
 function getRandomPositionOutsideCanvas(canvas, radius) {
     const side = random(0, 3); // 0: top, 1: right, 2: bottom, 3: left
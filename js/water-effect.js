@@ -6,10 +6,16 @@ class WaterEffect {
     /**
      * Creates a new water effect
      * @param {HTMLCanvasElement} canvas - The game canvas element
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
      */
-    constructor(canvas) {
+    constructor(canvas, worldWidth, worldHeight) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+
+        // Bubbles rise through the whole world
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
         
         // Water properties
         this.waves = [];
@@ -45,21 +51,24 @@ class WaterEffect {
      * @private
      */
     createBubbles() {
-        const bubbleCount = 15;
+        // Keep the same bubble density as one screen's worth of 15
+        const screens = (this.worldWidth * this.worldHeight) / (this.canvas.width * this.canvas.height);
+        const bubbleCount = Math.round(15 * Math.max(1, screens));
         
         for (let i = 0; i < bubbleCount; i++) {
-            this.addBubble();
+            this.addBubble(Math.random() * this.worldHeight);
         }
     }
     
     /**
      * Adds a new bubble to the water effect
+     * @param {number} y - Starting height (defaults to just below the world)
      * @private
      */
-    addBubble() {
+    addBubble(y = this.worldHeight + Math.random() * 50) {
         this.bubbles.push({
-            x: Math.random() * this.canvas.width,
-            y: this.canvas.height + Math.random() * 50,
+            x: Math.random() * this.worldWidth,
+            y,
             size: 2 + Math.random() * 8,
             speed: 0.2 + Math.random() * 0.8,
             opacity: 0.1 + Math.random() * 0.3,
@@ -91,7 +100,7 @@ class WaterEffect {
             bubble.wobble.phase += bubble.wobble.speed;
             bubble.x += Math.sin(bubble.wobble.phase) * bubble.wobble.amplitude;
             
-            // Remove bubble if it's off-screen
+            // Remove bubble once it reaches the surface
             if (bubble.y < -bubble.size) {
                 this.bubbles.splice(i, 1);
                 this.addBubble(); // Add a new bubble to replace it
@@ -103,24 +112,29 @@ class WaterEffect {
      * Draws the water effect on the canvas
      * @param {number} cameraX - Camera X position
      * @param {number} cameraY - Camera Y position
+     * @param {number} viewWidth - Width of the visible world area
+     * @param {number} viewHeight - Height of the visible world area
      */
-    draw(cameraX, cameraY) {
+    draw(cameraX, cameraY, viewWidth, viewHeight) {
         // Draw subtle wave patterns
-        this.drawWaves(cameraX, cameraY);
+        this.drawWaves(cameraX, cameraY, viewWidth, viewHeight);
         
         // Draw bubbles
-        this.drawBubbles(cameraX, cameraY);
+        this.drawBubbles(cameraX, cameraY, viewWidth, viewHeight);
     }
     
     /**
      * Draws wave patterns for the water effect
      * @param {number} cameraX - Camera X position
      * @param {number} cameraY - Camera Y position
+     * @param {number} width - Width of the visible world area
+     * @param {number} height - Height of the visible world area
      * @private
      */
-    drawWaves(cameraX, cameraY) {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+    drawWaves(cameraX, cameraY, width, height) {
+        // Waves stay fixed to the screen, so draw them at the camera
+        this.ctx.save();
+        this.ctx.translate(cameraX, cameraY);
         
         for (const wave of this.waves) {
             this.ctx.beginPath();
@@ -150,17 +164,27 @@ class WaterEffect {
             this.ctx.fillStyle = gradient;
             this.ctx.fill();
         }
+
+        this.ctx.restore();
     }
     
     /**
      * Draws bubbles for the water effect
      * @param {number} cameraX - Camera X position
      * @param {number} cameraY - Camera Y position
+     * @param {number} viewWidth - Width of the visible world area
+     * @param {number} viewHeight - Height of the visible world area
      * @private
      */
-    drawBubbles(cameraX, cameraY) {
+    drawBubbles(cameraX, cameraY, viewWidth, viewHeight) {
         for (const bubble of this.bubbles) {
-            // Calculate screen position
+            // Skip bubbles outside the view
+            if (bubble.x < cameraX - bubble.size || bubble.x > cameraX + viewWidth + bubble.size ||
+                bubble.y < cameraY - bubble.size || bubble.y > cameraY + viewHeight + bubble.size) {
+                continue;
+            }
+
+            // Bubbles live in world coordinates - the camera transform is already applied
             const screenX = bubble.x;
             const screenY = bubble.y;
             
@@ -183,6 +207,17 @@ class WaterEffect {
         }
     }
     
+    /**
+     * Spreads the bubbles over a new world
+     * @param {number} worldWidth - Width of the game world
+     * @param {number} worldHeight - Height of the game world
+     */
+    setWorldSize(worldWidth, worldHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.resize();
+    }
+
     /**
      * Resizes the water effect to match the canvas
      */
@@ -0,0 +1,15 @@
+/**
+ * World size shared by the browser and the Node.js server
+ * Every room on the server uses this size unless configured otherwise and
+ * sends it to clients in gameState; single-player games use it as is.
+ * Loaded as a classic script in the browser and imported for its side
+ * effect on the server; exposes WorldConfig globally.
+ */
+(function(root) {
+    const WorldConfig = {
+        DEFAULT_WIDTH: 3840,
+        DEFAULT_HEIGHT: 2160
+    };
+
+    root.WorldConfig = WorldConfig;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -3,6 +3,9 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { GameLoop } from './server/game-loop.js';
+import { RoomManager } from './server/room-manager.js';
+import { SocketGuard } from './server/socket-guard.js';
 
 // Get directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,179 +19,176 @@ const io = new Server(server);
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
-// Game state
-const gameState = {
-    players: {},
-    foods: [],
-    enemies: [],
-    worldWidth: 3840,  // Default, will be updated based on client window size
-    worldHeight: 2160, // Default, will be updated based on client window size
-    maxFoodItems: 100,
-    connectedPlayers: 0  // Track number of connected players
-};
-
-// Food generation
-function generateFood() {
-    if (gameState.foods.length >= gameState.maxFoodItems) return;
-
-    // Create a new food item with random position
-    const food = {
-        id: Date.now() + Math.random().toString(36).substring(2, 11),
-        x: Math.random() * gameState.worldWidth,
-        y: Math.random() * gameState.worldHeight,
-        radius: 5,
-        value: 1,
-        color: getRandomFoodColor()
-    };
-
-    gameState.foods.push(food);
-    return food;
+// Simulation settings
+const TICK_RATE = 20; // Server ticks (and snapshots) per second
+const MAX_PLAYERS_PER_ROOM = 10; // A new room opens when every room has this many players
+const BOT_FILL_TARGET = 4; // Public rooms with fewer humans than this get bots
+const PUBLIC_ROOM_POWER_UPS = true; // Private rooms pick their own when created
+const PUBLIC_ROOM_ECOSYSTEM = false; // Same for ecosystem mode
+
+// Every arena on this server
+const roomManager = new RoomManager(io, {
+    maxPlayersPerRoom: MAX_PLAYERS_PER_ROOM,
+    botFillTarget: BOT_FILL_TARGET,
+    publicPowerUps: PUBLIC_ROOM_POWER_UPS,
+    publicEcosystem: PUBLIC_ROOM_ECOSYSTEM
+});
+let connectedPlayers = 0; // Track number of connected sockets
+
+const gameLoop = new GameLoop(TICK_RATE, (tick, deltaMs) => roomManager.update(tick, deltaMs));
+gameLoop.start();
+
+/**
+ * Takes a socket out of the room it is playing in
+ * @param {Object} socket - The player's socket
+ */
+function leaveCurrentRoom(socket) {
+    const room = roomManager.getRoom(socket.data.roomId);
+    socket.data.roomId = null;
+    if (!room) return;
+
+    room.removePlayer(socket);
+    roomManager.removeIfEmpty(room);
 }
 
-function getRandomFoodColor() {
-    const colors = ['#AAFFAA', '#AAAAFF', '#FFAAAA', '#FFFFAA', '#FFAAFF', '#AAFFFF'];
-    return colors[Math.floor(Math.random() * colors.length)];
-}
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+    console.log('A user connected:', socket.id);
 
-// Generate initial food
-for (let i = 0; i < 50; i++) {
-    generateFood();
-}
+    // Increment connected players count
+    connectedPlayers++;
+    console.log(`Connected players: ${connectedPlayers}`);
+
+    // Snapshot encoding picked by the client when connecting - JSON unless it asks for binary
+    socket.data.protocol = socket.handshake.auth && socket.handshake.auth.protocol === 'binary' ? 'binary' : 'json';
+
+    // Every client event is rate limited and checked against its schema first
+    const guard = new SocketGuard(socket);
+    const on = (event, handler) => {
+        socket.on(event, (payload, ack) => {
+            if (guard.accept(event, payload, ack)) {
+                handler(payload, ack);
+            }
+        });
+    };
 
-// Food spawning interval - optimized for player count
-let foodSpawnInterval;
-
-function startFoodSpawning() {
-    if (foodSpawnInterval) {
-        clearInterval(foodSpawnInterval);
-    }
-
-    // Adjust spawn rate based on number of players
-    let spawnRate;
-    if (gameState.connectedPlayers === 0) {
-        return; // No spawning if no players
-    } else if (gameState.connectedPlayers === 1) {
-        spawnRate = 2000; // Slower spawning for single player (every 2 seconds)
-    } else {
-        spawnRate = 500; // Normal spawning for multiplayer (every 500ms)
-    }
-
-    foodSpawnInterval = setInterval(() => {
-        const newFood = generateFood();
-        if (newFood && gameState.connectedPlayers > 0) {
-            io.emit('foodSpawned', newFood);
+    // Lobby - list rooms and their player counts
+    on('listRooms', (callback) => {
+        callback(roomManager.listRooms());
+    });
+
+    // Private room - reply with its invite code
+    on('createRoom', (options, callback) => {
+        // Hand back this socket's unused room instead of piling up new ones
+        let room = roomManager.getRoom(socket.data.privateRoomId);
+        if (!room || room.playerCount > 0) {
+            room = roomManager.createPrivateRoom(options);
+            socket.data.privateRoomId = room.id;
+        } else {
+            // Nobody has joined yet, so the options can still change
+            room.powerUpsEnabled = options.powerUps;
+            room.ecosystemEnabled = options.ecosystem;
         }
-    }, spawnRate);
-}
 
-// Start initial food spawning
-startFoodSpawning();
+        callback(room.getSummary());
+    });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    // Handle player joining (an optional roomId picks the room, otherwise any open room)
+    on('playerJoin', (playerData) => {
+        let room;
+        if (playerData.roomId) {
+            room = roomManager.getRoom(playerData.roomId);
+            if (!room) {
+                socket.emit('joinError', { message: `Room ${playerData.roomId} not found` });
+                return;
+            }
 
-    // Increment connected players count
-    gameState.connectedPlayers++;
-    console.log(`Connected players: ${gameState.connectedPlayers}`);
-
-    // Restart food spawning with new player count
-    startFoodSpawning();
-
-    // Send current game state to the new player
-    socket.emit('gameState', gameState);
-
-    // Handle player joining
-    socket.on('playerJoin', (playerData) => {
-        console.log('Player joined:', playerData.name);
-
-        // Create player in game state
-        gameState.players[socket.id] = {
-            id: socket.id,
-            name: playerData.name,
-            x: playerData.x,
-            y: playerData.y,
-            radius: playerData.radius,
-            color: playerData.color,
-            eyeColor: playerData.eyeColor,
-            pupilColor: playerData.pupilColor,
-            angle: playerData.angle,
-            score: 0,
-            sizeLevel: 1,
-            isAlive: true
-        };
-
-        // Update world dimensions if needed
-        if (playerData.worldWidth && playerData.worldHeight) {
-            gameState.worldWidth = Math.max(gameState.worldWidth, playerData.worldWidth);
-            gameState.worldHeight = Math.max(gameState.worldHeight, playerData.worldHeight);
+            // Players rejoining their own room already hold a slot
+            if (room.isFull() && !room.players[socket.data.playerId]) {
+                socket.emit('joinError', { message: `Room ${room.id} is full` });
+                return;
+            }
         }
 
-        // Broadcast new player to all other players (only if there are other players)
-        if (gameState.connectedPlayers > 1) {
-            socket.broadcast.emit('playerJoined', gameState.players[socket.id]);
+        // Rejoining (e.g. after game over) replaces the old fish
+        const previousRoom = roomManager.getRoom(socket.data.roomId);
+        if (previousRoom) {
+            previousRoom.removePlayer(socket);
         }
+
+        if (!room) {
+            room = roomManager.findOpenRoom();
+        }
+
+        // Only drop the old room once we know the player isn't going back into it
+        if (previousRoom && previousRoom !== room) {
+            roomManager.removeIfEmpty(previousRoom);
+        }
+
+        console.log(`Player joined ${room.id}:`, playerData.name);
+        socket.data.roomId = room.id;
+        room.addPlayer(socket, playerData);
     });
 
-    // Handle player movement
-    socket.on('playerUpdate', (playerData) => {
-        const player = gameState.players[socket.id];
-        if (player) {
-            // Update player data
-            player.x = playerData.x;
-            player.y = playerData.y;
-            player.radius = playerData.radius;
-            player.angle = playerData.angle;
-            player.score = playerData.score;
-            player.sizeLevel = playerData.sizeLevel;
-            player.isAlive = playerData.isAlive;
-
-            // Broadcast player update to all other players (only if there are other players)
-            if (gameState.connectedPlayers > 1) {
-                socket.broadcast.emit('playerMoved', player);
-            }
+    // Handle a dropped client reclaiming its fish
+    on('resumeSession', (data) => {
+        const session = roomManager.findSession(data.resumeToken);
+        if (!session) {
+            socket.emit('resumeFailed');
+            return;
+        }
+
+        // Leave anything this socket joined since reconnecting
+        if (roomManager.getRoom(socket.data.roomId) !== session.room) {
+            leaveCurrentRoom(socket);
         }
+
+        socket.data.roomId = session.room.id;
+        session.room.resumePlayer(socket, session.player);
     });
 
-    // Handle food eaten
-    socket.on('foodEaten', (foodId) => {
-        // Remove food from game state
-        const foodIndex = gameState.foods.findIndex(food => food.id === foodId);
-        if (foodIndex !== -1) {
-            gameState.foods.splice(foodIndex, 1);
+    // Handle player going back to the lobby
+    on('leaveRoom', () => {
+        leaveCurrentRoom(socket);
+    });
 
-            // Broadcast food eaten to all players
-            io.emit('foodRemoved', foodId);
+    // Handle the client's view changing size, which sets how far its interest area reaches
+    on('viewResize', (view) => {
+        const room = roomManager.getRoom(socket.data.roomId);
+        if (room) {
+            room.setViewSize(socket.data.playerId, view.width, view.height);
         }
     });
 
-    // Handle player eating another player
-    socket.on('playerEaten', (eatenPlayerId) => {
-        const eatenPlayer = gameState.players[eatenPlayerId];
-        if (eatenPlayer) {
-            eatenPlayer.isAlive = false;
+    // Handle player movement
+    on('playerUpdate', (playerData) => {
+        const room = roomManager.getRoom(socket.data.roomId);
+        if (room) {
+            room.handlePlayerUpdate(socket.data.playerId, playerData);
+        }
+    });
+
+    // Handle the pause menu opening and closing - the world keeps running
+    on('playerPause', () => {
+        const room = roomManager.getRoom(socket.data.roomId);
+        if (room) {
+            room.pausePlayer(socket.data.playerId);
+        }
+    });
 
-            // Broadcast player eaten to all players
-            io.emit('playerDied', eatenPlayerId);
+    on('playerUnpause', () => {
+        const room = roomManager.getRoom(socket.data.roomId);
+        if (room) {
+            room.unpausePlayer(socket.data.playerId);
         }
     });
 
     // Handle player respawn
-    socket.on('playerRespawn', (playerData) => {
-        const player = gameState.players[socket.id];
-        if (player) {
-            // Update player data
-            player.x = playerData.x;
-            player.y = playerData.y;
-            player.radius = playerData.radius;
-            player.score = playerData.score;
-            player.sizeLevel = playerData.sizeLevel;
-            player.isAlive = true;
-
-            // Broadcast player respawn to all players (only if there are other players)
-            if (gameState.connectedPlayers > 1) {
-                io.emit('playerRespawned', player);
-            }
+    on('playerRespawn', (playerData) => {
+        const room = roomManager.getRoom(socket.data.roomId);
+        const violation = room && room.respawnPlayer(socket.data.playerId, playerData);
+        if (violation) {
+            guard.flag(violation);
         }
     });
 
@@ -197,22 +197,13 @@ io.on('connection', (socket) => {
         console.log('User disconnected:', socket.id);
 
         // Decrement connected players count
-        gameState.connectedPlayers = Math.max(0, gameState.connectedPlayers - 1);
-        console.log(`Connected players: ${gameState.connectedPlayers}`);
-
-        // Restart food spawning with new player count
-        startFoodSpawning();
+        connectedPlayers = Math.max(0, connectedPlayers - 1);
+        console.log(`Connected players: ${connectedPlayers}`);
 
-        // Remove player from game state
-        if (gameState.players[socket.id]) {
-            const playerName = gameState.players[socket.id].name;
-            delete gameState.players[socket.id];
-
-            // Broadcast player left to all players (only if there are other players)
-            if (gameState.connectedPlayers > 0) {
-                io.emit('playerLeft', socket.id);
-            }
-            console.log('Player left:', playerName);
+        // Hold the fish so the client can resume it after reconnecting
+        const room = roomManager.getRoom(socket.data.roomId);
+        if (room) {
+            room.suspendPlayer(socket);
         }
     });
 });
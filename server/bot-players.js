@@ -0,0 +1,106 @@
+/**
+ * Server-run bot players for Fish Eat Fish
+ * Bots are ordinary entries in a room's players, steered by the same
+ * wander/hunt/flee state machine as AIPlayer and moved and grown by the
+ * player rules, so other clients can't tell them apart from real players.
+ */
+import '../js/ai-behavior.js';
+import { applyInput } from './player-movement.js';
+import { getFishNeededToGrow, getPlayerRadius } from './player-growth.js';
+import { clearEffects } from './power-ups.js';
+
+const { AIBehavior } = globalThis;
+
+// Bot decisions are tuned per 60fps frame, like AIPlayer
+const FRAME_MS = 1000 / 60;
+const RESPAWN_FRAMES = 300; // 5 seconds at 60fps
+
+/**
+ * Creates a bot player at a random spot in the world
+ * @param {string} id - Player id for the bot
+ * @param {number} worldWidth - Width of the game world
+ * @param {number} worldHeight - Height of the game world
+ * @returns {Object} Bot player for the room state
+ */
+export function createBot(id, worldWidth, worldHeight) {
+    const bot = {
+        id,
+        isBot: true,
+        socketId: null,
+        resumeToken: null,
+        disconnectedAt: null,
+        name: AIBehavior.generateRandomName(),
+        color: AIBehavior.generateRandomColor(),
+        eyeColor: 'white',
+        pupilColor: 'black',
+        boosting: false,
+        inputQueue: [],
+        lastProcessedInput: 0
+    };
+
+    clearEffects(bot);
+    spawnBot(bot, worldWidth, worldHeight);
+    return bot;
+}
+
+/**
+ * Runs bot decisions, movement and respawn timers for one server tick
+ * @param {Object} state - Room state with players, foods, world size and botFrameTime
+ * @param {number} deltaMs - Simulated time for this tick
+ * @returns {Array} Bots that respawned this tick
+ */
+export function updateBots(state, deltaMs) {
+    const players = Object.values(state.players);
+    const bots = players.filter(player => player.isBot);
+    const respawned = [];
+
+    state.botFrameTime += deltaMs;
+    while (state.botFrameTime >= FRAME_MS) {
+        state.botFrameTime -= FRAME_MS;
+
+        for (const bot of bots) {
+            if (!bot.isAlive) {
+                bot.respawnTimer++;
+                if (bot.respawnTimer >= RESPAWN_FRAMES && !respawned.includes(bot)) {
+                    spawnBot(bot, state.worldWidth, state.worldHeight);
+                    respawned.push(bot);
+                }
+                continue;
+            }
+
+            AIBehavior.updateState(bot, players);
+            AIBehavior.steer(bot, state.foods);
+
+            // Swim like a player holding the mouse in the direction it faces
+            applyInput(bot, { dirX: Math.cos(bot.angle), dirY: Math.sin(bot.angle), boost: false }, state.worldWidth, state.worldHeight);
+            AIBehavior.bounceOffWalls(bot, state.worldWidth, state.worldHeight);
+        }
+    }
+
+    return respawned;
+}
+
+/**
+ * Puts a bot back in the world with a fresh size and state
+ * @param {Object} bot - Bot player
+ * @param {number} worldWidth - Width of the game world
+ * @param {number} worldHeight - Height of the game world
+ * @private
+ */
+function spawnBot(bot, worldWidth, worldHeight) {
+    // Position randomly within the world, away from edges
+    bot.x = worldWidth * (0.2 + Math.random() * 0.6);
+    bot.y = worldHeight * (0.2 + Math.random() * 0.6);
+    bot.angle = Math.random() * Math.PI * 2;
+
+    // Same size as a player of that level, so neither has an edge; score only comes from meals
+    bot.sizeLevel = 1 + Math.floor(Math.random() * 3);
+    bot.radius = getPlayerRadius(bot.sizeLevel);
+    bot.score = 0;
+    bot.fishEaten = 0;
+    bot.fishNeededToGrow = getFishNeededToGrow(bot.sizeLevel);
+
+    bot.isAlive = true;
+    bot.respawnTimer = 0;
+    AIBehavior.reset(bot);
+}
@@ -0,0 +1,188 @@
+/**
+ * Server-side collision resolution for Fish Eat Fish
+ * Uses the same radius rules as checkCollision() and PlayerFish.canEat()
+ * on the client, so the server alone decides who ate whom.
+ */
+import '../js/enemy-species.js';
+
+const { EnemySpecies } = globalThis;
+
+// Size ratio used by PlayerFish.canEat() on the client
+const EAT_RATIO = 0.99;
+
+// Points and growth awarded for eating another player (matches the old client rules)
+const PLAYER_POINTS_PER_LEVEL = 50;
+const PLAYER_GROWTH_PER_LEVEL = 0.5;
+
+// Growth awarded for eating a food particle
+const FOOD_GROWTH = 0.1;
+
+// Growth awarded for eating an enemy fish (PlayerFish.eatFish() default)
+const ENEMY_GROWTH = 1;
+
+/**
+ * Checks if two circular objects overlap
+ * @param {Object} obj1 - Object with x, y and radius
+ * @param {Object} obj2 - Object with x, y and radius
+ * @returns {boolean} True if the objects overlap
+ */
+export function checkCollision(obj1, obj2) {
+    const dx = obj1.x - obj2.x;
+    const dy = obj1.y - obj2.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    return distance < (obj1.radius + obj2.radius);
+}
+
+/**
+ * Checks if one fish is big enough to eat another
+ * @param {Object} eater - The fish trying to eat
+ * @param {Object} prey - The fish being eaten
+ * @returns {boolean} True if eater can eat prey
+ */
+export function canEat(eater, prey) {
+    return eater.radius > prey.radius * EAT_RATIO;
+}
+
+/**
+ * Picks the winner of a collision between two fish.
+ * Both fish pass canEat() when their radii are within 1% of each other,
+ * so the strictly larger fish wins and equal fish just bounce off.
+ * @param {Object} a - First fish
+ * @param {Object} b - Second fish
+ * @returns {Array|null} [eater, prey] or null if neither eats the other
+ */
+function pickEater(a, b) {
+    if (a.radius > b.radius && canEat(a, b)) return [a, b];
+    if (b.radius > a.radius && canEat(b, a)) return [b, a];
+    return null;
+}
+
+/**
+ * Runs one collision pass over the players, enemies, foods and power-ups in a game state.
+ * Eaten foods and enemies are removed and eaten players are marked dead, so an
+ * entity can only be eaten once per pass no matter how many clients saw it.
+ * Paused players never eat, and shielded ones (paused, in their safe period) can't be eaten.
+ * Power-up modifiers scale what a player earns, stop invincible players being eaten
+ * and let magnets reach food further away. Jellyfish sting players who touch them
+ * (a sting kills a size 1 fish), and species that can't be eaten or bite right now
+ * just bounce off.
+ * @param {Object} state - Game state with players (by id), enemies, foods and powerUps
+ * @param {number} now - Current time (ms), for sting cooldowns
+ * @returns {{foodsEaten: Array, playersEaten: Array, enemiesEaten: Array, powerUpsTaken: Array, stings: Array}} Outcomes to broadcast
+ */
+export function resolveCollisions(state, now = Date.now()) {
+    const foodsEaten = [];
+    const playersEaten = [];
+    const enemiesEaten = [];
+    const powerUpsTaken = [];
+    const stings = [];
+    const players = Object.values(state.players);
+
+    // Player vs player - check each pair once
+    for (let i = 0; i < players.length; i++) {
+        for (let j = i + 1; j < players.length; j++) {
+            const a = players[i];
+            const b = players[j];
+            if (!a.isAlive || !b.isAlive || a.shielded || b.shielded || !checkCollision(a, b)) continue;
+
+            const result = pickEater(a, b);
+            if (!result) continue;
+
+            // Paused fish don't eat, but can be eaten once their safe period is over
+            const [eater, prey] = result;
+            if (eater.paused || prey.modifiers.invincible) continue;
+
+            prey.isAlive = false;
+            playersEaten.push({
+                id: prey.id,
+                eatenBy: eater.id,
+                points: prey.sizeLevel * PLAYER_POINTS_PER_LEVEL * eater.modifiers.pointsMultiplier,
+                growth: prey.sizeLevel * PLAYER_GROWTH_PER_LEVEL * eater.modifiers.growthMultiplier
+            });
+        }
+    }
+
+    // Player vs enemy
+    for (const player of players) {
+        for (let i = state.enemies.length - 1; i >= 0 && player.isAlive && !player.shielded; i--) {
+            const enemy = state.enemies[i];
+            if (!checkCollision(player, enemy)) continue;
+
+            if (EnemySpecies.stings(enemy)) {
+                if (player.modifiers.invincible || now < (player.stingCooldownUntil || 0)) continue;
+                player.stingCooldownUntil = now + EnemySpecies.STING_COOLDOWN;
+
+                if (player.sizeLevel > 1) {
+                    stings.push({ id: player.id, stungBy: enemy.id });
+                } else {
+                    player.isAlive = false;
+                    playersEaten.push({ id: player.id, eatenBy: enemy.id, points: 0, growth: 0 });
+                }
+                continue;
+            }
+
+            const result = pickEater(player, enemy);
+            if (!result) continue;
+
+            if (result[0] === player) {
+                if (player.paused || !EnemySpecies.isEdible(enemy)) continue;
+
+                state.enemies.splice(i, 1);
+                enemiesEaten.push({
+                    id: enemy.id,
+                    eatenBy: player.id,
+                    points: enemy.pointValue * player.modifiers.pointsMultiplier,
+                    growth: ENEMY_GROWTH * player.modifiers.growthMultiplier
+                });
+            } else if (!player.modifiers.invincible && EnemySpecies.canBite(enemy)) {
+                player.isAlive = false;
+                playersEaten.push({
+                    id: player.id,
+                    eatenBy: enemy.id,
+                    points: 0,
+                    growth: 0
+                });
+            }
+        }
+    }
+
+    // Player vs food
+    for (const player of players) {
+        if (!player.isAlive || player.paused) continue;
+
+        // A magnet sucks in food from its whole range
+        const reach = { x: player.x, y: player.y, radius: player.radius + player.modifiers.magnetRange };
+
+        for (let i = state.foods.length - 1; i >= 0; i--) {
+            const food = state.foods[i];
+            if (!checkCollision(reach, food)) continue;
+
+            state.foods.splice(i, 1);
+            foodsEaten.push({
+                id: food.id,
+                eatenBy: player.id,
+                points: (food.value || 1) * player.modifiers.pointsMultiplier,
+                growth: FOOD_GROWTH * player.modifiers.growthMultiplier
+            });
+        }
+    }
+
+    // Player vs power-up orb
+    for (const player of players) {
+        if (!player.isAlive || player.paused) continue;
+
+        for (let i = state.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = state.powerUps[i];
+            if (!checkCollision(player, powerUp)) continue;
+
+            state.powerUps.splice(i, 1);
+            powerUpsTaken.push({
+                id: powerUp.id,
+                type: powerUp.type,
+                takenBy: player.id
+            });
+        }
+    }
+
+    return { foodsEaten, playersEaten, enemiesEaten, powerUpsTaken, stings };
+}
@@ -0,0 +1,167 @@
+/**
+ * Server-side enemy fish simulation for Fish Eat Fish
+ * Runs the same EnemyBehavior the client uses for single-player, so every
+ * player in a room sees (and fights over) the same enemies. Rooms in ecosystem
+ * mode also let enemies eat and grow through the shared Ecosystem rules.
+ */
+import '../js/enemy-species.js';
+import '../js/enemy-behavior.js';
+import '../js/ecosystem.js';
+import { SpatialGrid } from './spatial-grid.js';
+
+const { EnemyBehavior, Ecosystem } = globalThis;
+
+// Enemy behaviour is tuned per 60fps frame, like the client
+const FRAME_MS = 1000 / 60;
+
+// Spawning rules from Game.spawnEnemies() at difficulty level 1
+const SPAWN_INTERVAL_FRAMES = 117;
+const MAX_ENEMIES = 33;
+const SPAWN_IN_WORLD_CHANCE = 0.3;
+const MIN_SPAWN_DISTANCE = 300; // Keep fish spawned inside the world away from players
+
+// Cell size of the grid schooling fish and hunters find other fish in
+const NEIGHBOR_CELL_SIZE = 200;
+
+/**
+ * Spawns and moves a room's enemies for one server tick
+ * @param {Object} state - Room state with players, enemies, world size and enemy timers
+ * @param {number} deltaMs - Simulated time for this tick
+ */
+export function updateEnemies(state, deltaMs) {
+    const players = Object.values(state.players).filter(player => player.isAlive);
+    const grid = new SpatialGrid(NEIGHBOR_CELL_SIZE);
+    const findNeighbors = (enemy, range) =>
+        grid.query(enemy.x - range, enemy.y - range, enemy.x + range, enemy.y + range);
+
+    // Hunters graze between hunts in ecosystem mode; food only changes between ticks
+    const foodGrid = new SpatialGrid(NEIGHBOR_CELL_SIZE);
+    if (state.ecosystemEnabled) state.foods.forEach(food => foodGrid.insert(food));
+    const findFoods = (enemy, range) =>
+        foodGrid.query(enemy.x - range, enemy.y - range, enemy.x + range, enemy.y + range);
+
+    state.enemyFrameTime += deltaMs;
+    while (state.enemyFrameTime >= FRAME_MS) {
+        state.enemyFrameTime -= FRAME_MS;
+
+        spawnEnemy(state, players);
+
+        // Every player is prey (or a threat) for the enemies near them, not just the nearest one
+        grid.clear();
+        state.enemies.forEach(enemy => grid.insert(enemy));
+        players.forEach(player => grid.insert(player));
+
+        for (let i = state.enemies.length - 1; i >= 0; i--) {
+            const enemy = state.enemies[i];
+            enemy.worldWidth = state.worldWidth;
+            enemy.worldHeight = state.worldHeight;
+
+            if (EnemyBehavior.update(enemy, findNearestPlayer(enemy, players), findNeighbors, findFoods)) {
+                state.enemies.splice(i, 1);
+            }
+        }
+    }
+}
+
+/**
+ * Lets a room's enemies eat each other and food, for rooms in ecosystem mode
+ * Eaten enemies and food leave the room state; the meals are reported like
+ * players' meals, with the eating enemy's id as eatenBy and nothing to credit.
+ * @param {Object} state - Room state with enemies and foods
+ * @returns {{enemiesEaten: Array, foodsEaten: Array}} Meals for the snapshots
+ */
+export function feedEnemies(state) {
+    const enemyGrid = new SpatialGrid(NEIGHBOR_CELL_SIZE);
+    const foodGrid = new SpatialGrid(NEIGHBOR_CELL_SIZE);
+    state.enemies.forEach(enemy => enemyGrid.insert(enemy));
+    state.foods.forEach(food => foodGrid.insert(food));
+    const near = grid => (enemy, range) => grid.query(enemy.x - range, enemy.y - range, enemy.x + range, enemy.y + range);
+
+    const meals = Ecosystem.resolveMeals(state.enemies, near(enemyGrid), near(foodGrid));
+
+    const eatenEnemies = new Set(meals.enemiesEaten.map(meal => meal.prey));
+    const eatenFoods = new Set(meals.foodsEaten.map(meal => meal.food));
+    state.enemies = state.enemies.filter(enemy => !eatenEnemies.has(enemy));
+    state.foods = state.foods.filter(food => !eatenFoods.has(food));
+
+    return {
+        enemiesEaten: meals.enemiesEaten.map(({ eater, prey }) => ({ id: prey.id, eatenBy: eater.id, points: 0, growth: 0 })),
+        foodsEaten: meals.foodsEaten.map(({ eater, food }) => ({ id: food.id, eatenBy: eater.id, points: 0, growth: 0 }))
+    };
+}
+
+/**
+ * Copies the fields clients need to render an enemy
+ * @param {Object} enemy - Enemy from the room state
+ * @returns {Object} Enemy data for a snapshot
+ */
+export function serializeEnemy(enemy) {
+    return {
+        id: enemy.id,
+        x: enemy.x,
+        y: enemy.y,
+        angle: enemy.angle,
+        radius: enemy.radius,
+        sizeLevel: enemy.sizeLevel,
+        color: enemy.color,
+        species: enemy.species,
+        puffed: enemy.puffed === true
+    };
+}
+
+/**
+ * Counts frames towards the next spawn and adds an enemy when it's due
+ * Schooling species arrive with their school mates. In ecosystem mode the
+ * room's food has to support another fish too.
+ * @param {Object} state - Room state
+ * @param {Array} players - Living players
+ * @private
+ */
+function spawnEnemy(state, players) {
+    state.enemySpawnTimer++;
+    if (state.enemySpawnTimer < SPAWN_INTERVAL_FRAMES || state.enemies.length >= MAX_ENEMIES) return;
+    if (state.ecosystemEnabled && !Ecosystem.canSpawn(state.enemies, state.foods.length)) return;
+    state.enemySpawnTimer = 0;
+
+    // Scale the new fish against a random player so everyone gets prey and predators
+    const reference = players.length > 0 ? players[Math.floor(Math.random() * players.length)] : null;
+    const enemy = { id: state.nextEnemyId++ };
+    EnemyBehavior.initialize(enemy, reference ? reference.sizeLevel : 1, state.worldWidth, state.worldHeight);
+
+    if (Math.random() < SPAWN_IN_WORLD_CHANCE) {
+        EnemyBehavior.placeInWorld(enemy, players, MIN_SPAWN_DISTANCE);
+    }
+
+    state.enemies.push(enemy);
+
+    for (let n = EnemyBehavior.getSchoolmateCount(enemy); n > 0 && state.enemies.length < MAX_ENEMIES; n--) {
+        const schoolmate = { id: state.nextEnemyId++ };
+        EnemyBehavior.initialize(schoolmate, enemy.sizeLevel, state.worldWidth, state.worldHeight, enemy.species);
+        EnemyBehavior.joinSchool(schoolmate, enemy);
+        state.enemies.push(schoolmate);
+    }
+}
+
+/**
+ * Finds the living player closest to an enemy
+ * @param {Object} enemy - Enemy state
+ * @param {Array} players - Living players
+ * @returns {Object|null} Closest player, or null if there are none
+ * @private
+ */
+function findNearestPlayer(enemy, players) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const player of players) {
+        const dx = player.x - enemy.x;
+        const dy = player.y - enemy.y;
+        const distance = dx * dx + dy * dy;
+        if (distance < nearestDistance) {
+            nearest = player;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearest;
+}
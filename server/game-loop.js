@@ -0,0 +1,74 @@
+/**
+ * Fixed-rate game loop for the Fish Eat Fish server
+ * Schedules each tick against the loop's start time so timer drift
+ * doesn't slowly change the simulation rate.
+ */
+
+// Most ticks to run back-to-back after a stall before skipping ahead
+const MAX_CATCH_UP_TICKS = 5;
+
+export class GameLoop {
+    /**
+     * Creates a new game loop
+     * @param {number} tickRate - Ticks per second
+     * @param {Function} onTick - Called with (tick, deltaMs) on every tick
+     */
+    constructor(tickRate, onTick) {
+        this.tickRate = tickRate;
+        this.tickInterval = 1000 / tickRate;
+        this.onTick = onTick;
+        this.tick = 0;
+        this.startTime = 0;
+        this.timeout = null;
+    }
+
+    /**
+     * Starts ticking (does nothing if already running)
+     */
+    start() {
+        if (this.timeout) return;
+
+        this.startTime = Date.now() - this.tick * this.tickInterval;
+        this.scheduleNextTick();
+    }
+
+    /**
+     * Stops ticking
+     */
+    stop() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    /**
+     * Schedules the next tick at its ideal time
+     * @private
+     */
+    scheduleNextTick() {
+        const nextTickTime = this.startTime + (this.tick + 1) * this.tickInterval;
+        const delay = Math.max(0, nextTickTime - Date.now());
+        this.timeout = setTimeout(() => this.runDueTicks(), delay);
+    }
+
+    /**
+     * Runs every tick that is due, then schedules the next one
+     * @private
+     */
+    runDueTicks() {
+        const now = Date.now();
+        let dueTicks = Math.floor((now - this.startTime) / this.tickInterval) - this.tick;
+
+        // After a long stall, drop the backlog instead of fast-forwarding the world
+        if (dueTicks > MAX_CATCH_UP_TICKS) {
+            this.startTime += (dueTicks - MAX_CATCH_UP_TICKS) * this.tickInterval;
+            dueTicks = MAX_CATCH_UP_TICKS;
+        }
+
+        for (let i = 0; i < dueTicks; i++) {
+            this.tick++;
+            this.onTick(this.tick, this.tickInterval);
+        }
+
+        this.scheduleNextTick();
+    }
+}
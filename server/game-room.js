@@ -0,0 +1,652 @@
+/**
+ * A single arena on the Fish Eat Fish server
+ * Each room owns its players, food, world size and spawn timers, and
+ * broadcasts only to the sockets in its Socket.IO room.
+ */
+import { randomBytes, randomUUID } from 'crypto';
+import '../js/world-config.js';
+import '../js/snapshot-codec.js';
+import { resolveCollisions } from './collisions.js';
+import { feedEnemies, serializeEnemy, updateEnemies } from './enemy-simulation.js';
+import { createBot, updateBots } from './bot-players.js';
+import { processInputs, queueInputs, resetInputBudget } from './player-movement.js';
+import { activatePowerUp, clearEffects, getRemainingEffects, pullTowardMagnets, serializePowerUp, updateEffects, updatePowerUps } from './power-ups.js';
+import { feedPlayer, getPlayerRadius, resetGrowth, stingPlayer } from './player-growth.js';
+import { DEFAULT_VIEW_WIDTH, DEFAULT_VIEW_HEIGHT, buildInterestGrids, createInterest, takeKnownMeals, updateInterest } from './interest.js';
+
+const { WorldConfig, SnapshotCodec } = globalThis;
+
+const INITIAL_FOOD_COUNT = 50;
+
+// How long a disconnected player's fish is kept for them to resume
+const RESUME_GRACE_PERIOD = 20000;
+
+// Dropped movement inputs are logged at most this often per player
+const DROPPED_INPUT_LOG_INTERVAL = 5000;
+
+// A paused fish is safe for a moment so its owner can step away, but only once per cooldown -
+// pausing again sooner (e.g. to dodge a predator) leaves it vulnerable straight away
+const PAUSE_SAFE_TIME = 3000;
+const PAUSE_SAFE_COOLDOWN = 30000;
+
+// Snapshots only carry nearby players, so everyone's score goes out separately for the leaderboard
+const SCORE_BROADCAST_INTERVAL = 1000;
+
+export class GameRoom {
+    /**
+     * Creates a new room
+     * @param {Object} io - Socket.IO server used to broadcast to the room
+     * @param {string} id - Room code, also used as the Socket.IO room name
+     * @param {Object} options - Room name, player cap, whether the room is private, how many bots fill it,
+     *                           whether power-ups spawn, whether enemies feed and grow, and world size
+     */
+    constructor(io, id, options = {}) {
+        this.io = io;
+        this.id = id;
+        this.name = options.name || `Arena ${id}`;
+        this.maxPlayers = options.maxPlayers || 10;
+        this.isPrivate = options.isPrivate || false; // Private rooms are only joinable by invite code
+        this.emptySince = Date.now(); // When the last player left (or the room was created)
+        this.botFillTarget = options.botFillTarget || 0; // Bots top the room up to this many players
+        this.powerUpsEnabled = options.powerUps || false; // Whether power-up orbs spawn in this room
+        this.ecosystemEnabled = options.ecosystem || false; // Whether enemies eat, grow and live off the food
+
+        // Game state
+        this.players = {};
+        this.foods = [];
+        this.enemies = [];
+        this.powerUps = []; // Orbs waiting to be picked up
+        this.worldWidth = options.worldWidth || WorldConfig.DEFAULT_WIDTH; // Fixed for the room's lifetime and sent in gameState
+        this.worldHeight = options.worldHeight || WorldConfig.DEFAULT_HEIGHT;
+        SnapshotCodec.assertWorldSize(this.worldWidth, this.worldHeight);
+        this.maxFoodItems = 100;
+        this.foodSpawnTimer = 0;
+        this.scoreBroadcastTimer = 0;
+        this.enemySpawnTimer = 0; // Frames since the last enemy spawned
+        this.enemyFrameTime = 0; // Simulated time not yet spent on enemy frames
+        this.nextEnemyId = 1;
+        this.botFrameTime = 0; // Simulated time not yet spent on bot frames
+        this.nextBotId = 1;
+        this.nextNetId = 1; // Compact player ids for binary snapshots
+        this.nextFoodId = 1;
+        this.powerUpSpawnTimer = 0;
+        this.nextPowerUpId = 1;
+
+        // Generate initial food
+        for (let i = 0; i < INITIAL_FOOD_COUNT; i++) {
+            this.generateFood();
+        }
+    }
+
+    /**
+     * Gets the number of human players in the room (bots don't count)
+     * @returns {number} Player count
+     */
+    get playerCount() {
+        return Object.values(this.players).filter(player => !player.isBot).length;
+    }
+
+    /**
+     * Checks whether the room has reached its player cap
+     * @returns {boolean} True if no more players can join
+     */
+    isFull() {
+        return this.playerCount >= this.maxPlayers;
+    }
+
+    /**
+     * Adds a player to the room and sends them the current state
+     * @param {Object} socket - The joining player's socket
+     * @param {Object} playerData - Player data sent with playerJoin
+     */
+    addPlayer(socket, playerData) {
+        socket.join(this.id);
+
+        // Player ids outlive sockets so a dropped connection can resume the same fish
+        const playerId = randomBytes(8).toString('hex');
+        socket.data.playerId = playerId;
+
+        // Create player in game state - every fish starts at level 1 inside the world
+        const radius = getPlayerRadius(1);
+        const player = {
+            id: playerId,
+            netId: this.nextNetId++,
+            socketId: socket.id,
+            protocol: socket.data.protocol, // Snapshot encoding negotiated in the handshake
+            snapshotEncoder: SnapshotCodec.createEncoder(),
+            resumeToken: randomUUID(), // Secret the owner presents to resume
+            disconnectedAt: null, // Set while the owner is away
+            name: playerData.name.trim() || 'Player',
+            x: clamp(playerData.x, radius, this.worldWidth - radius),
+            y: clamp(playerData.y, radius, this.worldHeight - radius),
+            color: playerData.color,
+            eyeColor: playerData.eyeColor,
+            pupilColor: playerData.pupilColor,
+            angle: playerData.angle || 0,
+            score: 0,
+            isAlive: true,
+            boosting: false,
+            paused: false, // Owner opened the pause menu - the fish holds still and can't eat
+            pauseSafeUntil: 0, // Can't be eaten while paused before this time
+            lastSafePause: 0, // When the last safe period started
+            inputQueue: [], // Movement inputs waiting for the next tick
+            lastProcessedInput: 0,
+            lastDroppedInputLog: 0,
+            viewWidth: DEFAULT_VIEW_WIDTH, // Sets how far the player's interest area reaches
+            viewHeight: DEFAULT_VIEW_HEIGHT,
+            interest: createInterest() // Entities this player's client has been sent
+        };
+        resetGrowth(player);
+        resetInputBudget(player, Date.now());
+        clearEffects(player);
+        this.players[playerId] = player;
+
+        // Send current game state to the new player
+        this.sendState(socket, this.players[playerId]);
+
+        // Broadcast new player to everyone else in the room
+        socket.to(this.id).emit('playerJoined', this.serializePlayer(this.players[playerId]));
+    }
+
+    /**
+     * Removes a player from the room
+     * @param {Object} socket - The leaving player's socket
+     */
+    removePlayer(socket) {
+        socket.leave(this.id);
+        this.deletePlayer(socket.data.playerId);
+    }
+
+    /**
+     * Keeps a disconnected player's fish for the grace period
+     * @param {Object} socket - The socket that dropped
+     */
+    suspendPlayer(socket) {
+        const player = this.players[socket.data.playerId];
+
+        // A newer socket may already have resumed this fish
+        if (!player || player.socketId !== socket.id) return;
+
+        player.disconnectedAt = Date.now();
+        player.inputQueue = [];
+        console.log(`Player disconnected from ${this.id}, holding fish:`, player.name);
+    }
+
+    /**
+     * Hands a kept fish to its owner's new socket
+     * @param {Object} socket - The owner's new socket
+     * @param {Object} player - Player found by resume token
+     */
+    resumePlayer(socket, player) {
+        socket.join(this.id);
+        socket.data.playerId = player.id;
+
+        player.socketId = socket.id;
+        player.protocol = socket.data.protocol;
+        player.snapshotEncoder = SnapshotCodec.createEncoder(); // The new socket has no baselines yet
+        player.disconnectedAt = null;
+        player.inputQueue = [];
+        player.paused = false; // The client pauses again if its menu is still open
+        player.lastProcessedInput = 0; // The client starts a new input sequence
+        resetInputBudget(player, Date.now());
+
+        this.sendState(socket, player);
+        console.log(`Player resumed in ${this.id}:`, player.name);
+    }
+
+    /**
+     * Finds the player a resume token belongs to
+     * @param {string} resumeToken - Token from a previous gameState
+     * @returns {Object|undefined} The player, if still kept
+     */
+    findPlayerByResumeToken(resumeToken) {
+        return Object.values(this.players).find(player => player.resumeToken === resumeToken);
+    }
+
+    /**
+     * Removes players whose grace period ran out
+     * @param {number} now - Current time (ms)
+     * @returns {number} Number of players removed
+     */
+    removeExpiredPlayers(now) {
+        let removed = 0;
+
+        for (const player of Object.values(this.players)) {
+            if (player.disconnectedAt !== null && now - player.disconnectedAt > RESUME_GRACE_PERIOD) {
+                this.deletePlayer(player.id);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Applies a validated playerUpdate from a client
+     * Clients only propose inputs; size, radius and score come from what the server fed the fish.
+     * @param {string} playerId - Sending player's id
+     * @param {Object} playerData - Queued inputs, angle and snapshot acknowledgement
+     */
+    handlePlayerUpdate(playerId, playerData) {
+        const player = this.players[playerId];
+
+        // Dead players stay dead until they respawn - only the server kills fish
+        if (!player || !player.isAlive) return;
+
+        // Queue movement inputs - the server owns the position they produce. Paused fish hold still.
+        const dropped = player.paused ? 0 : queueInputs(player, playerData.inputs, Date.now());
+        if (dropped > 0) {
+            // Only logged - displays faster than 60Hz send extra inputs without cheating
+            this.logDroppedInputs(player, dropped);
+        }
+
+        player.angle = playerData.angle;
+
+        // Deltas can now be taken against the latest snapshot the client decoded
+        if (playerData.ack) {
+            SnapshotCodec.acknowledge(player.snapshotEncoder, playerData.ack);
+        }
+    }
+
+    /**
+     * Holds a player's fish still while their pause menu is open
+     * @param {string} playerId - Pausing player's id
+     */
+    pausePlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player || !player.isAlive || player.paused) return;
+
+        const now = Date.now();
+        player.paused = true;
+        player.inputQueue = [];
+
+        if (now - player.lastSafePause >= PAUSE_SAFE_COOLDOWN) {
+            player.lastSafePause = now;
+            player.pauseSafeUntil = now + PAUSE_SAFE_TIME;
+        } else {
+            player.pauseSafeUntil = now;
+        }
+
+        this.io.to(this.id).emit('playerPaused', { id: player.id, safeFor: player.pauseSafeUntil - now });
+    }
+
+    /**
+     * Lets a paused player's fish move and eat again
+     * @param {string} playerId - Player's id
+     */
+    unpausePlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player || !player.paused) return;
+
+        player.paused = false;
+        player.pauseSafeUntil = 0;
+        this.io.to(this.id).emit('playerUnpaused', player.id);
+    }
+
+    /**
+     * Sets how much of the world a player's client shows, which sizes their interest area
+     * @param {string} playerId - Player's id
+     * @param {number} width - View width in world units
+     * @param {number} height - View height in world units
+     */
+    setViewSize(playerId, width, height) {
+        const player = this.players[playerId];
+        if (!player) return;
+
+        // Seeing the whole world is the most a client can ask for
+        player.viewWidth = Math.min(width, this.worldWidth);
+        player.viewHeight = Math.min(height, this.worldHeight);
+    }
+
+    /**
+     * Brings a dead player back as a new level 1 fish at the position the client picked
+     * @param {string} playerId - Respawning player's id
+     * @param {Object} playerData - New position and score
+     * @returns {string|null} Why the respawn was rejected, or null if it happened
+     */
+    respawnPlayer(playerId, playerData) {
+        const player = this.players[playerId];
+        if (!player) return null;
+        if (player.isAlive) return 'respawn while alive';
+
+        // Respawning keeps part of the score, never adds to it
+        resetGrowth(player);
+        player.score = Math.min(player.score, playerData.score);
+        player.x = clamp(playerData.x, player.radius, this.worldWidth - player.radius);
+        player.y = clamp(playerData.y, player.radius, this.worldHeight - player.radius);
+        player.isAlive = true;
+        player.paused = false;
+        player.inputQueue = []; // Inputs from before the respawn no longer apply
+        clearEffects(player);
+        resetInputBudget(player, Date.now());
+
+        this.io.to(this.id).emit('playerRespawned', this.serializePlayer(player));
+        return null;
+    }
+
+    /**
+     * Advances the room by one tick and broadcasts a single batched snapshot
+     * @param {number} tick - Tick number
+     * @param {number} deltaMs - Simulated time for this tick
+     */
+    update(tick, deltaMs) {
+        this.balanceBots();
+        if (this.playerCount === 0) return; // Nothing to simulate without players
+
+        // Spawn food - clients hear about it once it is in their area
+        this.foodSpawnTimer += deltaMs;
+        if (this.foodSpawnTimer >= this.getFoodSpawnRate()) {
+            this.foodSpawnTimer = 0;
+            this.generateFood();
+        }
+
+        // Power-ups that ran out stop affecting movement and collisions this tick
+        const now = Date.now();
+        if (this.powerUpsEnabled) {
+            this.updatePowerUpOrbs(deltaMs, now);
+        }
+        for (const player of Object.values(this.players)) {
+            updateEffects(player, now);
+        }
+
+        // Move players by replaying the inputs they predicted with
+        for (const player of Object.values(this.players)) {
+            processInputs(player, this.worldWidth, this.worldHeight);
+        }
+
+        // Bots decide and move on the server
+        for (const bot of updateBots(this, deltaMs)) {
+            this.io.to(this.id).emit('playerRespawned', this.serializePlayer(bot));
+        }
+
+        // Spawn and move enemies, let them feed in ecosystem mode, then let magnets pull in the small ones
+        updateEnemies(this, deltaMs);
+        const enemyMeals = this.ecosystemEnabled ? feedEnemies(this) : { enemiesEaten: [], foodsEaten: [] };
+        pullTowardMagnets(this, deltaMs);
+
+        // Paused fish can't be eaten during their safe period
+        for (const player of Object.values(this.players)) {
+            player.shielded = player.paused === true && now < player.pauseSafeUntil;
+        }
+
+        // Collision pass - the server decides who ate what
+        const { foodsEaten, playersEaten, enemiesEaten, powerUpsTaken, stings } = resolveCollisions(this, now);
+
+        // Orbs are few and room-wide, so pickups go to everyone rather than through snapshots
+        for (const taken of powerUpsTaken) {
+            const duration = activatePowerUp(this.players[taken.takenBy], taken.type, now);
+            this.io.to(this.id).emit('powerUpTaken', { id: taken.id, playerId: taken.takenBy, type: taken.type, duration });
+        }
+
+        // Stings are rare too; the stung fish's new size goes out in the snapshots
+        for (const sting of stings) {
+            stingPlayer(this.players[sting.id]);
+            this.io.to(this.id).emit('playerStung', sting);
+        }
+
+        // Every fish grows from what the server fed it, bot or human
+        for (const meal of [...foodsEaten, ...playersEaten, ...enemiesEaten]) {
+            const eater = this.players[meal.eatenBy];
+            if (eater) {
+                feedPlayer(eater, meal);
+            }
+        }
+
+        // Enemies' meals go to clients too, but nobody is credited for them
+        this.sendSnapshots(tick, Date.now(), {
+            foodsEaten: [...foodsEaten, ...enemyMeals.foodsEaten],
+            playersEaten,
+            enemiesEaten: [...enemiesEaten, ...enemyMeals.enemiesEaten]
+        });
+
+        this.scoreBroadcastTimer += deltaMs;
+        if (this.scoreBroadcastTimer >= SCORE_BROADCAST_INTERVAL) {
+            this.scoreBroadcastTimer = 0;
+            this.io.to(this.id).emit('scores', Object.fromEntries(
+                Object.values(this.players).map(player => [player.id, player.score])
+            ));
+        }
+    }
+
+    /**
+     * Gets the room state sent to a joining player
+     * Players are the full roster for names and the leaderboard; nearby players,
+     * food and enemies arrive with the first snapshot as they enter the player's area.
+     * @returns {Object} Room info, players and world size
+     */
+    getState() {
+        const now = Date.now();
+
+        return {
+            room: this.getSummary(),
+            players: Object.fromEntries(
+                Object.entries(this.players).map(([id, player]) => [id, {
+                    ...this.serializePlayer(player),
+                    effects: getRemainingEffects(player, now) // Later pickups arrive as powerUpTaken
+                }])
+            ),
+            powerUps: this.powerUps.map(powerUp => serializePowerUp(powerUp, now)),
+            worldWidth: this.worldWidth,
+            worldHeight: this.worldHeight
+        };
+    }
+
+    /**
+     * Gets the room info shown in the lobby
+     * @returns {Object} Room id, name, player counts, privacy, whether power-ups spawn and whether it's in ecosystem mode
+     */
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.name,
+            playerCount: this.playerCount,
+            maxPlayers: this.maxPlayers,
+            isPrivate: this.isPrivate,
+            powerUps: this.powerUpsEnabled,
+            ecosystem: this.ecosystemEnabled
+        };
+    }
+
+    /**
+     * Copies the fields clients need to render a player
+     * @param {Object} player - Player from the room state
+     * @returns {Object} Player data for a snapshot
+     */
+    serializePlayer(player) {
+        return {
+            id: player.id,
+            netId: player.netId,
+            name: player.name,
+            x: player.x,
+            y: player.y,
+            radius: player.radius,
+            angle: player.angle,
+            color: player.color,
+            eyeColor: player.eyeColor,
+            pupilColor: player.pupilColor,
+            score: player.score,
+            sizeLevel: player.sizeLevel,
+            isAlive: player.isAlive,
+            lastInput: player.lastProcessedInput // Lets the owner reconcile its prediction
+        };
+    }
+
+    /**
+     * Gets how often food spawns, based on the room's player count
+     * @returns {number} Spawn interval (ms)
+     * @private
+     */
+    getFoodSpawnRate() {
+        // Adjust spawn rate based on number of players
+        if (this.playerCount === 1) {
+            return 2000; // Slower spawning for single player (every 2 seconds)
+        }
+        return 500; // Normal spawning for multiplayer (every 500ms)
+    }
+
+    /**
+     * Adds a food item at a random position
+     * @returns {Object|undefined} The new food, or undefined if the room is full of food
+     * @private
+     */
+    generateFood() {
+        if (this.foods.length >= this.maxFoodItems) return;
+
+        // Create a new food item with random position
+        const food = {
+            id: this.nextFoodId++,
+            x: Math.random() * this.worldWidth,
+            y: Math.random() * this.worldHeight,
+            radius: 5,
+            value: 1,
+            color: getRandomFoodColor()
+        };
+
+        this.foods.push(food);
+        return food;
+    }
+
+    /**
+     * Spawns and expires power-up orbs and tells the room
+     * @param {number} deltaMs - Simulated time for this tick
+     * @param {number} now - Current time (ms)
+     * @private
+     */
+    updatePowerUpOrbs(deltaMs, now) {
+        const { spawned, expired } = updatePowerUps(this, deltaMs, now);
+
+        for (const powerUp of spawned) {
+            this.io.to(this.id).emit('powerUpSpawned', serializePowerUp(powerUp, now));
+        }
+        for (const id of expired) {
+            this.io.to(this.id).emit('powerUpRemoved', id);
+        }
+    }
+
+    /**
+     * Adds bots while the room has too few humans and removes them as humans join
+     * @private
+     */
+    balanceBots() {
+        const humans = this.playerCount;
+        const bots = Object.values(this.players).filter(player => player.isBot);
+
+        // Empty rooms don't keep bots around
+        const wanted = humans > 0 ? Math.max(0, this.botFillTarget - humans) : 0;
+
+        for (let i = bots.length; i < wanted; i++) {
+            const bot = createBot(`bot-${this.nextBotId++}`, this.worldWidth, this.worldHeight);
+            bot.netId = this.nextNetId++;
+            this.players[bot.id] = bot;
+            this.io.to(this.id).emit('playerJoined', this.serializePlayer(bot));
+        }
+
+        for (let i = bots.length - 1; i >= wanted; i--) {
+            this.deletePlayer(bots[i].id);
+        }
+    }
+
+    /**
+     * Logs inputs dropped for arriving faster than real time, without flooding the log
+     * @param {Object} player - Player whose inputs were dropped
+     * @param {number} dropped - Number of inputs dropped
+     * @private
+     */
+    logDroppedInputs(player, dropped) {
+        const now = Date.now();
+        if (now - player.lastDroppedInputLog < DROPPED_INPUT_LOG_INTERVAL) return;
+
+        player.lastDroppedInputLog = now;
+        console.warn(`Dropped ${dropped} movement inputs from ${player.name} (${player.socketId}) in ${this.id}`);
+    }
+
+    /**
+     * Sends every connected player a snapshot of their area in the encoding they asked for
+     * @param {number} tick - Tick number
+     * @param {number} time - Server time of the tick (ms)
+     * @param {Object} meals - Foods, players and enemies eaten this tick
+     * @private
+     */
+    sendSnapshots(tick, time, { foodsEaten, playersEaten, enemiesEaten }) {
+        const getNetId = playerId => (this.players[playerId] ? this.players[playerId].netId : undefined);
+        const grids = buildInterestGrids(this);
+
+        // Serialize each entity once, however many players can see it
+        const players = new Map(Object.values(this.players).map(player => [player, this.serializePlayer(player)]));
+        const enemies = new Map(this.enemies.map(enemy => [enemy, serializeEnemy(enemy)]));
+
+        for (const player of Object.values(this.players)) {
+            if (player.isBot || player.disconnectedAt !== null) continue;
+
+            // Meals only matter to clients that were sent the eaten entity
+            const interest = player.interest;
+            const foodsSeen = takeKnownMeals(foodsEaten, interest.foods);
+            const enemiesSeen = takeKnownMeals(enemiesEaten, interest.enemies);
+            const kills = playersEaten.filter(kill => kill.id === player.id || interest.players.has(kill.id));
+
+            const area = updateInterest(player, grids);
+            const snapshot = {
+                tick,
+                time,
+                players: area.players.map(visible => players.get(visible)),
+                enemies: area.enemies.map(visible => enemies.get(visible)),
+                entered: area.entered,
+                exited: area.exited,
+                foodsEaten: foodsSeen,
+                kills,
+                enemiesEaten: enemiesSeen,
+                growth: player.fishEaten // The owner's progress towards its next size level
+            };
+
+            const data = player.protocol === 'binary' ? SnapshotCodec.encode(snapshot, player.snapshotEncoder, getNetId) : snapshot;
+            this.io.to(player.socketId).emit('snapshot', data);
+        }
+    }
+
+    /**
+     * Sends the room state and the player's session to their socket
+     * @param {Object} socket - The player's socket
+     * @param {Object} player - The player joining or resuming
+     * @private
+     */
+    sendState(socket, player) {
+        // The client starts from nothing, so everything in its area is new again
+        player.interest = createInterest();
+
+        socket.emit('gameState', {
+            ...this.getState(),
+            protocol: player.protocol,
+            session: {
+                playerId: player.id,
+                resumeToken: player.resumeToken
+            }
+        });
+    }
+
+    /**
+     * Removes a player and tells the rest of the room
+     * @param {string} playerId - Id of the player to remove
+     * @private
+     */
+    deletePlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player) return;
+
+        delete this.players[playerId];
+        if (this.playerCount === 0) {
+            this.emptySince = Date.now();
+        }
+
+        this.io.to(this.id).emit('playerLeft', playerId);
+        console.log(`Player left ${this.id}:`, player.name);
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function getRandomFoodColor() {
+    const colors = ['#AAFFAA', '#AAAAFF', '#FFAAAA', '#FFFFAA', '#FFAAFF', '#AAFFFF'];
+    return colors[Math.floor(Math.random() * colors.length)];
+}
@@ -0,0 +1,146 @@
+/**
+ * Area-of-interest filtering for Fish Eat Fish snapshots
+ * A client only renders what lies inside its fish's vision ellipse (70% of
+ * its view, see MultiplayerManager.drawPlayers() and Game.drawMinimap()), so
+ * each client is only sent the entities inside that ellipse. Entities that
+ * enter it are created on the client and ones that leave it are destroyed.
+ */
+import { SpatialGrid } from './spatial-grid.js';
+
+// Vision ellipse radii as a fraction of the client's view size
+const VISION_SCALE = 0.7;
+
+// View size assumed until the client reports its own
+export const DEFAULT_VIEW_WIDTH = 1920;
+export const DEFAULT_VIEW_HEIGHT = 1080;
+
+// Entities are sent slightly before their center reaches the ellipse, so big
+// fish don't pop in with half their body already inside it
+const INTEREST_MARGIN = 150;
+
+// Entities only leave once they are this much further out than where they
+// entered, so ones swimming along the edge don't flicker in and out
+const EXIT_SCALE = 1.15;
+
+// About a third of the default vision ellipse
+const GRID_CELL_SIZE = 400;
+
+/**
+ * Creates the empty set of entities a client knows about
+ * @returns {Object} Ids of the players, enemies and foods the client has been sent
+ */
+export function createInterest() {
+    return {
+        players: new Set(),
+        enemies: new Set(),
+        foods: new Set()
+    };
+}
+
+/**
+ * Bins a room's players, enemies and foods for this tick's interest queries
+ * @param {Object} room - Room with players, enemies and foods
+ * @returns {Object} One grid per entity type
+ */
+export function buildInterestGrids(room) {
+    const grids = {
+        players: new SpatialGrid(GRID_CELL_SIZE),
+        enemies: new SpatialGrid(GRID_CELL_SIZE),
+        foods: new SpatialGrid(GRID_CELL_SIZE)
+    };
+
+    for (const player of Object.values(room.players)) {
+        grids.players.insert(player);
+    }
+    for (const enemy of room.enemies) {
+        grids.enemies.insert(enemy);
+    }
+    for (const food of room.foods) {
+        grids.foods.insert(food);
+    }
+
+    return grids;
+}
+
+/**
+ * Keeps only the meals of entities the client knows about and forgets them,
+ * since eaten entities are gone rather than out of view
+ * @param {Array} meals - Meals from resolveCollisions()
+ * @param {Set} known - Ids the client was sent
+ * @returns {Array} Meals the client should see
+ */
+export function takeKnownMeals(meals, known) {
+    return meals.filter(meal => known.delete(meal.id));
+}
+
+/**
+ * Works out what a client can see this tick and what entered or left its area
+ * @param {Object} viewer - The client's player (its own fish is always in view)
+ * @param {Object} grids - Grids from buildInterestGrids()
+ * @returns {Object} Visible players and enemies, plus entered and exited players and foods
+ */
+export function updateInterest(viewer, grids) {
+    const radiusX = viewer.viewWidth * VISION_SCALE + INTEREST_MARGIN;
+    const radiusY = viewer.viewHeight * VISION_SCALE + INTEREST_MARGIN;
+    const interest = viewer.interest;
+
+    const players = diffVisible(interest.players, findVisible(grids.players, viewer, radiusX, radiusY, interest.players));
+    const enemies = diffVisible(interest.enemies, findVisible(grids.enemies, viewer, radiusX, radiusY, interest.enemies));
+    const foods = diffVisible(interest.foods, findVisible(grids.foods, viewer, radiusX, radiusY, interest.foods));
+
+    interest.players = players.ids;
+    interest.enemies = enemies.ids;
+    interest.foods = foods.ids;
+
+    return {
+        players: players.visible,
+        enemies: enemies.visible,
+        entered: {
+            players: players.entered.map(player => player.id),
+            foods: foods.entered
+        },
+        exited: {
+            players: players.exited,
+            foods: foods.exited
+        }
+    };
+}
+
+/**
+ * Finds the entities inside a viewer's vision ellipse
+ * @param {SpatialGrid} grid - Grid of one entity type
+ * @param {Object} viewer - Center of the ellipse
+ * @param {number} radiusX - Horizontal radius
+ * @param {number} radiusY - Vertical radius
+ * @param {Set} known - Ids already sent, which get the larger exit ellipse
+ * @returns {Array} Visible entities
+ */
+function findVisible(grid, viewer, radiusX, radiusY, known) {
+    const exitX = radiusX * EXIT_SCALE;
+    const exitY = radiusY * EXIT_SCALE;
+    const candidates = grid.query(viewer.x - exitX, viewer.y - exitY, viewer.x + exitX, viewer.y + exitY);
+
+    return candidates.filter(entity => {
+        const dx = (entity.x - viewer.x) / radiusX;
+        const dy = (entity.y - viewer.y) / radiusY;
+        const limit = known.has(entity.id) ? EXIT_SCALE * EXIT_SCALE : 1;
+        return dx * dx + dy * dy <= limit;
+    });
+}
+
+/**
+ * Compares visible entities with the ones a client already knows
+ * @param {Set} known - Ids the client was sent
+ * @param {Array} visible - Entities visible this tick
+ * @returns {Object} New id set, visible and entered entities, and exited ids
+ */
+function diffVisible(known, visible) {
+    const ids = new Set(visible.map(entity => entity.id));
+
+    return {
+        ids,
+        visible,
+        entered: visible.filter(entity => !known.has(entity.id)),
+        exited: [...known].filter(id => !ids.has(id))
+    };
+}
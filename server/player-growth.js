@@ -0,0 +1,129 @@
+/**
+ * Server-side growth for Fish Eat Fish players
+ * The server owns every fish's size level, radius, growth progress and score.
+ * Meals from its own collision pass grow players and bots with the same rules
+ * as PlayerFish.eatFish() and grow(), boosting uses the progress up like
+ * PlayerFish.updateBoost(), and snapshots send the results to clients, which
+ * only render them.
+ */
+
+// Growth rules from PlayerFish
+const START_RADIUS = 15;
+const INITIAL_FISH_NEEDED_TO_GROW = 5;
+const FISH_NEEDED_GROWTH_FACTOR = 1.5;
+const SCORE_PER_GROWTH = 10; // PlayerFish.eatFish() bonus per unit of growth and size level
+
+// Boost rules from PlayerFish: the share of a level's growth each boosted frame uses,
+// and how full the lower level is after boosting costs a size level
+const BOOST_DRAIN_RATE = 0.001;
+const BOOST_SHRINK_PROGRESS = 0.9;
+
+/**
+ * Gets the radius PlayerFish grows to at a size level
+ * @param {number} sizeLevel - Size level
+ * @returns {number} Radius
+ */
+export function getPlayerRadius(sizeLevel) {
+    let radius = START_RADIUS;
+
+    // PlayerFish.grow() adds more for each level it reaches
+    for (let level = 2; level <= sizeLevel; level++) {
+        radius += getGrowthAmount(level);
+    }
+
+    return radius;
+}
+
+/**
+ * Gets how much growth a fish at a size level needs to reach the next one
+ * @param {number} sizeLevel - Size level
+ * @returns {number} Growth needed
+ */
+export function getFishNeededToGrow(sizeLevel) {
+    let fishNeededToGrow = INITIAL_FISH_NEEDED_TO_GROW;
+    for (let level = 1; level < sizeLevel; level++) {
+        fishNeededToGrow = Math.floor(fishNeededToGrow * FISH_NEEDED_GROWTH_FACTOR);
+    }
+    return fishNeededToGrow;
+}
+
+/**
+ * Starts a fresh level 1 fish with nothing eaten yet
+ * @param {Object} player - Player from the game state
+ */
+export function resetGrowth(player) {
+    player.sizeLevel = 1;
+    player.radius = getPlayerRadius(1);
+    player.fishEaten = 0; // Growth towards the next size level
+    player.fishNeededToGrow = INITIAL_FISH_NEEDED_TO_GROW;
+}
+
+/**
+ * Rewards a player for something it ate, like PlayerFish.eatFish()
+ * @param {Object} player - Player who ate
+ * @param {Object} meal - Outcome from resolveCollisions() with points and growth
+ */
+export function feedPlayer(player, meal) {
+    // eatFish() adds the size bonus before the meal can grow the fish
+    player.score += meal.points + meal.growth * SCORE_PER_GROWTH * player.sizeLevel;
+    player.fishEaten += meal.growth;
+
+    if (player.fishEaten >= player.fishNeededToGrow) {
+        player.sizeLevel++;
+        player.fishEaten = 0;
+        player.fishNeededToGrow = getFishNeededToGrow(player.sizeLevel);
+        player.radius += getGrowthAmount(player.sizeLevel);
+    }
+}
+
+/**
+ * Shrinks a stung player back a size level, losing this level's progress like PlayerFish.sting()
+ * @param {Object} player - Player above size level 1
+ */
+export function stingPlayer(player) {
+    shrink(player);
+    player.fishEaten = 0;
+}
+
+/**
+ * Pays for one boosted frame with growth progress, like PlayerFish.updateBoost()
+ * Once this level's progress is used up, boosting costs a size level; a level 1
+ * fish with no progress can't boost at all.
+ * @param {Object} player - Player trying to boost
+ * @returns {boolean} True if the player could afford the boost
+ */
+export function spendBoost(player) {
+    if (player.fishEaten > 0) {
+        player.fishEaten = Math.max(0, player.fishEaten - BOOST_DRAIN_RATE * player.fishNeededToGrow);
+        return true;
+    }
+
+    if (player.sizeLevel > 1) {
+        shrink(player);
+        player.fishEaten = player.fishNeededToGrow * BOOST_SHRINK_PROGRESS;
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Takes a player back to the previous size level, like PlayerFish.shrink()
+ * @param {Object} player - Player above size level 1
+ * @private
+ */
+function shrink(player) {
+    player.radius -= getGrowthAmount(player.sizeLevel);
+    player.sizeLevel--;
+    player.fishNeededToGrow = getFishNeededToGrow(player.sizeLevel);
+}
+
+/**
+ * Gets the radius PlayerFish.grow() adds on reaching a size level
+ * @param {number} sizeLevel - Size level reached
+ * @returns {number} Added radius
+ * @private
+ */
+function getGrowthAmount(sizeLevel) {
+    return 5 + Math.floor(sizeLevel / 2) * 2;
+}
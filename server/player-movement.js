@@ -0,0 +1,117 @@
+/**
+ * Server-side player movement for Fish Eat Fish
+ * Mirrors PlayerFish.applyMovement() on the client so the server can replay
+ * the inputs each client predicted with and own the resulting position.
+ */
+import { spendBoost } from './player-growth.js';
+
+// Speed rules from PlayerFish (per 60fps frame)
+const BASE_SPEED = 2.0;
+const MIN_SPEED = 1.5;
+const SPEED_FALLOFF = 0.95; // Each size level moves 5% slower
+const MOVE_SPEED_FACTOR = 1.3;
+const BOOST_MULTIPLIER = 2.0;
+
+// Most queued inputs a player can spend in one server tick
+const MAX_INPUTS_PER_TICK = 10;
+
+// Each input moves the fish one 60fps frame, so a client can't send inputs
+// faster than frames pass without speeding up. The budget allows some slack
+// for uneven frame times and a second of inputs bunched up by a network stall.
+const FRAME_MS = 1000 / 60;
+const INPUT_RATE_TOLERANCE = 1.25;
+const MAX_INPUT_BUDGET = 60;
+
+/**
+ * Gets the base speed of a fish at a size level
+ * @param {number} sizeLevel - The fish's size level
+ * @returns {number} Base speed per frame
+ */
+export function getBaseSpeed(sizeLevel) {
+    return Math.max(MIN_SPEED, BASE_SPEED * Math.pow(SPEED_FALLOFF, sizeLevel - 1));
+}
+
+/**
+ * Moves a player one frame along an input direction
+ * Boosting is paid for with growth progress, so a fish that can't afford it swims normally.
+ * @param {Object} player - Player from the game state
+ * @param {Object} input - Input with dirX, dirY and boost flag
+ * @param {number} worldWidth - Width of the game world
+ * @param {number} worldHeight - Height of the game world
+ */
+export function applyInput(player, input, worldWidth, worldHeight) {
+    let moveSpeed = getBaseSpeed(player.sizeLevel) * MOVE_SPEED_FACTOR * player.modifiers.speedMultiplier;
+    const boosting = input.boost === true && spendBoost(player);
+    if (boosting) {
+        moveSpeed *= BOOST_MULTIPLIER;
+    }
+
+    // Never move faster than a unit direction allows
+    let dirX = input.dirX;
+    let dirY = input.dirY;
+    const length = Math.sqrt(dirX * dirX + dirY * dirY);
+    if (length > 1) {
+        dirX /= length;
+        dirY /= length;
+    }
+
+    // Enemies lead their chase by this velocity
+    player.velocityX = dirX * moveSpeed;
+    player.velocityY = dirY * moveSpeed;
+    player.x += player.velocityX;
+    player.y += player.velocityY;
+    player.boosting = boosting;
+
+    // Keep player within world bounds
+    const margin = player.radius;
+    player.x = Math.max(margin, Math.min(worldWidth - margin, player.x));
+    player.y = Math.max(margin, Math.min(worldHeight - margin, player.y));
+}
+
+/**
+ * Gives a player a full input budget, for a new, resumed or respawned fish
+ * @param {Object} player - Player from the game state
+ * @param {number} now - Current time (ms)
+ */
+export function resetInputBudget(player, now) {
+    player.inputBudget = MAX_INPUT_BUDGET;
+    player.inputBudgetTime = now;
+}
+
+/**
+ * Queues the inputs a client sent, dropping any beyond the time that has passed
+ * @param {Object} player - Player from the game state
+ * @param {Array} inputs - Inputs from a playerUpdate
+ * @param {number} now - Current time (ms)
+ * @returns {number} How many inputs were dropped
+ */
+export function queueInputs(player, inputs, now) {
+    const elapsedFrames = (now - player.inputBudgetTime) / FRAME_MS;
+    player.inputBudget = Math.min(MAX_INPUT_BUDGET, player.inputBudget + elapsedFrames * INPUT_RATE_TOLERANCE);
+    player.inputBudgetTime = now;
+
+    const accepted = inputs.slice(0, Math.max(0, Math.floor(player.inputBudget)));
+    player.inputBudget -= accepted.length;
+    player.inputQueue.push(...accepted);
+
+    return inputs.length - accepted.length;
+}
+
+/**
+ * Applies a player's queued inputs for this tick
+ * @param {Object} player - Player from the game state
+ * @param {number} worldWidth - Width of the game world
+ * @param {number} worldHeight - Height of the game world
+ */
+export function processInputs(player, worldWidth, worldHeight) {
+    const inputs = player.inputQueue.splice(0, MAX_INPUTS_PER_TICK);
+
+    for (const input of inputs) {
+        if (input.seq <= player.lastProcessedInput) continue; // Already applied
+
+        if (player.isAlive) {
+            applyInput(player, input, worldWidth, worldHeight);
+        }
+        player.lastProcessedInput = input.seq;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Server-side power-ups for Fish Eat Fish
+ * Rooms with power-ups enabled spawn orbs from the shared PowerUpTypes table,
+ * hand out effects when a player swims into one and expire them, so every
+ * player sees the same orbs and the server alone decides what each effect does.
+ */
+import '../js/power-up-types.js';
+import '../js/enemy-species.js';
+
+const { PowerUpTypes, EnemySpecies } = globalThis;
+
+// Magnet pull is tuned per 60fps frame, like the client
+const FRAME_MS = 1000 / 60;
+
+// Keep orbs away from the world's edges
+const EDGE_MARGIN = 0.1;
+
+/**
+ * Spawns and expires a room's power-up orbs for one server tick
+ * @param {Object} state - Room state with powerUps, world size and the power-up timer
+ * @param {number} deltaMs - Simulated time for this tick
+ * @param {number} now - Current time (ms)
+ * @returns {{spawned: Array, expired: Array}} New orbs and ids of orbs that timed out
+ */
+export function updatePowerUps(state, deltaMs, now) {
+    const expired = [];
+    for (let i = state.powerUps.length - 1; i >= 0; i--) {
+        if (now >= state.powerUps[i].expiresAt) {
+            expired.push(state.powerUps[i].id);
+            state.powerUps.splice(i, 1);
+        }
+    }
+
+    const spawned = [];
+    state.powerUpSpawnTimer += deltaMs;
+    if (state.powerUpSpawnTimer >= PowerUpTypes.SPAWN_INTERVAL) {
+        state.powerUpSpawnTimer = 0;
+
+        if (state.powerUps.length < PowerUpTypes.MAX_ORBS) {
+            const powerUp = {
+                id: state.nextPowerUpId++,
+                type: PowerUpTypes.pickType(),
+                x: randomBetween(state.worldWidth * EDGE_MARGIN, state.worldWidth * (1 - EDGE_MARGIN)),
+                y: randomBetween(state.worldHeight * EDGE_MARGIN, state.worldHeight * (1 - EDGE_MARGIN)),
+                radius: PowerUpTypes.RADIUS,
+                expiresAt: now + PowerUpTypes.LIFESPAN
+            };
+            state.powerUps.push(powerUp);
+            spawned.push(powerUp);
+        }
+    }
+
+    return { spawned, expired };
+}
+
+/**
+ * Starts a fish with no power-ups active
+ * @param {Object} player - Player from the game state
+ */
+export function clearEffects(player) {
+    player.effects = {}; // Expiry time (ms) by power-up type
+    player.modifiers = PowerUpTypes.getModifiers([]);
+}
+
+/**
+ * Drops a player's expired effects and works out the modifiers the rest grant
+ * Dead fish lose their effects.
+ * @param {Object} player - Player from the game state
+ * @param {number} now - Current time (ms)
+ */
+export function updateEffects(player, now) {
+    for (const type of Object.keys(player.effects)) {
+        if (!player.isAlive || now >= player.effects[type]) {
+            delete player.effects[type];
+        }
+    }
+
+    player.modifiers = PowerUpTypes.getModifiers(Object.keys(player.effects));
+}
+
+/**
+ * Starts (or restarts) a power-up's effect on a player
+ * @param {Object} player - Player who picked up the orb
+ * @param {string} type - Power-up type
+ * @param {number} now - Current time (ms)
+ * @returns {number} Effect duration (ms)
+ */
+export function activatePowerUp(player, type, now) {
+    const duration = PowerUpTypes.get(type).duration;
+    player.effects[type] = now + duration;
+    player.modifiers = PowerUpTypes.getModifiers(Object.keys(player.effects));
+    return duration;
+}
+
+/**
+ * Gets how long each of a player's effects has left, for a joining client
+ * @param {Object} player - Player from the game state
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Remaining time (ms) by power-up type
+ */
+export function getRemainingEffects(player, now) {
+    return Object.fromEntries(
+        Object.entries(player.effects).map(([type, expiresAt]) => [type, Math.max(0, expiresAt - now)])
+    );
+}
+
+/**
+ * Pulls smaller edible enemies towards players with a magnet active
+ * @param {Object} state - Room state with players and enemies
+ * @param {number} deltaMs - Simulated time for this tick
+ */
+export function pullTowardMagnets(state, deltaMs) {
+    const pull = PowerUpTypes.MAGNET_PULL * deltaMs / FRAME_MS;
+
+    for (const player of Object.values(state.players)) {
+        const range = player.modifiers.magnetRange;
+        if (!player.isAlive || player.paused || range <= 0) continue;
+
+        for (const enemy of state.enemies) {
+            if (enemy.radius >= player.radius || !EnemySpecies.isEdible(enemy)) continue;
+
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0 || distance > player.radius + range) continue;
+
+            const step = Math.min(pull, distance);
+            enemy.x += dx / distance * step;
+            enemy.y += dy / distance * step;
+        }
+    }
+}
+
+/**
+ * Copies the fields clients need to render an orb
+ * @param {Object} powerUp - Orb from the room state
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Orb data with its remaining lifespan
+ */
+export function serializePowerUp(powerUp, now) {
+    return {
+        id: powerUp.id,
+        type: powerUp.type,
+        x: powerUp.x,
+        y: powerUp.y,
+        lifespan: Math.max(0, powerUp.expiresAt - now)
+    };
+}
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
@@ -0,0 +1,178 @@
+/**
+ * Room manager for the Fish Eat Fish server
+ * Keeps track of every arena, hands out room codes and opens a new public
+ * room whenever the existing ones are full.
+ */
+import { GameRoom } from './game-room.js';
+
+// Room codes skip characters that are easy to misread (0/O, 1/I)
+const CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// How long a private room nobody has joined yet is kept for its invite code
+const UNUSED_PRIVATE_ROOM_TIMEOUT = 5 * 60 * 1000;
+
+export class RoomManager {
+    /**
+     * Creates a new room manager with one public room
+     * @param {Object} io - Socket.IO server
+     * @param {Object} options - Player cap, bot fill target, and power-up and ecosystem settings for new rooms
+     */
+    constructor(io, options = {}) {
+        this.io = io;
+        this.maxPlayersPerRoom = options.maxPlayersPerRoom || 10;
+        this.botFillTarget = options.botFillTarget || 0; // Public rooms only - private playtests stay bot-free
+        this.publicPowerUps = options.publicPowerUps || false; // Private rooms choose for themselves
+        this.publicEcosystem = options.publicEcosystem || false;
+        this.rooms = new Map();
+        this.roomsCreated = 0; // Numbers room names
+
+        this.createRoom();
+    }
+
+    /**
+     * Creates a public room with a fresh code
+     * @returns {GameRoom} The new room
+     */
+    createRoom() {
+        const id = this.generateRoomCode();
+        const room = new GameRoom(this.io, id, {
+            name: `Arena ${++this.roomsCreated}`,
+            maxPlayers: this.maxPlayersPerRoom,
+            botFillTarget: this.botFillTarget,
+            powerUps: this.publicPowerUps,
+            ecosystem: this.publicEcosystem
+        });
+
+        this.rooms.set(id, room);
+        console.log(`Room created: ${id}`);
+        return room;
+    }
+
+    /**
+     * Creates a private room that is left out of matchmaking and the lobby list
+     * @param {Object} options - Whether power-ups spawn and whether enemies feed and grow in the room
+     * @returns {GameRoom} The new room - its id is the invite code
+     */
+    createPrivateRoom(options = {}) {
+        const id = this.generateRoomCode();
+        const room = new GameRoom(this.io, id, {
+            name: 'Private Arena',
+            maxPlayers: this.maxPlayersPerRoom,
+            isPrivate: true,
+            powerUps: options.powerUps,
+            ecosystem: options.ecosystem
+        });
+
+        this.rooms.set(id, room);
+        console.log(`Private room created: ${id}`);
+        return room;
+    }
+
+    /**
+     * Gets a room by code
+     * @param {string} id - Room code (case-insensitive)
+     * @returns {GameRoom|undefined} The room, if it exists
+     */
+    getRoom(id) {
+        if (typeof id !== 'string') return undefined;
+        return this.rooms.get(id.trim().toUpperCase());
+    }
+
+    /**
+     * Finds the fullest public room that still has space, creating one if all are full
+     * @returns {GameRoom} A room the player can join
+     */
+    findOpenRoom() {
+        let best = null;
+        for (const room of this.rooms.values()) {
+            if (!room.isPrivate && !room.isFull() && (!best || room.playerCount > best.playerCount)) {
+                best = room;
+            }
+        }
+
+        return best || this.createRoom();
+    }
+
+    /**
+     * Finds the room and player a resume token belongs to
+     * @param {string} resumeToken - Token from a previous gameState
+     * @returns {Object|null} The room and player, or null if the fish is gone
+     */
+    findSession(resumeToken) {
+        if (typeof resumeToken !== 'string') return null;
+
+        for (const room of this.rooms.values()) {
+            const player = room.findPlayerByResumeToken(resumeToken);
+            if (player) {
+                return { room, player };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lists every public room for the lobby
+     * @returns {Array} Room summaries
+     */
+    listRooms() {
+        return Array.from(this.rooms.values())
+            .filter(room => !room.isPrivate)
+            .map(room => room.getSummary());
+    }
+
+    /**
+     * Removes a room once its last player leaves, always keeping one public room
+     * @param {GameRoom} room - Room a player just left
+     */
+    removeIfEmpty(room) {
+        if (room.playerCount > 0) return;
+        if (!room.isPrivate && this.listRooms().length <= 1) return;
+
+        this.rooms.delete(room.id);
+        console.log(`Room removed: ${room.id}`);
+    }
+
+    /**
+     * Advances every room by one tick
+     * @param {number} tick - Tick number
+     * @param {number} deltaMs - Simulated time for this tick
+     */
+    update(tick, deltaMs) {
+        const now = Date.now();
+
+        for (const room of this.rooms.values()) {
+            // Invite codes that were never used expire
+            if (room.isPrivate && room.playerCount === 0 && now - room.emptySince > UNUSED_PRIVATE_ROOM_TIMEOUT) {
+                this.removeIfEmpty(room);
+                continue;
+            }
+
+            // Fish whose owners never came back are released
+            if (room.removeExpiredPlayers(now) > 0) {
+                this.removeIfEmpty(room);
+                if (!this.rooms.has(room.id)) continue;
+            }
+
+            room.update(tick, deltaMs);
+        }
+    }
+
+    /**
+     * Generates a room code that isn't in use
+     * @returns {string} Room code
+     * @private
+     */
+    generateRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_CHARACTERS[Math.floor(Math.random() * CODE_CHARACTERS.length)];
+            }
+        } while (this.rooms.has(code));
+
+        return code;
+    }
+}
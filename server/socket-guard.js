@@ -0,0 +1,89 @@
+/**
+ * Per-socket abuse protection for the Fish Eat Fish server
+ * Rate limits a socket's events, validates their payloads and keeps a tally
+ * of rule breaks, disconnecting sockets that keep breaking them.
+ */
+import { EVENT_SCHEMAS, validate } from './validation.js';
+
+// A client sends about 20 updates a second plus the odd lobby request
+const EVENTS_PER_SECOND = 30;
+const EVENT_BURST = 60; // Room for updates that queued up behind a network stall
+
+// Sockets with this many violations inside the window are kicked
+const MAX_VIOLATIONS = 10;
+const VIOLATION_WINDOW = 60000;
+
+export class SocketGuard {
+    /**
+     * Creates a guard for a newly connected socket
+     * @param {Object} socket - The client's socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.tokens = EVENT_BURST; // Events the socket may send right now
+        this.lastRefill = Date.now();
+        this.violations = []; // Times of recent violations
+        this.rateLimited = false; // Only log the first dropped event of a flood
+    }
+
+    /**
+     * Checks an incoming event against the rate limit and its schema
+     * @param {string} event - Event name
+     * @param {*} payload - First argument the client sent with the event
+     * @param {*} ack - Second argument, the acknowledgement callback for events that reply
+     * @returns {boolean} True if the event should be handled
+     */
+    accept(event, payload, ack) {
+        if (!this.takeToken()) {
+            if (!this.rateLimited) {
+                this.rateLimited = true;
+                this.flag(`rate limit exceeded on ${event}`);
+            }
+            return false;
+        }
+        this.rateLimited = false;
+
+        const schema = EVENT_SCHEMAS[event];
+        const error = validate(schema, payload, event) ||
+            (schema && schema.ack ? validate({ type: 'function' }, ack, `${event} callback`) : null);
+        if (error) {
+            this.flag(error);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Records a rule break, kicking the socket once it has too many
+     * @param {string} reason - What the client did wrong
+     */
+    flag(reason) {
+        const now = Date.now();
+        this.violations = this.violations.filter(time => now - time < VIOLATION_WINDOW);
+        this.violations.push(now);
+
+        console.warn(`Violation from ${this.socket.id}: ${reason}`);
+
+        if (this.violations.length >= MAX_VIOLATIONS && this.socket.connected) {
+            console.warn(`Kicking ${this.socket.id} after ${this.violations.length} violations`);
+            this.socket.emit('kicked', { reason });
+            this.socket.disconnect(true);
+        }
+    }
+
+    /**
+     * Refills the token bucket and takes a token for one event
+     * @returns {boolean} True if the socket is within its rate limit
+     * @private
+     */
+    takeToken() {
+        const now = Date.now();
+        this.tokens = Math.min(EVENT_BURST, this.tokens + (now - this.lastRefill) / 1000 * EVENTS_PER_SECOND);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+}
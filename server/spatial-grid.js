@@ -0,0 +1,85 @@
+/**
+ * Uniform grid for finding entities near a point
+ * Entities are binned by their center, so rectangle queries only look at
+ * the few cells the rectangle covers instead of the whole room.
+ */
+export class SpatialGrid {
+    /**
+     * Creates an empty grid
+     * @param {number} cellSize - Width and height of a cell in world units
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cy" -> entities whose center is in that cell
+    }
+
+    /**
+     * Removes every entity from the grid
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Adds an entity at its current position
+     * @param {Object} entity - Entity with x and y
+     */
+    insert(entity) {
+        const key = this.getCellKey(this.toCell(entity.x), this.toCell(entity.y));
+        const cell = this.cells.get(key);
+
+        if (cell) {
+            cell.push(entity);
+        } else {
+            this.cells.set(key, [entity]);
+        }
+    }
+
+    /**
+     * Finds the entities in the cells a rectangle covers
+     * Entities near the rectangle's edges may lie just outside it, so callers
+     * do their own exact distance check.
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Array} Candidate entities
+     */
+    query(minX, minY, maxX, maxY) {
+        const found = [];
+        const maxCellX = this.toCell(maxX);
+        const maxCellY = this.toCell(maxY);
+
+        for (let cx = this.toCell(minX); cx <= maxCellX; cx++) {
+            for (let cy = this.toCell(minY); cy <= maxCellY; cy++) {
+                const cell = this.cells.get(this.getCellKey(cx, cy));
+                if (cell) {
+                    found.push(...cell);
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Gets the cell column or row a coordinate falls in
+     * @param {number} value - World coordinate
+     * @returns {number} Cell index
+     * @private
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Gets the map key of a cell
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {string} Cell key
+     * @private
+     */
+    getCellKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+}
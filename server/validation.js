@@ -0,0 +1,154 @@
+/**
+ * Schema validation for incoming socket events
+ * Every event a client can send is described here, and server.js drops any
+ * payload that doesn't match before it reaches a room.
+ */
+
+// Player names are limited by the name input on the menu
+const MAX_NAME_LENGTH = 15;
+const MAX_COLOR_LENGTH = 32;
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9]{1,5}$/;
+
+// A client alone sends an update every 200ms, about 12 frames of input
+const MAX_INPUTS_PER_UPDATE = 60;
+
+const MAX_COORDINATE = 100000;
+const MAX_RADIUS = 1000;
+const MAX_SIZE_LEVEL = 100;
+const MAX_SCORE = 1e9;
+
+const coordinate = { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE };
+const color = { type: 'string', maxLength: MAX_COLOR_LENGTH };
+
+const input = {
+    type: 'object',
+    fields: {
+        seq: { type: 'number', integer: true, min: 1 },
+        dirX: { type: 'number', min: -2, max: 2 },
+        dirY: { type: 'number', min: -2, max: 2 },
+        boost: { type: 'boolean' }
+    }
+};
+
+/**
+ * Schemas for the payload of each client event
+ * Events answered through an acknowledgement callback after the payload set `ack`.
+ */
+export const EVENT_SCHEMAS = {
+    listRooms: { type: 'function' },
+    createRoom: {
+        type: 'object',
+        ack: true,
+        fields: {
+            powerUps: { type: 'boolean' },
+            ecosystem: { type: 'boolean' }
+        }
+    },
+    playerJoin: {
+        type: 'object',
+        fields: {
+            name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+            x: coordinate,
+            y: coordinate,
+            radius: { type: 'number', min: 0, max: MAX_RADIUS, optional: true },
+            color,
+            eyeColor: color,
+            pupilColor: color,
+            angle: { type: 'number', optional: true },
+            roomId: { type: 'string', pattern: ROOM_CODE_PATTERN, optional: true }
+        }
+    },
+    resumeSession: {
+        type: 'object',
+        fields: {
+            resumeToken: { type: 'string', maxLength: 64 }
+        }
+    },
+    leaveRoom: { type: 'undefined' },
+    playerPause: { type: 'undefined' },
+    playerUnpause: { type: 'undefined' },
+    viewResize: {
+        type: 'object',
+        fields: {
+            width: { type: 'number', min: 1, max: MAX_COORDINATE },
+            height: { type: 'number', min: 1, max: MAX_COORDINATE }
+        }
+    },
+    playerUpdate: {
+        type: 'object',
+        fields: {
+            inputs: { type: 'array', maxLength: MAX_INPUTS_PER_UPDATE, items: input },
+            angle: { type: 'number' },
+            ack: { type: 'number', integer: true, min: 0, optional: true }
+        }
+    },
+    playerRespawn: {
+        type: 'object',
+        fields: {
+            x: coordinate,
+            y: coordinate,
+            radius: { type: 'number', min: 1, max: MAX_RADIUS, optional: true },
+            score: { type: 'number', min: 0, max: MAX_SCORE },
+            sizeLevel: { type: 'number', integer: true, min: 1, max: MAX_SIZE_LEVEL, optional: true }
+        }
+    }
+};
+
+/**
+ * Checks a value against a schema
+ * Object fields not in the schema are allowed - rooms only read the fields they know.
+ * @param {Object} schema - Schema from EVENT_SCHEMAS (or one of its fields)
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value, used in the error message
+ * @returns {string|null} What is wrong with the value, or null if it matches
+ */
+export function validate(schema, value, path = 'payload') {
+    // Optional fields may be missing; null counts as missing since JSON has no undefined
+    if (value === undefined || value === null) {
+        return schema.optional || schema.type === 'undefined' ? null : `${path} is missing`;
+    }
+
+    switch (schema.type) {
+        case 'undefined':
+            return `${path} should be empty`;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} is not a number`;
+            if (schema.integer && !Number.isInteger(value)) return `${path} is not an integer`;
+            if (schema.min !== undefined && value < schema.min) return `${path} is below ${schema.min}`;
+            if (schema.max !== undefined && value > schema.max) return `${path} is above ${schema.max}`;
+            return null;
+
+        case 'string':
+            if (typeof value !== 'string') return `${path} is not a string`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long`;
+            if (schema.pattern && !schema.pattern.test(value)) return `${path} has an invalid format`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} is not a boolean`;
+
+        case 'function':
+            return typeof value === 'function' ? null : `${path} is not a callback`;
+
+        case 'array':
+            if (!Array.isArray(value)) return `${path} is not an array`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} has too many items`;
+            for (let i = 0; i < value.length; i++) {
+                const error = validate(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} is not an object`;
+            for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                const error = validate(fieldSchema, value[name], `${path}.${name}`);
+                if (error) return error;
+            }
+            return null;
+
+        default:
+            return `${path} has no known schema`;
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Tests for server-run bot players
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../server/bot-players.js';
+import { feedPlayer, getFishNeededToGrow, getPlayerRadius } from '../server/player-growth.js';
+
+test('bots spawn at the size and growth of a player of their level, with no score', () => {
+    for (let n = 0; n < 20; n++) {
+        const bot = createBot(`bot-${n}`, 3840, 2160);
+
+        assert.equal(bot.radius, getPlayerRadius(bot.sizeLevel));
+        assert.equal(bot.fishNeededToGrow, getFishNeededToGrow(bot.sizeLevel));
+        assert.equal(bot.score, 0);
+    }
+});
+
+test('bots grow by the player rules', () => {
+    const bot = createBot('bot-1', 3840, 2160);
+    const sizeLevel = bot.sizeLevel;
+
+    feedPlayer(bot, { points: 0, growth: bot.fishNeededToGrow });
+
+    assert.equal(bot.sizeLevel, sizeLevel + 1);
+    assert.equal(bot.radius, getPlayerRadius(sizeLevel + 1));
+});
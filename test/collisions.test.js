@@ -0,0 +1,188 @@
+/**
+ * Tests for server-side collision resolution
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/power-up-types.js';
+import { canEat, checkCollision, resolveCollisions } from '../server/collisions.js';
+
+const { PowerUpTypes } = globalThis;
+
+function createPlayer(id, overrides = {}) {
+    return {
+        id,
+        x: 100,
+        y: 100,
+        radius: 15,
+        sizeLevel: 1,
+        isAlive: true,
+        paused: false,
+        shielded: false,
+        modifiers: PowerUpTypes.getModifiers([]),
+        ...overrides
+    };
+}
+
+function createEnemy(id, overrides = {}) {
+    return { id, x: 100, y: 100, radius: 10, sizeLevel: 1, species: 'reefFish', pointValue: 10, puffed: false, ...overrides };
+}
+
+function createState(players, enemies = [], foods = [], powerUps = []) {
+    return {
+        players: Object.fromEntries(players.map(player => [player.id, player])),
+        enemies,
+        foods,
+        powerUps
+    };
+}
+
+test('checkCollision detects overlapping circles only', () => {
+    assert.equal(checkCollision({ x: 0, y: 0, radius: 10 }, { x: 15, y: 0, radius: 10 }), true);
+    assert.equal(checkCollision({ x: 0, y: 0, radius: 10 }, { x: 20, y: 0, radius: 10 }), false);
+});
+
+test('canEat allows fish within 1% of the eater\'s size', () => {
+    assert.equal(canEat({ radius: 20 }, { radius: 10 }), true);
+    assert.equal(canEat({ radius: 100 }, { radius: 100.5 }), true);
+    assert.equal(canEat({ radius: 100 }, { radius: 102 }), false);
+});
+
+test('the larger of two touching players eats the smaller', () => {
+    const big = createPlayer('big', { radius: 22, sizeLevel: 2 });
+    const small = createPlayer('small', { x: 110 });
+
+    const { playersEaten } = resolveCollisions(createState([small, big]));
+
+    assert.equal(small.isAlive, false);
+    assert.equal(big.isAlive, true);
+    assert.deepEqual(playersEaten, [{ id: 'small', eatenBy: 'big', points: 50, growth: 0.5 }]);
+});
+
+test('players of equal size bounce off each other', () => {
+    const a = createPlayer('a');
+    const b = createPlayer('b', { x: 110 });
+
+    const { playersEaten } = resolveCollisions(createState([a, b]));
+
+    assert.deepEqual(playersEaten, []);
+    assert.equal(a.isAlive && b.isAlive, true);
+});
+
+test('a player is only eaten once when two bigger fish touch it', () => {
+    const a = createPlayer('a', { radius: 50, sizeLevel: 4 });
+    const b = createPlayer('b', { y: 200, radius: 50, sizeLevel: 4 });
+    const prey = createPlayer('prey', { y: 150 });
+
+    const { playersEaten } = resolveCollisions(createState([a, b, prey]));
+
+    assert.deepEqual(playersEaten.map(meal => [meal.id, meal.eatenBy]), [['prey', 'a']]);
+});
+
+test('paused and shielded players are left alone', () => {
+    const paused = createPlayer('paused', { radius: 30, paused: true });
+    const prey = createPlayer('prey', { x: 110 });
+    assert.deepEqual(resolveCollisions(createState([paused, prey])).playersEaten, []);
+
+    const hunter = createPlayer('hunter', { radius: 30 });
+    const shielded = createPlayer('shielded', { x: 110, shielded: true });
+    assert.deepEqual(resolveCollisions(createState([hunter, shielded])).playersEaten, []);
+
+    // A paused fish past its safe period can still be eaten
+    const exposed = createPlayer('exposed', { x: 110, paused: true });
+    assert.deepEqual(resolveCollisions(createState([hunter, exposed])).playersEaten.map(meal => meal.id), ['exposed']);
+});
+
+test('an enemy is eaten once even when two players touch it', () => {
+    const a = createPlayer('a', { radius: 50 });
+    const b = createPlayer('b', { y: 200, radius: 50 });
+    const enemy = createEnemy(1, { y: 150 });
+    const state = createState([a, b], [enemy]);
+
+    const { enemiesEaten } = resolveCollisions(state);
+
+    assert.deepEqual(enemiesEaten, [{ id: 1, eatenBy: 'a', points: 10, growth: 1 }]);
+    assert.deepEqual(state.enemies, []);
+});
+
+test('a bigger enemy eats the player', () => {
+    const player = createPlayer('p');
+    const enemy = createEnemy(1, { radius: 30 });
+
+    const { playersEaten } = resolveCollisions(createState([player], [enemy]));
+
+    assert.equal(player.isAlive, false);
+    assert.deepEqual(playersEaten, [{ id: 'p', eatenBy: 1, points: 0, growth: 0 }]);
+});
+
+test('jellyfish sting bigger players and kill size 1 ones', () => {
+    const big = createPlayer('big', { radius: 22, sizeLevel: 2 });
+    const jellyfish = createEnemy(1, { species: 'jellyfish' });
+
+    const first = resolveCollisions(createState([big], [jellyfish]), 1000);
+    assert.deepEqual(first.stings, [{ id: 'big', stungBy: 1 }]);
+
+    // The cooldown stops a second sting straight away
+    const second = resolveCollisions(createState([big], [jellyfish]), 1500);
+    assert.deepEqual(second.stings, []);
+
+    const small = createPlayer('small');
+    const { playersEaten } = resolveCollisions(createState([small], [jellyfish]), 1000);
+    assert.equal(small.isAlive, false);
+    assert.deepEqual(playersEaten, [{ id: 'small', eatenBy: 1, points: 0, growth: 0 }]);
+});
+
+test('a puffed pufferfish can\'t be eaten and doesn\'t bite', () => {
+    const big = createPlayer('big', { radius: 30 });
+    const small = createPlayer('small', { y: 200 });
+    const pufferfish = createEnemy(1, { species: 'pufferfish', puffed: true });
+    const bigPufferfish = createEnemy(2, { y: 200, radius: 25, species: 'pufferfish', puffed: true });
+    const state = createState([big, small], [pufferfish, bigPufferfish]);
+
+    const { enemiesEaten, playersEaten } = resolveCollisions(state);
+
+    assert.deepEqual(enemiesEaten, []);
+    assert.deepEqual(playersEaten, []);
+    assert.equal(state.enemies.length, 2);
+});
+
+test('players eat the food they touch', () => {
+    const player = createPlayer('p');
+    const foods = [{ id: 1, x: 105, y: 100, radius: 4, value: 2 }, { id: 2, x: 500, y: 500, radius: 4 }];
+    const state = createState([player], [], foods);
+
+    const { foodsEaten } = resolveCollisions(state);
+
+    assert.deepEqual(foodsEaten, [{ id: 1, eatenBy: 'p', points: 2, growth: 0.1 }]);
+    assert.deepEqual(state.foods.map(food => food.id), [2]);
+});
+
+test('invincible players can\'t be eaten', () => {
+    const hunter = createPlayer('hunter', { radius: 30 });
+    const prey = createPlayer('prey', { x: 110, modifiers: PowerUpTypes.getModifiers(['invincibility']) });
+    const enemy = createEnemy(1, { radius: 40 });
+
+    const { playersEaten } = resolveCollisions(createState([hunter, prey], [enemy]));
+
+    assert.deepEqual(playersEaten.map(meal => meal.id), ['hunter']);
+    assert.equal(prey.isAlive, true);
+});
+
+test('power-ups scale rewards and a magnet reaches food further away', () => {
+    const player = createPlayer('p', { modifiers: PowerUpTypes.getModifiers(['doublePoints', 'frenzy', 'magnetism']) });
+    const foods = [{ id: 1, x: 200, y: 100, radius: 4, value: 2 }];
+
+    const { foodsEaten } = resolveCollisions(createState([player], [], foods));
+
+    assert.deepEqual(foodsEaten, [{ id: 1, eatenBy: 'p', points: 4, growth: 0.2 }]);
+});
+
+test('players pick up the power-up orbs they touch', () => {
+    const player = createPlayer('p');
+    const powerUps = [{ id: 5, x: 110, y: 100, radius: 12, type: 'speedBoost' }];
+    const state = createState([player], [], [], powerUps);
+
+    const { powerUpsTaken } = resolveCollisions(state);
+
+    assert.deepEqual(powerUpsTaken, [{ id: 5, type: 'speedBoost', takenBy: 'p' }]);
+    assert.deepEqual(state.powerUps, []);
+});
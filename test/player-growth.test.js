@@ -0,0 +1,65 @@
+/**
+ * Tests for server-owned player growth, score and boost costs
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { feedPlayer, getFishNeededToGrow, getPlayerRadius, resetGrowth, spendBoost, stingPlayer } from '../server/player-growth.js';
+
+function createPlayer() {
+    const player = { score: 0 };
+    resetGrowth(player);
+    return player;
+}
+
+test('radius and growth needed follow the client\'s PlayerFish rules', () => {
+    assert.deepEqual([1, 2, 3, 4].map(getPlayerRadius), [15, 22, 29, 38]);
+    assert.deepEqual([1, 2, 3, 4, 5].map(getFishNeededToGrow), [5, 7, 10, 15, 22]);
+});
+
+test('meals score with the size bonus and grow the fish once it has eaten enough', () => {
+    const player = createPlayer();
+
+    feedPlayer(player, { points: 10, growth: 4 });
+    assert.equal(player.score, 50);
+    assert.equal(player.sizeLevel, 1);
+
+    feedPlayer(player, { points: 10, growth: 1 });
+    assert.equal(player.score, 70);
+    assert.equal(player.sizeLevel, 2);
+    assert.equal(player.radius, 22);
+    assert.equal(player.fishEaten, 0);
+    assert.equal(player.fishNeededToGrow, 7);
+});
+
+test('a sting costs a size level and its progress', () => {
+    const player = createPlayer();
+    feedPlayer(player, { points: 0, growth: 5 });
+    feedPlayer(player, { points: 0, growth: 3 });
+
+    stingPlayer(player);
+
+    assert.equal(player.sizeLevel, 1);
+    assert.equal(player.radius, 15);
+    assert.equal(player.fishEaten, 0);
+    assert.equal(player.fishNeededToGrow, 5);
+});
+
+test('boosting uses progress, then a size level, and stops at level 1', () => {
+    const player = createPlayer();
+    assert.equal(spendBoost(player), false);
+
+    // Each frame costs a thousandth of the level's growth, without going below empty
+    player.fishEaten = 1;
+    assert.equal(spendBoost(player), true);
+    assert.ok(Math.abs(player.fishEaten - 0.995) < 1e-9);
+    player.fishEaten = 0.004;
+    assert.equal(spendBoost(player), true);
+    assert.equal(player.fishEaten, 0);
+
+    feedPlayer(player, { points: 0, growth: 5 });
+    assert.equal(player.sizeLevel, 2);
+    assert.equal(spendBoost(player), true);
+    assert.equal(player.sizeLevel, 1);
+    assert.equal(player.radius, 15);
+    assert.equal(player.fishEaten, 4.5);
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for server-side player movement and the input budget
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/power-up-types.js';
+import { applyInput, getBaseSpeed, processInputs, queueInputs, resetInputBudget } from '../server/player-movement.js';
+import { resetGrowth } from '../server/player-growth.js';
+
+const { PowerUpTypes } = globalThis;
+
+const WORLD_WIDTH = 3840;
+const WORLD_HEIGHT = 2160;
+const FRAME_MS = 1000 / 60;
+
+function createPlayer() {
+    const player = {
+        x: 1000,
+        y: 1000,
+        isAlive: true,
+        modifiers: PowerUpTypes.getModifiers([]),
+        inputQueue: [],
+        lastProcessedInput: 0
+    };
+    resetGrowth(player);
+    resetInputBudget(player, 0);
+    return player;
+}
+
+function createInputs(count, firstSeq = 1, boost = false) {
+    return Array.from({ length: count }, (_, i) => ({ seq: firstSeq + i, dirX: 1, dirY: 0, boost }));
+}
+
+test('fish slow down as they grow, down to a minimum speed', () => {
+    assert.equal(getBaseSpeed(1), 2);
+    assert.ok(getBaseSpeed(5) < getBaseSpeed(2));
+    assert.equal(getBaseSpeed(100), 1.5);
+});
+
+test('an input moves the fish one frame, never faster than a unit direction', () => {
+    const player = createPlayer();
+    applyInput(player, { dirX: 2, dirY: 0, boost: false }, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.ok(Math.abs(player.x - 1000 - getBaseSpeed(1) * 1.3) < 1e-9);
+    assert.equal(player.y, 1000);
+
+    // Enemies lead their chase by the last move
+    assert.ok(Math.abs(player.velocityX - getBaseSpeed(1) * 1.3) < 1e-9);
+    assert.equal(player.velocityY, 0);
+});
+
+test('movement stops at the edge of the world', () => {
+    const player = createPlayer();
+    player.x = WORLD_WIDTH - player.radius;
+    applyInput(player, { dirX: 1, dirY: 0, boost: false }, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.equal(player.x, WORLD_WIDTH - player.radius);
+});
+
+test('boosting doubles the speed and uses up growth progress', () => {
+    const player = createPlayer();
+    player.fishEaten = 2;
+    applyInput(player, { dirX: 1, dirY: 0, boost: true }, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.equal(player.boosting, true);
+    assert.ok(Math.abs(player.x - 1000 - getBaseSpeed(1) * 1.3 * 2) < 1e-9);
+    assert.ok(player.fishEaten < 2);
+});
+
+test('a fish that can\'t afford a boost swims at normal speed', () => {
+    const player = createPlayer();
+    applyInput(player, { dirX: 1, dirY: 0, boost: true }, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.equal(player.boosting, false);
+    assert.ok(Math.abs(player.x - 1000 - getBaseSpeed(1) * 1.3) < 1e-9);
+});
+
+test('a speed power-up makes the fish faster', () => {
+    const player = createPlayer();
+    player.modifiers = PowerUpTypes.getModifiers(['speedBoost']);
+    applyInput(player, { dirX: 1, dirY: 0, boost: false }, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.ok(Math.abs(player.x - 1000 - getBaseSpeed(1) * 1.3 * 1.5) < 1e-9);
+});
+
+test('a fresh budget accepts a second of bunched-up inputs', () => {
+    const player = createPlayer();
+
+    assert.equal(queueInputs(player, createInputs(60), 0), 0);
+    assert.equal(queueInputs(player, createInputs(5, 61), 0), 5);
+    assert.equal(player.inputQueue.length, 60);
+});
+
+test('the budget refills with the time that has passed', () => {
+    const player = createPlayer();
+    queueInputs(player, createInputs(60), 0);
+
+    // 12 frames later, 12 inputs plus the tolerance fit - not 30
+    const dropped = queueInputs(player, createInputs(30, 61), 12 * FRAME_MS);
+    assert.equal(dropped, 15);
+});
+
+test('the budget never grows past its cap', () => {
+    const player = createPlayer();
+
+    assert.equal(queueInputs(player, createInputs(70), 60000), 10);
+});
+
+test('each tick applies at most 10 queued inputs and skips ones already applied', () => {
+    const player = createPlayer();
+    queueInputs(player, createInputs(15), 0);
+    processInputs(player, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.equal(player.lastProcessedInput, 10);
+    assert.equal(player.inputQueue.length, 5);
+
+    const x = player.x;
+    player.inputQueue.unshift({ seq: 3, dirX: 1, dirY: 0, boost: false });
+    processInputs(player, WORLD_WIDTH, WORLD_HEIGHT);
+    assert.equal(player.lastProcessedInput, 15);
+    assert.ok(Math.abs(player.x - x - 5 * getBaseSpeed(1) * 1.3) < 1e-9);
+});
+
+test('dead players use up their inputs without moving', () => {
+    const player = createPlayer();
+    player.isAlive = false;
+    player.inputQueue.push(...createInputs(3));
+    processInputs(player, WORLD_WIDTH, WORLD_HEIGHT);
+
+    assert.equal(player.x, 1000);
+    assert.equal(player.lastProcessedInput, 3);
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for the binary snapshot codec shared by the server and the browser
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/snapshot-codec.js';
+
+const { SnapshotCodec } = globalThis;
+
+const players = {
+    p1: { id: 'p1', netId: 1, name: 'Nemo', color: '#ff8800', eyeColor: '#fff', pupilColor: '#000' },
+    p2: { id: 'p2', netId: 2, name: 'Dory', color: '#0066ff', eyeColor: '#fff', pupilColor: '#000' }
+};
+
+const getNetId = id => (players[id] ? players[id].netId : undefined);
+
+function createSnapshot(tick, overrides = {}) {
+    return {
+        tick,
+        time: 1000 + tick * 50,
+        players: [
+            { netId: 1, x: 100.25, y: 200.5, angle: 1, radius: 22, score: 129, sizeLevel: 2, isAlive: true, lastInput: 40 },
+            { netId: 2, x: 300, y: 400, angle: 3, radius: 15, score: 0, sizeLevel: 1, isAlive: true, lastInput: 12 }
+        ],
+        enemies: [
+            { id: 7, x: 50, y: 60, angle: 0, radius: 18, sizeLevel: 2, color: '#44aa44', species: 'pufferfish', puffed: true }
+        ],
+        entered: { players: [], foods: [{ id: 3, x: 10, y: 20, radius: 4, value: 2, color: '#ffff00' }] },
+        exited: { players: [], foods: [] },
+        foodsEaten: [],
+        enemiesEaten: [],
+        kills: [],
+        growth: 1.5,
+        ...overrides
+    };
+}
+
+function createDecoder() {
+    const decoder = SnapshotCodec.createDecoder();
+    Object.values(players).forEach(player => SnapshotCodec.registerPlayer(decoder, player));
+    return decoder;
+}
+
+test('a full snapshot survives a round trip', () => {
+    const encoder = SnapshotCodec.createEncoder();
+    const decoder = createDecoder();
+
+    const snapshot = SnapshotCodec.decode(SnapshotCodec.encode(createSnapshot(1), encoder, getNetId), decoder);
+
+    assert.equal(snapshot.tick, 1);
+    assert.equal(snapshot.time, 1050);
+    assert.equal(snapshot.growth, 1.5);
+    assert.equal(snapshot.players.length, 2);
+
+    const nemo = snapshot.players.find(player => player.id === 'p1');
+    assert.equal(nemo.name, 'Nemo');
+    assert.equal(nemo.x, 100.25);
+    assert.equal(nemo.y, 200.5);
+    assert.ok(Math.abs(nemo.angle - 1) < 0.001);
+    assert.equal(nemo.radius, 22);
+    assert.equal(nemo.score, 129);
+    assert.equal(nemo.sizeLevel, 2);
+    assert.equal(nemo.isAlive, true);
+    assert.equal(nemo.lastInput, 40);
+
+    assert.deepEqual(snapshot.enemies.map(enemy => [enemy.id, enemy.color, enemy.sizeLevel, enemy.species, enemy.puffed]), [[7, '#44aa44', 2, 'pufferfish', true]]);
+    assert.deepEqual(snapshot.entered.foods, [{ id: 3, x: 10, y: 20, radius: 4, value: 2, color: '#ffff00' }]);
+    assert.deepEqual(snapshot.entered.players.sort(), ['p1', 'p2']);
+});
+
+test('positions are quantized to quarter pixels', () => {
+    const snapshot = createSnapshot(1);
+    snapshot.players[0].x = 100.3;
+
+    const decoded = SnapshotCodec.decode(SnapshotCodec.encode(snapshot, SnapshotCodec.createEncoder(), getNetId), createDecoder());
+
+    assert.equal(decoded.players.find(player => player.id === 'p1').x, 100.25);
+});
+
+test('a delta against an acknowledged snapshot only carries what changed', () => {
+    const encoder = SnapshotCodec.createEncoder();
+    const decoder = createDecoder();
+
+    const full = SnapshotCodec.encode(createSnapshot(1), encoder, getNetId);
+    SnapshotCodec.decode(full, decoder);
+    SnapshotCodec.acknowledge(encoder, 1);
+
+    const next = createSnapshot(2, { entered: { players: [], foods: [] } });
+    next.players[0].x = 110;
+    const delta = SnapshotCodec.encode(next, encoder, getNetId);
+    assert.ok(delta.byteLength < full.byteLength / 2);
+
+    const snapshot = SnapshotCodec.decode(delta, decoder);
+    const nemo = snapshot.players.find(player => player.id === 'p1');
+    const dory = snapshot.players.find(player => player.id === 'p2');
+    assert.equal(nemo.x, 110);
+    assert.equal(nemo.score, 129);
+    assert.equal(dory.x, 300);
+    assert.equal(snapshot.enemies.length, 1);
+    assert.deepEqual(snapshot.entered.players, []);
+});
+
+test('players and enemies missing from a delta are removed', () => {
+    const encoder = SnapshotCodec.createEncoder();
+    const decoder = createDecoder();
+
+    SnapshotCodec.decode(SnapshotCodec.encode(createSnapshot(1), encoder, getNetId), decoder);
+    SnapshotCodec.acknowledge(encoder, 1);
+
+    const next = createSnapshot(2, { enemies: [], exited: { players: [], foods: [3] } });
+    next.players.pop();
+    const snapshot = SnapshotCodec.decode(SnapshotCodec.encode(next, encoder, getNetId), decoder);
+
+    assert.deepEqual(snapshot.players.map(player => player.id), ['p1']);
+    assert.deepEqual(snapshot.enemies, []);
+    assert.deepEqual(snapshot.exited, { players: ['p2'], foods: [3] });
+});
+
+test('snapshots are sent in full until the client acknowledges one', () => {
+    const encoder = SnapshotCodec.createEncoder();
+    const first = SnapshotCodec.encode(createSnapshot(1), encoder, getNetId);
+    const second = SnapshotCodec.encode(createSnapshot(2), encoder, getNetId);
+
+    assert.equal(second.byteLength, first.byteLength);
+
+    // Acknowledging a tick that was never sent changes nothing
+    SnapshotCodec.acknowledge(encoder, 5);
+    assert.equal(encoder.ackTick, 0);
+});
+
+test('a delta against an unknown baseline decodes to null', () => {
+    const encoder = SnapshotCodec.createEncoder();
+    SnapshotCodec.encode(createSnapshot(1), encoder, getNetId);
+    SnapshotCodec.acknowledge(encoder, 1);
+    const delta = SnapshotCodec.encode(createSnapshot(2), encoder, getNetId);
+
+    assert.equal(SnapshotCodec.decode(delta, createDecoder()), null);
+});
+
+test('meals tell players who ate from enemies that did, with departed players sent as unknown', () => {
+    const snapshot = createSnapshot(1, {
+        foodsEaten: [
+            { id: 3, eatenBy: 'p1', points: 2, growth: 0.1 },
+            { id: 4, eatenBy: 7, points: 0, growth: 0 },
+            { id: 5, eatenBy: 'gone', points: 1, growth: 0.1 }
+        ],
+        enemiesEaten: [
+            { id: 8, eatenBy: 'p2', points: 20, growth: 1 },
+            { id: 9, eatenBy: 7, points: 0, growth: 0 }
+        ],
+        kills: [
+            { id: 'p2', eatenBy: 'p1', points: 50, growth: 0.5 },
+            { id: 'p1', eatenBy: 7, points: 0, growth: 0 }
+        ]
+    });
+
+    const decoded = SnapshotCodec.decode(SnapshotCodec.encode(snapshot, SnapshotCodec.createEncoder(), getNetId), createDecoder());
+
+    assert.deepEqual(decoded.foodsEaten, [
+        { id: 3, eatenBy: 'p1', points: 2, growth: 0.1 },
+        { id: 4, eatenBy: 7, points: 0, growth: 0 },
+        { id: 5, eatenBy: null, points: 1, growth: 0.1 }
+    ]);
+    assert.deepEqual(decoded.enemiesEaten, [
+        { id: 8, eatenBy: 'p2', points: 20, growth: 1 },
+        { id: 9, eatenBy: 7, points: 0, growth: 0 }
+    ]);
+    assert.deepEqual(decoded.kills, [
+        { id: 'p2', eatenBy: 'p1', points: 50, growth: 0.5 },
+        { id: 'p1', eatenBy: 7, points: 0, growth: 0 }
+    ]);
+});
+
+test('worlds larger than the position range are rejected', () => {
+    assert.doesNotThrow(() => SnapshotCodec.assertWorldSize(3840, 2160));
+    assert.doesNotThrow(() => SnapshotCodec.assertWorldSize(SnapshotCodec.MAX_WORLD_SIZE, SnapshotCodec.MAX_WORLD_SIZE));
+    assert.throws(() => SnapshotCodec.assertWorldSize(9000, 2160), RangeError);
+    assert.throws(() => SnapshotCodec.assertWorldSize(3840, 9000), RangeError);
+});
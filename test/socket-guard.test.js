@@ -0,0 +1,92 @@
+/**
+ * Tests for per-socket rate limiting and violation tracking
+ */
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SocketGuard } from '../server/socket-guard.js';
+
+let now;
+
+function createSocket() {
+    return {
+        id: 'socket-1',
+        connected: true,
+        emitted: [],
+        emit(event, data) {
+            this.emitted.push([event, data]);
+        },
+        disconnect() {
+            this.connected = false;
+        }
+    };
+}
+
+beforeEach(t => {
+    now = 0;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('valid events pass and invalid ones are dropped and flagged', () => {
+    const guard = new SocketGuard(createSocket());
+
+    assert.equal(guard.accept('resumeSession', { resumeToken: 'abc' }), true);
+    assert.equal(guard.accept('resumeSession', { resumeToken: 42 }), false);
+    assert.equal(guard.accept('leaveRoom', 'hello'), false);
+    assert.equal(guard.violations.length, 2);
+});
+
+test('events answered through a callback need one', () => {
+    const guard = new SocketGuard(createSocket());
+
+    assert.equal(guard.accept('createRoom', { powerUps: true, ecosystem: false }, () => {}), true);
+    assert.equal(guard.accept('createRoom', { powerUps: true, ecosystem: false }), false);
+});
+
+test('a burst is allowed, then events are dropped until tokens refill', () => {
+    const guard = new SocketGuard(createSocket());
+
+    for (let i = 0; i < 60; i++) {
+        assert.equal(guard.accept('leaveRoom'), true);
+    }
+    assert.equal(guard.accept('leaveRoom'), false);
+    assert.equal(guard.accept('leaveRoom'), false);
+
+    // A flood only counts as one violation
+    assert.equal(guard.violations.length, 1);
+
+    // 30 events a second refill
+    now = 100;
+    assert.equal(guard.accept('leaveRoom'), true);
+    assert.equal(guard.accept('leaveRoom'), true);
+    assert.equal(guard.accept('leaveRoom'), true);
+    assert.equal(guard.accept('leaveRoom'), false);
+});
+
+test('a socket with too many violations in a minute is kicked', () => {
+    const socket = createSocket();
+    const guard = new SocketGuard(socket);
+
+    for (let i = 0; i < 9; i++) {
+        guard.flag('bad payload');
+    }
+    assert.equal(socket.connected, true);
+
+    guard.flag('bad payload');
+    assert.equal(socket.connected, false);
+    assert.deepEqual(socket.emitted, [['kicked', { reason: 'bad payload' }]]);
+});
+
+test('old violations are forgotten', () => {
+    const socket = createSocket();
+    const guard = new SocketGuard(socket);
+
+    for (let i = 0; i < 9; i++) {
+        guard.flag('bad payload');
+    }
+
+    now = 60000;
+    guard.flag('bad payload');
+    assert.equal(socket.connected, true);
+    assert.equal(guard.violations.length, 1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for socket event schema validation
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENT_SCHEMAS, validate } from '../server/validation.js';
+
+const validJoin = {
+    name: 'Nemo',
+    x: 100,
+    y: 200,
+    color: '#ff8800',
+    eyeColor: '#ffffff',
+    pupilColor: '#000000'
+};
+
+function createUpdate(overrides = {}) {
+    return { inputs: [], angle: 0, ...overrides };
+}
+
+test('a well-formed payload passes', () => {
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, validJoin, 'playerJoin'), null);
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, { ...validJoin, roomId: 'AB12C' }, 'playerJoin'), null);
+    assert.equal(validate(EVENT_SCHEMAS.playerUpdate, createUpdate({
+        inputs: [{ seq: 1, dirX: 0.5, dirY: -1, boost: false }],
+        angle: 1.2,
+        ack: 4
+    }), 'playerUpdate'), null);
+});
+
+test('errors name the field that is wrong', () => {
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, { ...validJoin, name: 'x'.repeat(16) }, 'playerJoin'), 'playerJoin.name is too long');
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, { ...validJoin, x: 'left' }, 'playerJoin'), 'playerJoin.x is not a number');
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, { ...validJoin, roomId: 'no way' }, 'playerJoin'), 'playerJoin.roomId has an invalid format');
+    assert.equal(validate(EVENT_SCHEMAS.playerJoin, { ...validJoin, color: undefined }, 'playerJoin'), 'playerJoin.color is missing');
+});
+
+test('numbers must be finite and within range', () => {
+    assert.equal(validate(EVENT_SCHEMAS.playerUpdate, createUpdate({ angle: Infinity }), 'playerUpdate'), 'playerUpdate.angle is not a number');
+    assert.equal(validate(EVENT_SCHEMAS.playerUpdate, createUpdate({ ack: 1.5 }), 'playerUpdate'), 'playerUpdate.ack is not an integer');
+
+    const input = { seq: 1, dirX: 5, dirY: 0, boost: false };
+    assert.equal(validate(EVENT_SCHEMAS.playerUpdate, createUpdate({ inputs: [input] }), 'playerUpdate'), 'playerUpdate.inputs[0].dirX is above 2');
+});
+
+test('too many inputs in one update are rejected', () => {
+    const inputs = Array.from({ length: 61 }, (_, i) => ({ seq: i + 1, dirX: 0, dirY: 0, boost: false }));
+
+    assert.equal(validate(EVENT_SCHEMAS.playerUpdate, createUpdate({ inputs }), 'playerUpdate'), 'playerUpdate.inputs has too many items');
+});
+
+test('events without a payload must stay empty', () => {
+    assert.equal(validate(EVENT_SCHEMAS.leaveRoom, undefined, 'leaveRoom'), null);
+    assert.equal(validate(EVENT_SCHEMAS.leaveRoom, { sneaky: true }, 'leaveRoom'), 'leaveRoom should be empty');
+});
+
+test('arrays and primitives are not objects', () => {
+    assert.equal(validate(EVENT_SCHEMAS.viewResize, [800, 600], 'viewResize'), 'viewResize is not an object');
+    assert.equal(validate(EVENT_SCHEMAS.viewResize, 'big', 'viewResize'), 'viewResize is not an object');
+});
+
+test('view sizes must be positive', () => {
+    assert.equal(validate(EVENT_SCHEMAS.viewResize, { width: 800, height: 600 }, 'viewResize'), null);
+    assert.equal(validate(EVENT_SCHEMAS.viewResize, { width: 0, height: 600 }, 'viewResize'), 'viewResize.width is below 1');
+});